@@ -0,0 +1,64 @@
+import fs from "fs";
+import { createRequire } from "module";
+import chalk from "chalk";
+import { RenderError } from "./errors.js";
+
+// Automated accessibility audit for the rendered report HTML (axe-core),
+// run in the same page that is about to be printed, so it sees the final
+// layout, fonts and print styles. Used by the --accessible render mode.
+
+const require = createRequire(import.meta.url);
+const AXE_SOURCE_PATH = require.resolve("axe-core/axe.min.js");
+
+// WCAG 2.1 A/AA: the level PDF/UA reviewers and our patients' screen readers expect
+export const AUDIT_TAGS = ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"];
+
+let axeSource;
+
+/**
+ * Audits the document loaded in a Puppeteer page.
+ *
+ * @param {import("puppeteer").Page} page
+ * @returns {Promise<{ violations: Array<{ id: string, impact: string|null, help: string, helpUrl: string, nodes: Array<{ target: string, summary: string }> }>, passes: number }>}
+ * @throws {RenderError}
+ */
+export async function auditAccessibility(page) {
+  try {
+    axeSource ||= fs.readFileSync(AXE_SOURCE_PATH, "utf8");
+    await page.evaluate(axeSource);
+    // Only plain data crosses back from the page
+    return await page.evaluate(async (tags) => {
+      const results = await window.axe.run(document, { runOnly: { type: "tag", values: tags }, resultTypes: ["violations"] });
+      return {
+        violations: results.violations.map((violation) => ({
+          id: violation.id,
+          impact: violation.impact,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          nodes: violation.nodes.map((node) => ({ target: node.target.join(" "), summary: node.failureSummary || "" })),
+        })),
+        passes: results.passes.length,
+      };
+    }, AUDIT_TAGS);
+  } catch (err) {
+    throw new RenderError(`Accessibility audit failed: ${err.message}`, { cause: err });
+  }
+}
+
+const IMPACT_COLORS = { critical: chalk.red, serious: chalk.red, moderate: chalk.yellow, minor: chalk.gray };
+
+/** Logs an audit's violations, one line per rule plus the first few elements. */
+export function logAccessibilityReport({ violations }, { maxNodes = 3, log = console.log } = {}) {
+  if (!violations.length) {
+    log(chalk.green("♿ Accessibility audit: no violations"));
+    return;
+  }
+  log(chalk.yellow(`♿ Accessibility audit: ${violations.length} violation(s)`));
+  for (const violation of violations) {
+    const color = IMPACT_COLORS[violation.impact] || chalk.yellow;
+    log(color(`   [${violation.impact || "unknown"}] ${violation.id}: ${violation.help} (${violation.nodes.length} element(s))`));
+    for (const node of violation.nodes.slice(0, maxNodes)) log(chalk.gray(`      ${node.target}`));
+    if (violation.nodes.length > maxNodes) log(chalk.gray(`      …and ${violation.nodes.length - maxNodes} more`));
+    log(chalk.gray(`      ${violation.helpUrl}`));
+  }
+}
@@ -1,11 +1,17 @@
 import fs from "fs-extra";
 import path from "path";
-import { google } from "googleapis";
-import { generatePDF } from "./generate-report.js";
+import { parseArgs } from "util";
+import { generatePDF, getTemplateHashes, resolveReportTemplate } from "./generate-report.js";
+import { getLatestTemplateVersion } from "./template-registry.js";
+import { BrowserPool } from "./browser-pool.js";
+import { createGoogleDriveClient, createFakeDriveClient, createDryRunDrive } from "./drive-client.js";
+import { SyncLedger, DEFAULT_LEDGER_PATH, hashFile } from "./sync-ledger.js";
+import { publishPdf, getRetentionPolicy } from "./pdf-publisher.js";
+import { loadEncryptionPolicy } from "./pdf-encryption.js";
+import { FolderRouter } from "./folder-routing.js";
+import { listAllFiles, walkFolder, logListingSummary, FOLDER_MIME_TYPE } from "./drive-listing.js";
 import { getConfig } from "../config/config.js";
 import mime from 'mime-types';
-// --- 🧮 Local file hashing helper (for change detection) ---
-import crypto from 'crypto';
 
 async function waitForStableFile(filePath, interval = 150, retries = 25) {
   let prevSize = 0;
@@ -22,54 +28,16 @@ async function waitForStableFile(filePath, interval = 150, retries = 25) {
 }
 
 const __dirname = path.resolve();
-const localDir = path.join(__dirname, "data");
-fs.ensureDirSync(localDir);
 
 import dotenv from "dotenv";
 dotenv.config({ path: "./.env" });
 
-function getFileHash(filePath) {
+// patient_id ties regenerated PDFs to the Drive file they replace; pdf_folder_id picks the folder
+function readReportData(jsonPath) {
   try {
-    const data = fs.readFileSync(filePath);
-    return crypto.createHash('md5').update(data).digest('hex');
-  } catch (err) {
-    console.error(`⚠️ Could not compute hash for ${filePath}:`, err.message);
-    return null;
-  }
-}
-
-let targetFolderId;
-
-
-/**
- * Uploads a file (PDF) to Google Drive, preserving binary integrity.
- * Ensures Drive recognizes the file as a real PDF, not a text stream.
- */
-async function uploadFileToDrive(drive, filePath, outputFolderId) {
-  try {
-    const fileMetadata = {
-      name: path.basename(filePath),
-      parents: [outputFolderId],
-    };
-
-    const media = {
-      mimeType: 'application/pdf',
-      body: fs.createReadStream(filePath),
-    };
-
-    const uploadedFile = await drive.files.create({
-      resource: fileMetadata,
-      media,
-      fields: 'id, webViewLink',
-      supportsAllDrives: true, // ✅ this is key for Shared Drives
-    });
-
-    const cleanName = path.basename(filePath).replace(/^Diagnostic-Report-/, '');
-    console.log(`⬆️  Uploaded ${cleanName} to Drive: ${uploadedFile.data.webViewLink}`);
-    return uploadedFile.data;
-  } catch (error) {
-    console.error(`❌ Error uploading ${filePath}:`, error.message);
-    throw error;
+    return JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  } catch {
+    return {};
   }
 }
 
@@ -104,76 +72,120 @@ async function uploadJsonToDrive(drive, filePath, outputFolderId) {
 }
 
 async function getOutputFolderId(drive, parentFolderId) {
-  const res = await drive.files.list({
-    q: `'${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and name='output' and trashed = false`,
-    fields: 'files(id, name)',
-    supportsAllDrives: true,
-    includeItemsFromAllDrives: true,
+  const { files } = await listAllFiles(drive, {
+    q: `'${parentFolderId}' in parents and mimeType='${FOLDER_MIME_TYPE}' and name='output' and trashed = false`,
+    fields: 'nextPageToken, files(id, name)',
   });
 
-  const folder = res.data.files?.[0];
+  const folder = files[0];
   if (!folder) throw new Error("❌ Output folder not found in Drive");
   console.log(`📁 Drive output folder found: ${folder.id}`);
   return folder.id;
 }
 
-const config = getConfig();
-const keyFile = path.join(__dirname, "config", "service-account.json");
-const folderId = config.driveFolderId;
-
-console.log(`🔐 Using key file: ${keyFile}`);
-
-async function authenticate() {
-  const auth = new google.auth.GoogleAuth({
-    keyFile,
-    scopes: ["https://www.googleapis.com/auth/drive"],
+export async function getDataFolderId(drive, folderId) {
+  // Find 'data' inside the report folder
+  const { files } = await listAllFiles(drive, {
+    q: `'${folderId}' in parents and mimeType='${FOLDER_MIME_TYPE}' and name='data' and trashed = false`,
+    fields: "nextPageToken, files(id, name)",
   });
-  const drive = google.drive({ version: "v3", auth });
-  const info = await auth.getClient();
-  console.log(`🔑 Authenticated as: ${info.email}`);
-  return drive;
-}
 
-async function listJsonFiles(drive, outputFolderId) {
-  // Find the parent of the output folder
-  const outputMeta = await drive.files.get({
-    fileId: outputFolderId,
-    fields: "id, name, parents",
-    supportsAllDrives: true,
-  });
-  const parentId = outputMeta.data.parents?.[0];
-  if (!parentId) throw new Error("❌ Could not locate parent of output folder.");
-
-  // Now find 'data' inside that parent
-  const folderRes = await drive.files.list({
-    q: `'${folderId}' in parents and mimeType='application/vnd.google-apps.folder' and name='data' and trashed = false`,
-    fields: "files(id, name)",
-    supportsAllDrives: true,
-    includeItemsFromAllDrives: true,
-  });
-
-  const dataFolder = folderRes.data.files?.[0];
+  const dataFolder = files[0];
   if (!dataFolder) throw new Error("❌ 'data' folder not found at same level as 'output' folder.");
 
   console.log(`📁 Found data folder: ${dataFolder.id}`);
+  return dataFolder.id;
+}
 
-  // Now list JSON files inside the data folder
-  const res = await drive.files.list({
-    q: `'${dataFolder.id}' in parents and name contains '.json' and trashed = false`,
-    fields: "files(id, name, mimeType, modifiedTime)",
-    supportsAllDrives: true,
-    includeItemsFromAllDrives: true,
-  });
+export const isJsonFile = (file) => file.mimeType === "application/json" || /\.json$/i.test(file.name);
+
+// Every JSON under data/, including nested subfolders and shortcut targets
+async function listJsonFiles(drive, dataFolderId) {
+  const { files, summary } = await walkFolder(drive, dataFolderId, { match: isJsonFile });
+  logListingSummary(summary, "Drive data listing");
 
-  const files = res.data.files || [];
   if (!files.length) {
     console.log("✅ Connected successfully, but no JSON files found in the 'data' folder.");
-    return [];
+    return { files: [], summary };
   }
 
   console.log(`📁 Found ${files.length} JSON file(s):`);
-  files.forEach((f) => console.log(`   • ${f.name}`));
-  return files;
+  files.forEach((f) => console.log(`   • ${f.relativePath}${f.shortcutId ? " (shortcut)" : ""}`));
+  return { files, summary };
+}
+
+// --- 🧹 Deduplicate Drive JSON files helper ---
+// Trashes older copies that share a folder and name; returns the files that remain.
+// Shortcut targets live elsewhere and are never trashed from here.
+async function dedupeDriveJsonFiles(drive, files) {
+  console.log("🧹 Deduping Drive JSON files...");
+  const grouped = files.reduce((acc, file) => {
+    if (file.shortcutId) return acc;
+    (acc[file.relativePath] = acc[file.relativePath] || []).push(file);
+    return acc;
+  }, {});
+
+  const trashed = new Set();
+  for (const [name, group] of Object.entries(grouped)) {
+    if (group.length > 1) {
+      // Sort by modifiedTime descending
+      group.sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+      const [newest, ...duplicates] = group;
+      for (const dup of duplicates) {
+        await drive.files.update({
+          fileId: dup.id,
+          requestBody: { trashed: true },
+          supportsAllDrives: true,
+        });
+        trashed.add(dup.id);
+      }
+      console.log(`🗑️ Trashed ${duplicates.length} older duplicates for ${name}`);
+    }
+  }
+  return files.filter((f) => !trashed.has(f.id));
+}
+
+/**
+ * Drive JSONs under data/ (deduplicated) followed by local JSONs that aren't
+ * on Drive, except those Drive has a newer copy of.
+ *
+ * @returns {Promise<{ files: object[], listing: object }>} listing: the Drive walk summary
+ */
+async function listFilesToProcess(drive, { folderId, localDir }) {
+  // 🔍 Get Drive JSON file list first (so we can skip re-uploading them)
+  const dataFolderId = await getDataFolderId(drive, folderId);
+  const driveListing = await listJsonFiles(drive, dataFolderId);
+  const driveFiles = await dedupeDriveJsonFiles(drive, driveListing.files);
+  const driveFileNames = new Set(driveFiles.map(f => f.relativePath));
+
+  // ✅ Only include truly local JSONs not already present in Drive
+  const localFiles = fs.readdirSync(localDir)
+    .filter(f => f.endsWith(".json") && !driveFileNames.has(f))
+    .map(f => ({ name: f, localOnly: true }));
+
+  console.log(`📂 Found ${localFiles.length} local-only JSON file(s) not on Drive`);
+
+  // New: map drive file names to modifiedTime
+  const driveFileMap = {};
+  for (const df of driveFiles) {
+    driveFileMap[df.relativePath] = new Date(df.modifiedTime);
+  }
+
+  // Filter local files: skip if drive file exists with same name and newer or equal modifiedTime
+  const filteredLocalFiles = localFiles.filter(localFile => {
+    const driveMod = driveFileMap[localFile.name];
+    if (driveMod) {
+      const localPath = path.join(localDir, localFile.name);
+      const localMod = fs.existsSync(localPath) ? fs.statSync(localPath).mtime : null;
+      if (localMod && localMod <= driveMod) {
+        console.log(`⏩ Skipping local file ${localFile.name} (Drive version is newer)`);
+        return false;
+      }
+    }
+    return true;
+  });
+
+  return { files: [...driveFiles, ...filteredLocalFiles], listing: driveListing.summary };
 }
 
 async function downloadFile(drive, fileId, destPath, attempt = 1) {
@@ -237,130 +249,144 @@ async function downloadFile(drive, fileId, destPath, attempt = 1) {
   }
 }
 
-async function processFiles() {
+/**
+ * Syncs report JSONs between Drive and the local data folder, renders PDFs
+ * and uploads them.
+ *
+ * @param {object} options
+ * @param {object} options.drive - Drive v3 client (googleapis, FakeDrive or dry-run wrapper; see drive-client.js)
+ * @param {string} options.folderId - Report folder containing data/ and output/
+ * @param {string} [options.outputFolderId] - Where PDFs are uploaded when a report has no usable pdf_folder_id (default: folderId)
+ * @param {string} [options.jsonOutputFolderId] - Where local-only JSONs are uploaded (default: folderId)
+ * @param {string} [options.localDir] - Local data folder (default: ./data)
+ * @param {boolean} [options.forceUpload] - Regenerate everything regardless of changes
+ * @param {(jsonPath: string, renderOptions: object) => Promise<string>} [options.generate] - Renders a JSON file and resolves to
+ *   the PDF path; renderOptions (generatePDF options, e.g. encryption) must be applied
+ * @param {{ mode: string, keep: number }} [options.retention] - How superseded PDFs are kept (default: from env, see pdf-publisher.js)
+ * @param {object} [options.encryption] - PDF encryption policy (default: config/pdf-encryption.json, see pdf-encryption.js).
+ *   When it is required, PDFs are rendered encrypted and unencrypted ones are never uploaded
+ * @param {SyncLedger} [options.ledger] - Sync state (default: loaded from state/sync-ledger.json; not saved on dry runs)
+ * @param {object[]} [options.files] - Drive JSONs to process (with relativePath under data/) instead of listing
+ *   data/; used by the watch daemon, which already knows what changed. Local-only JSONs are left alone.
+ * @returns {Promise<{ total: number, uploaded: object[], skipped: string[], errors: object[], routing: { fallbacks: object[], mismatches: object[] }, listing: object }>}
+ */
+export async function processFiles({
+  drive,
+  folderId,
+  outputFolderId = folderId,
+  jsonOutputFolderId = folderId,
+  localDir = path.join(__dirname, "data"),
+  forceUpload = process.env.FORCE_UPLOAD === "true",
+  generate,
+  ledger = SyncLedger.load(DEFAULT_LEDGER_PATH),
+  retention = getRetentionPolicy(),
+  encryption = loadEncryptionPolicy(),
+  files: changedFiles,
+} = {}) {
+  // One warm Chromium for the whole run instead of a launch per report
+  const pool = generate ? null : new BrowserPool({ size: 1 });
+  // Always the patient-facing render: publishPdf refuses draft PDFs, and unencrypted ones when the policy requires encryption.
+  // The options go to whichever renderer is used, so a caller's own (e.g. the watch daemon's) encrypts too
+  const renderOptions = encryption.required ? { encryption } : {};
+  const renderWithPool = (jsonPath, options) => pool.run((page) => generatePDF(jsonPath, { ...options, page }));
+  const render = (jsonPath) => (generate || renderWithPool)(jsonPath, renderOptions);
+  const skippedFiles = [];
+  const uploadedPDFs = [];
+  const errors = [];
+  let listing = null;
+  const router = new FolderRouter(drive, { fallbackFolderId: outputFolderId });
+  let files = [];
+  const routeReport = async (report, fileName) => {
+    const route = await router.route(report, fileName);
+    if (route.requestedFolderId && route.fallback) {
+      console.warn(`⚠️ Can't use pdf_folder_id ${route.requestedFolderId} for ${fileName} (${route.reason}) — uploading to ${route.folderId}`);
+    } else if (!route.fallback) {
+      console.log(`📁 Routing ${fileName} to patient folder ${route.folderId}`);
+    }
+    return route;
+  };
+  // Dry runs never upload, so they must not record anything either
+  const saveLedger = () => {
+    if (!drive.dryRun) ledger.save();
+  };
   try {
-    const skippedFiles = [];
-    const uploadedPDFs = [];
-    const errors = [];
-
-    const drive = await authenticate();
-    console.log("🔑 Authenticated. Looking for JSON files...");
+    fs.ensureDirSync(localDir);
+    // Each ledger entry is compared against the template version it was rendered with
+    const templateHashes = getTemplateHashes();
+    const latestVersion = getLatestTemplateVersion();
+    const templateHashFor = (key) => templateHashes[ledger.get(key)?.templateVersion ?? latestVersion];
+    // Version and hash a report was rendered with, for its ledger entry
+    const renderedTemplate = (report) => {
+      const { version, hash } = resolveReportTemplate(report);
+      return { templateVersion: version, templateHash: hash };
+    };
+    console.log(`🧬 Template versions: ${Object.entries(templateHashes).map(([v, hash]) => `v${v} (${hash})`).join(", ")}`);
+    console.log("🔑 Looking for JSON files...");
 
-    if (process.env.FORCE_UPLOAD === "true") {
+    if (forceUpload) {
       console.log("🚀 FORCE_UPLOAD active — skipping all change detection checks.");
       console.log("⚙️ FORCE_UPLOAD is active — all PDFs will be regenerated and re-uploaded.");
     }
 
-  const outputFolderId = process.env.PDF_OUTPUT_FOLDER_ID || config.driveFolderId;
-  if (process.env.PDF_OUTPUT_FOLDER_ID) {
-    console.log(`📁 Using PDF_OUTPUT_FOLDER_ID from .env: ${outputFolderId}`);
-  } else {
-    console.log(`📁 Using DRIVE_FOLDER_ID as fallback output folder: ${outputFolderId}`);
-  }
-
-  // 🔍 Get Drive JSON file list first (so we can skip re-uploading them)
-  const driveFiles = await listJsonFiles(drive, folderId);
-  const driveFileNames = new Set(driveFiles.map(f => f.name));
+    console.log(`📁 Uploading PDFs to each report's pdf_folder_id, falling back to: ${outputFolderId}`);
 
-  // ✅ Only include truly local JSONs not already present in Drive
-  const localFiles = fs.readdirSync(localDir)
-    .filter(f => f.endsWith(".json") && !driveFileNames.has(f))
-    .map(f => ({ name: f, localOnly: true }));
-
-  console.log(`📂 Found ${localFiles.length} local-only JSON file(s) not on Drive`);
-
-  // --- 🧹 Deduplicate Drive JSON files helper ---
-  async function dedupeDriveJsonFiles(drive, dataFolderId) {
-    console.log("🧹 Deduping Drive JSON files...");
-    const res = await drive.files.list({
-      q: `'${dataFolderId}' in parents and mimeType='application/json' and trashed = false`,
-      fields: 'files(id, name, modifiedTime)',
-      supportsAllDrives: true,
-      includeItemsFromAllDrives: true,
-    });
-    const files = res.data.files || [];
-    const grouped = files.reduce((acc, file) => {
-      (acc[file.name] = acc[file.name] || []).push(file);
-      return acc;
-    }, {});
-
-    for (const [name, group] of Object.entries(grouped)) {
-      if (group.length > 1) {
-        // Sort by modifiedTime descending
-        group.sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
-        const [newest, ...duplicates] = group;
-        for (const dup of duplicates) {
-          await drive.files.update({
-            fileId: dup.id,
-            requestBody: { trashed: true },
-            supportsAllDrives: true,
-          });
-        console.log(`🗑️ Trashed ${duplicates.length} older duplicates for ${name}`);
-      }
-      }
+    if (changedFiles) {
+      files = changedFiles;
+    } else {
+      ({ files, listing } = await listFilesToProcess(drive, { folderId, localDir }));
     }
-  }
-
-  // Find data folder ID for dedupe
-  const folderRes = await drive.files.list({
-    q: `'${folderId}' in parents and mimeType='application/vnd.google-apps.folder' and name='data' and trashed = false`,
-    fields: "files(id, name)",
-    supportsAllDrives: true,
-    includeItemsFromAllDrives: true,
-  });
-
-  const dataFolder = folderRes.data.files?.[0];
-  if (!dataFolder) throw new Error("❌ 'data' folder not found at same level as 'output' folder.");
-
-  await dedupeDriveJsonFiles(drive, dataFolder.id);
-
-  // New: map drive file names to modifiedTime
-  const driveFileMap = {};
-  for (const df of driveFiles) {
-    driveFileMap[df.name] = new Date(df.modifiedTime);
-  }
 
-  // Filter local files: skip if drive file exists with same name and newer or equal modifiedTime
-  const filteredLocalFiles = localFiles.filter(localFile => {
-    const driveMod = driveFileMap[localFile.name];
-    if (driveMod) {
-      const localPath = path.join(localDir, localFile.name);
-      const localMod = fs.existsSync(localPath) ? fs.statSync(localPath).mtime : null;
-      if (localMod && localMod <= driveMod) {
-        console.log(`⏩ Skipping local file ${localFile.name} (Drive version is newer)`);
-        return false;
-      }
+    if (!files.length) {
+      console.log("✅ No Drive or local JSON files found to process.");
+      return { total: 0, uploaded: uploadedPDFs, skipped: skippedFiles, errors, routing: router.getReport(), listing };
     }
-    return true;
-  });
-
-  const files = [...(driveFiles || []), ...filteredLocalFiles];
-
-  if (!files.length) {
-    console.log("✅ No Drive or local JSON files found to process.");
-    return;
-  }
-
-    // const files = await listJsonFiles(drive, folderId);
-    // if (!files.length) return;
 
     for (const file of files) {
       // Handle local-only files (not yet on Drive)
       if (file.localOnly) {
         const localPath = path.join(localDir, file.name);
-        console.log(`📄 Processing local-only file: ${file.name}`);
+        const ledgerKey = `local:${file.name}`;
+        const localHash = hashFile(localPath);
+        const reason = forceUpload ? "forced" : ledger.changeReason(ledgerKey, { localHash, templateHash: templateHashFor(ledgerKey) });
+        if (!reason) {
+          console.log(`⏩ Skipping local-only file ${file.name} (unchanged since last upload)`);
+          skippedFiles.push(file.name);
+          continue;
+        }
+        console.log(`📄 Processing local-only file: ${file.name} (${reason})`);
         try {
-          const pdfPath = await generatePDF(localPath);
+          const pdfPath = await render(localPath);
           // Removed duplicate console.log of PDF generated successfully here
+          const report = readReportData(localPath);
+          const route = await routeReport(report, file.name);
+          const uploadedPDF = await publishPdf(drive, pdfPath, {
+            outputFolderId: route.folderId,
+            patientId: report.patient_id,
+            knownFileId: ledger.get(ledgerKey)?.pdfFileId,
+            retention,
+            requireEncryption: encryption.required,
+          });
+          const uploadedJSON = await uploadJsonToDrive(drive, localPath, jsonOutputFolderId);
+          console.log(`⬆️  Uploaded ${file.name} and ${path.basename(pdfPath)} to Drive`);
+          // Only once both uploads succeed: publishPdf may refuse the PDF (draft, unencrypted)
           uploadedPDFs.push({
             file: path.basename(pdfPath),
-            driveLink: null
+            driveLink: uploadedPDF.webViewLink
           });
-          const uploadedPDF = await uploadFileToDrive(drive, pdfPath, outputFolderId);
-          const uploadedJSON = await uploadJsonToDrive(drive, localPath, process.env.JSON_OUTPUT_FOLDER_ID || folderId);
-          console.log(`⬆️  Uploaded ${file.name} and ${path.basename(pdfPath)} to Drive`);
+          ledger.record(ledgerKey, {
+            name: file.name,
+            driveFileId: uploadedJSON.id,
+            remoteChecksum: localHash,
+            localHash,
+            ...renderedTemplate(report),
+            pdfFileId: uploadedPDF.id,
+            pdfFolderId: route.folderId,
+            pdfName: path.basename(pdfPath),
+          });
+          saveLedger();
         } catch (err) {
           console.error(`❌ Error processing local-only file ${file.name}: ${err.message}`);
+          errors.push({ file: file.name, error: err.message });
         }
         continue;
       }
@@ -372,76 +398,96 @@ async function processFiles() {
       }
 
 
-      const localPath = path.join(localDir, file.name);
+      // The item that sits in data/ (the shortcut, for shortcut entries); lets callers retry failures
+      const dataItemId = file.shortcutId || file.id;
 
-      // --- 🧩 Validate JSON before generating PDF ---
-      try {
-        JSON.parse(fs.readFileSync(localPath, 'utf8'));
-      } catch (parseErr) {
-        console.error(`❌ Malformed JSON (${file.name}): ${parseErr.message}`);
-        errors.push({ file: file.name, error: parseErr.message });
-        continue; // Skip bad JSON and move on to next file
+      // Nested Drive folders are mirrored under localDir so equal names don't collide
+      const localPath = path.join(localDir, ...file.relativePath.split("/"));
+      fs.ensureDirSync(path.dirname(localPath));
+
+      // --- 🔍 Check the ledger for changes before regenerating ---
+      const remote = { remoteChecksum: file.md5Checksum, remoteModifiedTime: file.modifiedTime };
+      let localHash = hashFile(localPath);
+
+      if (forceUpload) {
+        console.log(`⚙️ FORCE_UPLOAD enabled — regenerating ${file.name} regardless of changes`);
+      } else {
+        const reason = ledger.changeReason(file.id, { ...remote, localHash, templateHash: templateHashFor(file.id) });
+        if (!reason) {
+          console.log(`⏩ Skipping ${file.name} (no changes detected)`);
+          skippedFiles.push(file.name);
+          continue;
+        }
+        console.log(`🔄 Regenerating ${file.name} (${reason})`);
       }
 
-      // --- 🔍 Check JSON file for changes before regenerating ---
-      const driveModified = new Date(file.modifiedTime);
-      const forceUpload = process.env.FORCE_UPLOAD === "true";
-
-      if (fs.existsSync(localPath)) {
-        const localModified = fs.statSync(localPath).mtime;
-        const localHash = getFileHash(localPath);
-        const remoteHash = file.md5Checksum;
-
-        if (forceUpload) {
-          console.log(`⚙️ FORCE_UPLOAD enabled — regenerating ${file.name} regardless of changes`);
-        } else {
-          // --- 🧮 Skip unchanged files ---
-          if (remoteHash && localHash && remoteHash === localHash) {
-            console.log(`⏩ Skipping ${file.name} (no changes detected — hash match)`);
-            skippedFiles.push(file.name);
-            continue;
-          } else if (!remoteHash && localModified >= driveModified) {
-            console.log(`⏩ Skipping ${file.name} (no changes detected — timestamp fallback)`);
-            skippedFiles.push(file.name);
-            continue;
-          }
+      // --- ⬇️ Download the JSON from Drive (unless the local copy is identical) ---
+      if (localHash && file.md5Checksum && localHash === file.md5Checksum) {
+        console.log(`✅ Local copy of ${file.name} matches Drive — no download needed`);
+      } else {
+        console.log(`⬇️  Downloading ${file.name} to ${localPath}`);
+        try {
+          await downloadFile(drive, file.id, localPath);
+          console.log(`✅ Downloaded ${file.name}`);
+        } catch (err) {
+          console.error(`❌ Failed to download ${file.name}: ${err.message}`);
+          errors.push({ file: file.name, fileId: dataItemId, error: err.message });
+          continue;
         }
+        localHash = hashFile(localPath);
       }
 
-      // --- ⬇️ Download the JSON from Drive ---
-      console.log(`⬇️  Downloading ${file.name} to ${localPath}`);
+      // --- 🧩 Validate JSON before generating PDF (after download, so new Drive files are checked too) ---
       try {
-        await downloadFile(drive, file.id, localPath);
-        console.log(`✅ Downloaded ${file.name}`);
-      } catch (err) {
-        console.error(`❌ Failed to download ${file.name}: ${err.message}`);
-        errors.push({ file: file.name, error: err.message });
-        continue;
+        JSON.parse(fs.readFileSync(localPath, 'utf8'));
+      } catch (parseErr) {
+        console.error(`❌ Malformed JSON (${file.name}): ${parseErr.message}`);
+        errors.push({ file: file.name, fileId: dataItemId, error: parseErr.message });
+        continue; // Skip bad JSON and move on to next file
       }
 
       // --- 📄 Generate the PDF locally ---
       let pdfPath;
       try {
-        pdfPath = await generatePDF(localPath);
+        pdfPath = await render(localPath);
         console.log(`✅ PDF generated successfully: ${pdfPath}`);
       } catch (err) {
         console.error(`⚠️ Error generating PDF for ${file.name}: ${err.message}`);
-        errors.push({ file: file.name, error: err.message });
+        errors.push({ file: file.name, fileId: dataItemId, error: err.message });
         continue;
       }
 
       // --- 📤 Upload generated PDF to Drive output folder ---
       if (pdfPath && fs.existsSync(pdfPath)) {
         try {
-          const uploaded = await uploadFileToDrive(drive, pdfPath, outputFolderId);
-          console.log(`⬆️  Uploaded ${path.basename(pdfPath)} to Drive: ${uploaded.webViewLink}`);
+          const report = readReportData(localPath);
+          const route = await routeReport(report, file.name);
+          const uploaded = await publishPdf(drive, pdfPath, {
+            outputFolderId: route.folderId,
+            patientId: report.patient_id,
+            knownFileId: ledger.get(file.id)?.pdfFileId,
+            retention,
+            requireEncryption: encryption.required,
+          });
+          console.log(`⬆️  ${uploaded.action === "updated" ? "Updated" : "Uploaded"} ${path.basename(pdfPath)} on Drive: ${uploaded.webViewLink}`);
           uploadedPDFs.push({
             file: path.basename(pdfPath),
             driveLink: uploaded.webViewLink
           });
+          ledger.record(file.id, {
+            name: file.name,
+            driveFileId: file.id,
+            ...remote,
+            localHash,
+            ...renderedTemplate(report),
+            pdfFileId: uploaded.id,
+            pdfFolderId: route.folderId,
+            pdfName: path.basename(pdfPath),
+          });
+          saveLedger();
         } catch (err) {
           console.error(`❌ Failed to upload PDF ${pdfPath}:`, err.message);
-          errors.push({ file: path.basename(pdfPath), error: err.message });
+          errors.push({ file: path.basename(pdfPath), fileId: dataItemId, error: err.message });
         }
       } else {
         console.warn(`⚠️ No PDF found for ${file.name}`);
@@ -453,6 +499,9 @@ async function processFiles() {
     console.log(`\n🧾 Summary Report`);
     console.log(`──────────────────────────────`);
     console.log(`📦 Total JSONs found: ${files.length}`);
+    if (listing) {
+      console.log(`🔎 Drive listing: ${listing.matched} JSON(s) across ${listing.folders} folder(s) and ${listing.pages} page(s), ${listing.shortcutsResolved} shortcut(s) resolved, ${listing.brokenShortcuts.length} broken`);
+    }
     console.log(`✅ PDFs generated: ${uploadedPDFs.length}`);
     console.log(`⏩ Skipped (unchanged): ${skippedFiles.length}`);
     console.log(`⚠️ Errors: ${errors.length}`);
@@ -464,13 +513,83 @@ async function processFiles() {
       });
     }
 
+    const routing = router.getReport();
+    if (routing.fallbacks.length > 0) {
+      console.log(`\nFolder fallbacks:`);
+      routing.fallbacks.forEach((f, idx) => {
+        console.log(` ${idx + 1}. ${f.file} → pdf_folder_id ${f.requestedFolderId}: ${f.reason}`);
+      });
+    }
+    if (routing.mismatches.length > 0) {
+      console.log(`\nFolder mismatches:`);
+      routing.mismatches.forEach((m, idx) => {
+        console.log(` ${idx + 1}. ${m.message} (${m.files.join(", ")})`);
+      });
+    }
+
     console.log(`\n🕒 Completed at: ${new Date().toLocaleTimeString()}`);
     console.log(`──────────────────────────────\n`);
 
   } catch (err) {
     console.error("❌ Error during automation:", err.message);
+    errors.push({ file: "(run)", error: err.message });
+  } finally {
+    if (pool) await pool.close();
   } // closes try/catch
 
+  return { total: files.length, uploaded: uploadedPDFs, skipped: skippedFiles, errors, routing: router.getReport(), listing };
 } // closes processFiles()
 
-processFiles(); // make sure you call it at the very end
\ No newline at end of file
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+// --fake-drive <dir>  use a local Drive created with scripts/fake-drive.js instead of Google Drive
+// --dry-run           read from Drive and render locally, but never create, update or trash anything on Drive
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values } = parseArgs({
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      "fake-drive": { type: "string" },
+    },
+  });
+
+  (async () => {
+    let drive;
+    let folderId;
+    if (values["fake-drive"]) {
+      drive = createFakeDriveClient(values["fake-drive"]);
+      folderId = drive.rootFolderId;
+      if (!folderId) throw new Error(`Fake Drive at ${values["fake-drive"]} has no folders; run scripts/fake-drive.js first.`);
+    } else {
+      const config = getConfig();
+      console.log(`🔐 Using key file: ${config.keyFile}`);
+      drive = await createGoogleDriveClient({ keyFile: config.keyFile, scopes: config.scopes });
+      folderId = config.driveFolderId;
+    }
+
+    if (values["dry-run"]) {
+      console.log("🧪 Dry run — nothing will be written to Drive.");
+      drive = createDryRunDrive(drive);
+    }
+
+    const fake = Boolean(values["fake-drive"]);
+    const outputFolderId = (!fake && process.env.PDF_OUTPUT_FOLDER_ID) || folderId;
+    if (!fake && process.env.PDF_OUTPUT_FOLDER_ID) {
+      console.log(`📁 Using PDF_OUTPUT_FOLDER_ID from .env: ${outputFolderId}`);
+    } else {
+      console.log(`📁 Using DRIVE_FOLDER_ID as fallback output folder: ${outputFolderId}`);
+    }
+
+    const summary = await processFiles({
+      drive,
+      folderId,
+      outputFolderId,
+      jsonOutputFolderId: (!fake && process.env.JSON_OUTPUT_FOLDER_ID) || folderId,
+    });
+    if (summary.errors.length) process.exitCode = 1;
+  })().catch((err) => {
+    console.error("❌ Error during automation:", err.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
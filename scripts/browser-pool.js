@@ -0,0 +1,152 @@
+import puppeteer from "puppeteer";
+import { RenderError } from "./errors.js";
+
+// Local file:// icons, fonts and CSS only load with these flags
+export const LAUNCH_ARGS = ['--allow-file-access-from-files', '--disable-web-security'];
+
+export function launchBrowser(launchOptions = {}) {
+  return puppeteer.launch({
+    headless: true,
+    args: LAUNCH_ARGS,
+    ...launchOptions,
+  });
+}
+
+/**
+ * Keeps one Chromium instance and a fixed number of warm pages.
+ * Callers borrow a page with run(fn); when every page is busy, callers
+ * wait in FIFO order until one is released.
+ * If Chromium crashes or disconnects, callers still waiting are rejected and
+ * the next run() launches a fresh browser, so long-running services recover.
+ */
+export class BrowserPool {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.size] - Pages (concurrent renders)
+   * @param {object} [options.launchOptions] - Passed to puppeteer.launch
+   * @param {(launchOptions: object) => Promise<import("puppeteer").Browser>} [options.launch] - Browser factory (default: launchBrowser)
+   */
+  constructor({ size = 2, launchOptions = {}, launch = launchBrowser } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Browser pool size must be a positive integer (got ${size})`);
+    }
+    this.size = size;
+    this.launchOptions = launchOptions;
+    this.launch = launch;
+    this.browser = null;
+    this.idle = [];
+    this.waiting = [];
+    this.starting = null;
+    this.leased = 0;
+    // Bumped by close() so a launch still in flight knows its pool is gone
+    this.generation = 0;
+  }
+
+  async start() {
+    if (this.browser) return this;
+    if (!this.starting) {
+      const generation = this.generation;
+      this.starting = (async () => {
+        let browser;
+        try {
+          browser = await this.launch(this.launchOptions);
+          const pages = await Promise.all(Array.from({ length: this.size }, () => browser.newPage()));
+          if (generation !== this.generation) throw new Error("the pool was closed while starting");
+          browser.once("disconnected", () => this.#disconnected(browser));
+          this.browser = browser;
+          this.idle = pages;
+          console.log(`🧭 Browser pool ready with ${this.size} page(s)`);
+          return this;
+        } catch (err) {
+          // A half-started browser is closed, and the next caller tries again instead of failing forever
+          await browser?.close().catch(() => {});
+          throw new RenderError(`Failed to launch browser: ${err.message}`, { cause: err });
+        } finally {
+          if (generation === this.generation) this.starting = null;
+        }
+      })();
+    }
+    return this.starting;
+  }
+
+  // Pages of the old browser are dropped as they come back; the next acquire() relaunches
+  #disconnected(browser) {
+    if (this.browser !== browser) return;
+    console.warn("⚠️ Browser disconnected; a new one will be launched for the next render");
+    this.browser = null;
+    this.idle = [];
+    this.#rejectWaiting(new RenderError("Browser disconnected while waiting for a page"));
+  }
+
+  #rejectWaiting(err) {
+    const waiting = this.waiting;
+    this.waiting = [];
+    for (const { reject } of waiting) reject(err);
+  }
+
+  get busy() {
+    return this.leased;
+  }
+
+  get queued() {
+    return this.waiting.length;
+  }
+
+  async acquire() {
+    await this.start();
+    if (this.idle.length > 0) {
+      this.leased++;
+      return this.idle.pop();
+    }
+    // Disconnected since start() resolved: launch again
+    if (!this.browser) return this.acquire();
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  async release(page) {
+    const browser = this.browser;
+    if (!browser || page.browser() !== browser) {
+      this.leased--;
+      return;
+    }
+    // A page whose target crashed is replaced so the pool keeps its size
+    if (page.isClosed()) {
+      try {
+        page = await browser.newPage();
+      } catch (err) {
+        // A browser that can't open pages is treated as crashed
+        this.leased--;
+        console.warn(`⚠️ Could not replace a crashed page: ${err.message}`);
+        await browser.close().catch(() => {});
+        this.#disconnected(browser);
+        return;
+      }
+    }
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve(page);
+    } else {
+      this.leased--;
+      this.idle.push(page);
+    }
+  }
+
+  async run(fn) {
+    const page = await this.acquire();
+    try {
+      return await fn(page);
+    } finally {
+      await this.release(page);
+    }
+  }
+
+  async close() {
+    const browser = this.browser;
+    this.generation++;
+    this.browser = null;
+    this.starting = null;
+    this.idle = [];
+    this.#rejectWaiting(new RenderError("Browser pool closed"));
+    if (browser) await browser.close();
+  }
+}
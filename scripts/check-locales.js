@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Handlebars from "handlebars";
+import chalk from "chalk";
+import { LOCALES_DIR, DEFAULT_LOCALE, listLocales, getCatalogPath, flattenCatalog, getPlaceholders } from "./i18n.js";
+import { listTemplateVersions, getTemplateDir } from "./template-registry.js";
+import { REPORT_SECTIONS } from "./table-of-contents.js";
+
+// Keeps the message catalogs in step with each other and with the code:
+//   - every locale defines every English key, with the same {placeholders}
+//   - every key the templates and scripts look up exists in English
+// Extra keys in a translation are reported as warnings. Exits 1 on errors (CI).
+//
+// Usage: node scripts/check-locales.js
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Literal keys passed to {{t "..."}} / (t "...") anywhere in a template
+function getTemplateKeys(source) {
+  const keys = new Set();
+  const visitor = new Handlebars.Visitor();
+  const collect = (node) => {
+    const [key] = node.params;
+    if (node.path.original === "t" && key?.type === "StringLiteral") keys.add(key.value);
+  };
+  visitor.MustacheStatement = function (node) {
+    collect(node);
+    Handlebars.Visitor.prototype.MustacheStatement.call(this, node);
+  };
+  visitor.SubExpression = function (node) {
+    collect(node);
+    Handlebars.Visitor.prototype.SubExpression.call(this, node);
+  };
+  visitor.accept(Handlebars.parse(source));
+  return keys;
+}
+
+// Literal keys passed to translate()/translateText()/getMessage() or returned as a messageKey
+function getScriptKeys(source) {
+  const calls = source.matchAll(/\b(?:translate|translateText|getMessage)\([^,()]+,\s*["'`]([\w.]+)["'`]/g);
+  const messageKeys = source.matchAll(/\bmessageKey:\s*["'`]([\w.]+)["'`]/g);
+  return new Set([...calls, ...messageKeys].map((match) => match[1]));
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.dir] - Catalog directory (default locales/)
+ * @returns {{ errors: string[], warnings: string[], locales: string[] }}
+ */
+export function checkLocales({ dir = LOCALES_DIR } = {}) {
+  const errors = [];
+  const warnings = [];
+  const locales = listLocales(dir);
+
+  const read = (language) => {
+    try {
+      return flattenCatalog(JSON.parse(fs.readFileSync(getCatalogPath(language, dir), "utf8")));
+    } catch (err) {
+      errors.push(`${language}.json: ${err.message}`);
+      return null;
+    }
+  };
+
+  if (!locales.includes(DEFAULT_LOCALE)) {
+    errors.push(`${DEFAULT_LOCALE}.json is missing from ${dir}`);
+    return { errors, warnings, locales };
+  }
+  const reference = read(DEFAULT_LOCALE);
+  if (!reference) return { errors, warnings, locales };
+
+  // 1️⃣ Every locale matches the English keys and placeholders
+  for (const language of locales.filter((language) => language !== DEFAULT_LOCALE)) {
+    const messages = read(language);
+    if (!messages) continue;
+    for (const [key, english] of Object.entries(reference)) {
+      const message = messages[key];
+      if (typeof message !== "string" || !message.trim()) {
+        errors.push(`${language}.json: missing "${key}"`);
+        continue;
+      }
+      const expected = getPlaceholders(english).join(", ");
+      const actual = getPlaceholders(message).join(", ");
+      if (expected !== actual) {
+        errors.push(`${language}.json: "${key}" uses {${actual}} but ${DEFAULT_LOCALE}.json uses {${expected}}`);
+      }
+    }
+    for (const key of Object.keys(messages).filter((key) => !(key in reference))) {
+      warnings.push(`${language}.json: "${key}" is not in ${DEFAULT_LOCALE}.json`);
+    }
+  }
+
+  // 2️⃣ Every key the code asks for exists
+  const used = new Map();
+  const use = (keys, where) => keys.forEach((key) => used.set(key, used.get(key) || where));
+  for (const version of listTemplateVersions()) {
+    const templatePath = path.join(getTemplateDir(version), "report.hbs");
+    use(getTemplateKeys(fs.readFileSync(templatePath, "utf8")), path.relative(process.cwd(), templatePath));
+  }
+  use(REPORT_SECTIONS.map((section) => `contents.${section.id}`), "table-of-contents.js");
+  for (const file of fs.readdirSync(__dirname).filter((file) => file.endsWith(".js"))) {
+    use(getScriptKeys(fs.readFileSync(path.join(__dirname, file), "utf8")), file);
+  }
+  for (const [key, where] of used) {
+    if (!(key in reference)) errors.push(`${where}: uses "${key}", which is not in ${DEFAULT_LOCALE}.json`);
+  }
+
+  return { errors, warnings, locales };
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { errors, warnings, locales } = checkLocales();
+  console.log(chalk.cyan(`🌐 Checking message catalogs: ${locales.join(", ") || "none"}`));
+  for (const warning of warnings) console.log(chalk.yellow(`⚠️  ${warning}`));
+  for (const error of errors) console.error(chalk.red(`❌ ${error}`));
+
+  if (errors.length) {
+    console.error(chalk.red(`\n❌ ${errors.length} problem(s) found`));
+    process.exitCode = 1;
+  } else {
+    console.log(chalk.green(`✅ All catalogs complete${warnings.length ? ` (${warnings.length} warning(s))` : ""}`));
+  }
+}
@@ -0,0 +1,126 @@
+// Provenance for rendered facts: numbers every (source document, page) pair
+// that a field cites and groups them into the "Sources" appendix. Each cited
+// fact is named from the locale's catalog (sources.fields.<key>); keys without
+// a message fall back to the JSON key, humanized.
+
+import { translateText, hasMessage } from "./i18n.js";
+
+const indexCache = new WeakMap();
+
+function hasSource(field) {
+  return field && typeof field === "object" && typeof field.source === "string" && field.source.trim() !== "";
+}
+
+function pageNumber(field) {
+  const page = parseInt(field.source_page, 10);
+  return Number.isFinite(page) ? page : null;
+}
+
+// Every field object that can carry source / source_page / service_date, with its JSON path
+function collectCitedFields(data) {
+  const cited = [];
+  const addAll = (obj, basePath) => {
+    if (!obj || typeof obj !== "object") return;
+    for (const [key, field] of Object.entries(obj)) {
+      if (hasSource(field)) cited.push({ field, path: `${basePath}.${key}` });
+    }
+  };
+
+  addAll(data?.general_info, "general_info");
+  addAll(data?.diagnosis, "diagnosis");
+  (Array.isArray(data?.tumors) ? data.tumors : []).forEach((tumor, i) => addAll(tumor?.fields, `tumors[${i}].fields`));
+  (Array.isArray(data?.testing_and_consultations?.tests) ? data.testing_and_consultations.tests : []).forEach((test, i) => {
+    if (hasSource(test)) cited.push({ field: test, path: `testing_and_consultations.tests[${i}]` });
+  });
+  return cited;
+}
+
+const ACRONYMS = new Set(["er", "pr", "erpr", "her2", "ihc", "fish", "ish", "brca", "pdl1", "cps", "tnbc", "ibc", "cm"]);
+
+function humanize(key) {
+  const words = String(key).split("_").filter(Boolean).map((w) => (ACRONYMS.has(w.toLowerCase()) ? w.toUpperCase() : w));
+  const text = words.join(" ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function fieldLabel(key, locale) {
+  const messageKey = `sources.fields.${key}`;
+  return hasMessage(messageKey) ? translateText(locale, messageKey) : humanize(key);
+}
+
+// Reader-facing name for a cited fact, e.g. "Tumor 2: Overall grade"
+function labelFor(path, field, locale) {
+  const test = path.match(/^testing_and_consultations\.tests\[\d+\]$/);
+  if (test) return field.patient_facing_label || field.test_name || translateText(locale, "sources.test");
+  const tumor = path.match(/^tumors\[(\d+)\]\.fields\.(.+)$/);
+  if (tumor) return translateText(locale, "sources.tumor_field", { number: Number(tumor[1]) + 1, field: fieldLabel(tumor[2], locale) });
+  return fieldLabel(path.split(".").pop(), locale);
+}
+
+function findRecord(records, source) {
+  return records.find((r) => r?.document_name === source || r?.source_url === source || r?.name === source) || null;
+}
+
+/**
+ * Builds the citation index for a report, with labels in the given locale.
+ * Numbers are assigned per (document, page), in order of first appearance of
+ * each document and then by page, so each document's citations are contiguous.
+ *
+ * Returns { groups: [{ source, record, title, serviceDate, inRecordsReviewed,
+ * citations: [{ number, anchorId, page, items: [{ path, label }] }] }], numberFor(field) }
+ */
+export function buildCitationIndex(data, { locale } = {}) {
+  const records = Array.isArray(data?.records_reviewed) ? data.records_reviewed : [];
+  const bySource = new Map();
+
+  for (const { field, path } of collectCitedFields(data)) {
+    const source = field.source.trim();
+    if (!bySource.has(source)) bySource.set(source, new Map());
+    const pages = bySource.get(source);
+    const page = pageNumber(field);
+    const pageKey = page === null ? "" : String(page);
+    if (!pages.has(pageKey)) pages.set(pageKey, { page, fields: [], items: [] });
+    pages.get(pageKey).fields.push(field);
+    pages.get(pageKey).items.push({ path, label: labelFor(path, field, locale) });
+  }
+
+  const numbers = new Map();
+  let next = 1;
+  const groups = [...bySource.entries()].map(([source, pages]) => {
+    const citations = [...pages.values()]
+      .sort((a, b) => (a.page ?? Infinity) - (b.page ?? Infinity))
+      .map(({ page, fields, items }) => {
+        const number = next++;
+        fields.forEach((field) => numbers.set(field, number));
+        return { number, anchorId: getCitationAnchorId(number), page, items };
+      });
+    const record = findRecord(records, source);
+    return {
+      source,
+      record,
+      title: record?.patient_facing_title || record?.type || source,
+      serviceDate: record?.service_date || "",
+      inRecordsReviewed: Boolean(record),
+      citations,
+    };
+  });
+
+  return {
+    groups,
+    numberFor: (field) => (field && typeof field === "object" ? numbers.get(field) ?? null : null),
+  };
+}
+
+// Helpers are called many times per render; build the index once per data object and locale
+export function getCitationIndex(data, { locale } = {}) {
+  if (!data || typeof data !== "object") return buildCitationIndex(data, { locale });
+  if (!indexCache.has(data)) indexCache.set(data, new Map());
+  const byLocale = indexCache.get(data);
+  const key = locale || "";
+  if (!byLocale.has(key)) byLocale.set(key, buildCitationIndex(data, { locale }));
+  return byLocale.get(key);
+}
+
+export function getCitationAnchorId(number) {
+  return `source_${number}`;
+}
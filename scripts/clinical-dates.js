@@ -0,0 +1,175 @@
+import { ReportError, ReportDataError } from "./errors.js";
+import { getIntlLocale } from "./i18n.js";
+
+// Clinical dates (service dates, dates of birth, test dates) are calendar
+// days, not instants. Reports carry them in several shapes:
+//   "2025-08-06"                                   plain ISO date
+//   "2025-08-06T00:00:00.000Z"                     ISO date serialized at midnight
+//   "Thu Aug 28 1975 17:00:00 GMT-0700 (...)"      JS Date.toString() from the intake form
+//   "October 12, 2025" / "Nov 5, 2025" / "10/12/2025"
+// Each is read as the day it names, as written, so output never depends on
+// the renderer's TZ. Only real instants (a timestamp with a time of day, or
+// "now") are placed on the calendar, in the report's timezone.
+
+// The intake tools and the care team work in Pacific time
+export const DEFAULT_TIMEZONE = "America/Los_Angeles";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DATE_TO_STRING = /^(?:[A-Za-z]{3},? )?([A-Za-z]{3}) (\d{1,2}) (\d{4}) \d{2}:\d{2}:\d{2} GMT[+-]\d{4}/;
+const MONTH_NAME = /^([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})$/;
+const DAY_MONTH_NAME = /^(\d{1,2}) ([A-Za-z]{3,9})\.?,? (\d{4})$/;
+const US_NUMERIC = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The timezone a report's instants are shown in: the override if given, else
+ * the report's `timezone` field, else REPORT_TIMEZONE, else Pacific time.
+ *
+ * @param {object} data - Report JSON
+ * @param {object} [options]
+ * @param {string} [options.override] - e.g. from --timezone
+ * @returns {{ timezone: string, source: "override"|"timezone"|"env"|"default" }}
+ * @throws {ReportError} INVALID_OPTION for an unknown override or REPORT_TIMEZONE
+ * @throws {ReportDataError} UNKNOWN_TIMEZONE for an unknown timezone field
+ */
+export function resolveTimezone(data, { override, env = process.env } = {}) {
+  if (override !== undefined && override !== null && override !== "") {
+    if (!isValidTimezone(override)) {
+      throw new ReportError(`Unknown timezone "${override}" (expected an IANA name such as America/New_York)`, { code: "INVALID_OPTION" });
+    }
+    return { timezone: override, source: "override" };
+  }
+  if (data?.timezone !== undefined && data.timezone !== "") {
+    if (!isValidTimezone(data.timezone)) {
+      throw new ReportDataError(`Unknown timezone ${JSON.stringify(data.timezone)} (expected an IANA name such as America/New_York)`, {
+        code: "UNKNOWN_TIMEZONE",
+      });
+    }
+    return { timezone: data.timezone, source: "timezone" };
+  }
+  if (env.REPORT_TIMEZONE) {
+    if (!isValidTimezone(env.REPORT_TIMEZONE)) {
+      throw new ReportError(`REPORT_TIMEZONE "${env.REPORT_TIMEZONE}" is not a known timezone`, { code: "INVALID_OPTION" });
+    }
+    return { timezone: env.REPORT_TIMEZONE, source: "env" };
+  }
+  return { timezone: DEFAULT_TIMEZONE, source: "default" };
+}
+
+// Rejects impossible days such as 2025-02-30
+function calendarDate(year, month, day) {
+  const [y, m, d] = [Number(year), Number(month), Number(day)];
+  const check = new Date(Date.UTC(y, m - 1, d));
+  if (check.getUTCFullYear() !== y || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return null;
+  return { year: y, month: m, day: d };
+}
+
+function monthNumber(name) {
+  const index = MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/** The calendar day an instant falls on in a timezone. */
+export function dateInTimezone(instant, timezone = DEFAULT_TIMEZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone, year: "numeric", month: "numeric", day: "numeric" })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, value]),
+  );
+  return calendarDate(parts.year, parts.month, parts.day);
+}
+
+export function today(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return dateInTimezone(now, timezone);
+}
+
+/**
+ * Reads any date shape a report carries as a calendar date.
+ *
+ * @param {string|Date} value
+ * @param {object} [options]
+ * @param {string} [options.timezone] - Used only for values that are true instants
+ * @returns {{ year: number, month: number, day: number } | null} null when empty or unrecognized
+ */
+export function parseClinicalDate(value, { timezone = DEFAULT_TIMEZONE } = {}) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : dateInTimezone(value, timezone);
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  let match;
+  if ((match = text.match(ISO_DATE))) return calendarDate(match[1], match[2], match[3]);
+
+  if ((match = text.match(ISO_DATE_TIME))) {
+    const [, year, month, day, hour, minute, second = "00", offset] = match;
+    // Midnight (or no offset at all) means a date-only value: keep the day as written
+    const midnight = hour === "00" && minute === "00" && second === "00";
+    if (midnight || !offset) return calendarDate(year, month, day);
+    const instant = new Date(text);
+    return isNaN(instant.getTime()) ? null : dateInTimezone(instant, timezone);
+  }
+
+  // Date.toString() shows the day in the writer's zone, which is the day they picked
+  if ((match = text.match(DATE_TO_STRING))) return calendarDate(match[3], monthNumber(match[1]), match[2]);
+
+  if ((match = text.match(MONTH_NAME)) && monthNumber(match[1])) return calendarDate(match[3], monthNumber(match[1]), match[2]);
+  if ((match = text.match(DAY_MONTH_NAME)) && monthNumber(match[2])) return calendarDate(match[3], monthNumber(match[2]), match[1]);
+  if ((match = text.match(US_NUMERIC))) return calendarDate(match[3], match[1], match[2]);
+
+  return null;
+}
+
+const pad = (number, width = 2) => String(number).padStart(width, "0");
+
+/** "YYYY-MM-DD" */
+export function toISODate({ year, month, day }) {
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+}
+
+// Named output formats used by the template helpers
+export const DATE_FORMATS = {
+  long: { month: "long", day: "numeric", year: "numeric" }, // October 14, 2025
+  short: { month: "short", day: "numeric", year: "numeric" }, // Oct 14, 2025
+};
+
+/** Formats a calendar date for a locale; the day never shifts with the host's TZ. */
+export function formatCalendarDate(date, locale, format = "long") {
+  if (format === "iso") return toISODate(date);
+  const utc = new Date(Date.UTC(date.year, date.month - 1, date.day));
+  return utc.toLocaleDateString(getIntlLocale(locale), { ...DATE_FORMATS[format], timeZone: "UTC" });
+}
+
+/**
+ * Parses and formats in one step. Unrecognized values are returned unchanged
+ * (e.g. "Week of Nov 10"), as the date helpers always have.
+ *
+ * @param {string|Date} value
+ * @param {{ locale?: string, timezone?: string, format?: "long"|"short"|"iso" }} [options]
+ */
+export function formatClinicalDate(value, { locale, timezone, format = "long" } = {}) {
+  const date = parseClinicalDate(value, { timezone });
+  return date ? formatCalendarDate(date, locale, format) : value;
+}
+
+/**
+ * Sort comparator for calendar dates, oldest first. Missing or unrecognized
+ * dates sort before everything else.
+ */
+export function compareClinicalDates(a, b, { timezone } = {}) {
+  const key = (value) => {
+    const date = parseClinicalDate(value, { timezone });
+    return date ? date.year * 10000 + date.month * 100 + date.day : -Infinity;
+  };
+  const [keyA, keyB] = [key(a), key(b)];
+  return keyA === keyB ? 0 : keyA < keyB ? -1 : 1;
+}
@@ -0,0 +1,268 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { ReportError, ReportDataError, TemplateError } from "./errors.js";
+import { sanitizeReportData } from "./sanitize.js";
+
+// Preflight for report data: walks every field the template prints (diagnosis
+// values, tumor values and explanations, summary cards, explanations of tests
+// and consultations to consider, treatment columns) and lists each one that is
+// missing or empty, with the report section it affects.
+// A policy then decides, per gap, what the render does:
+//   block     fail with a ReportDataError (code INCOMPLETE_REPORT)
+//   fallback  print a neutral "not yet available" line in its place
+//   hide      leave out the row, card or stat the field belongs to
+//
+// The policy is JSON: { "default": "fallback", "sections": { "<section id>": "block" }, "rules": { "<rule id>": "hide" } }
+// where rules win over sections and sections over the default. config/completeness-policy.json
+// is used unless another policy is given.
+//
+// Usage: node scripts/completeness.js [files/dirs/globs...] [--policy <block|fallback|hide|file.json>]
+// Exits 1 when any report has a gap its policy blocks.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_POLICY_PATH = path.resolve(__dirname, "../config/completeness-policy.json");
+
+export const GAP_ACTIONS = ["block", "fallback", "hide"];
+
+// Same test as the template's filterByLikelihood
+function isToConsider(test) {
+  const likelihood = String(test?.likelihood ?? "").trim().toLowerCase();
+  return likelihood !== "" && likelihood !== "completed";
+}
+
+// What the template consumes. `each` expands an array (tumors[0], tumors[1], ...)
+// and `paths` are then relative to each item; `when` skips the rule, like the
+// template's {{#if}}, unless that path has a value (or, as a function, unless it returns true).
+// Missing summary collections have nothing to fall back to: the block is left out unless blocked.
+export const COMPLETENESS_RULES = [
+  { id: "diagnosis.cancer_type", section: "diagnosis_summary", when: "diagnosis", paths: ["diagnosis.cancer_type.value"] },
+  { id: "diagnosis.stage", section: "diagnosis_summary", when: "diagnosis", paths: ["diagnosis.stage.value"] },
+  { id: "diagnosis.overall_grade", section: "diagnosis_summary", when: "diagnosis", paths: ["diagnosis.overall_grade.value"] },
+  { id: "diagnosis.her2_status", section: "diagnosis_summary", when: "diagnosis", paths: ["diagnosis.her2_status.value"] },
+
+  ...["cancer_type", "location_of_tumor", "stage", "overall_grade", "erpr_status", "her2_status"].map((field) => ({
+    id: `tumor.${field}`,
+    section: "diagnosis_summary",
+    each: "tumors",
+    paths: [`fields.${field}.value`, `fields.${field}.explanation`],
+  })),
+  // Optional rows only appear with a value, but then need their explanation
+  ...["er_status", "pr_status", "ihc_result", "fish_ish_result"].map((field) => ({
+    id: `tumor.${field}`,
+    section: "diagnosis_summary",
+    each: "tumors",
+    when: `fields.${field}.value`,
+    paths: [`fields.${field}.explanation`],
+  })),
+
+  ...[
+    ["diagnosis", "diagnosis_summary"],
+    ["testing_and_consultations", "next_steps"],
+    ["treatment_planning", "treatment_planning"],
+  ].flatMap(([summary, section]) => [
+    { id: `summary.${summary}`, section, paths: [`summaries.${summary}`] },
+    { id: `summary.${summary}.card`, section, each: `summaries.${summary}`, paths: ["title", "body"] },
+  ]),
+
+  // Tests and consultations "to consider" (any likelihood but Completed) print their explanation
+  {
+    id: "test.explanation",
+    section: "next_steps",
+    each: "testing_and_consultations.tests",
+    when: isToConsider,
+    paths: ["explanation"],
+  },
+
+  { id: "treatment.row", section: "treatment_planning", each: "treatments", paths: ["column_1_value", "column_2_value", "column_3_value"] },
+];
+
+const RULES_BY_ID = new Map(COMPLETENESS_RULES.map((rule) => [rule.id, rule]));
+const SECTION_IDS = new Set(COMPLETENESS_RULES.map((rule) => rule.section));
+
+// "tumors[0].fields.stage.value" -> value at that path, or undefined
+function getPath(object, dottedPath) {
+  return dottedPath
+    .split(".")
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/** Empty strings (after trimming), empty arrays, null and undefined; 0 and false are values. */
+export function isMissing(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === "string") return value.trim() === "";
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Lists every empty or missing field the template would print.
+ *
+ * @param {object} data - Report JSON (after sanitization, so stripped-out narratives count as empty)
+ * @returns {Array<{ rule: string, section: string, path: string }>}
+ */
+export function findCompletenessGaps(data) {
+  const gaps = [];
+  for (const rule of COMPLETENESS_RULES) {
+    const items = rule.each ? getPath(data, rule.each) : [data];
+    if (!Array.isArray(items)) continue;
+
+    items.forEach((item, index) => {
+      const prefix = rule.each ? `${rule.each}[${index}].` : "";
+      if (typeof rule.when === "function" ? !rule.when(item) : rule.when && isMissing(getPath(item, rule.when))) return;
+      for (const relative of rule.paths) {
+        if (isMissing(getPath(item, relative))) {
+          gaps.push({ rule: rule.id, section: rule.section, path: `${prefix}${relative}` });
+        }
+      }
+    });
+  }
+  return gaps;
+}
+
+function assertAction(action, where) {
+  if (!GAP_ACTIONS.includes(action)) {
+    throw new ReportError(`Unknown completeness action ${JSON.stringify(action)} for ${where} (expected ${GAP_ACTIONS.join(", ")})`, {
+      code: "INVALID_OPTION",
+    });
+  }
+  return action;
+}
+
+/**
+ * Normalizes a policy given as an action ("block") or an object, rejecting
+ * unknown actions, sections and rules.
+ *
+ * @returns {{ default: string, sections: object, rules: object }}
+ * @throws {ReportError} INVALID_OPTION
+ */
+export function resolveCompletenessPolicy(policy = "fallback") {
+  if (typeof policy === "string") return { default: assertAction(policy, "the default"), sections: {}, rules: {} };
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    throw new ReportError("Completeness policy must be an action or an object", { code: "INVALID_OPTION" });
+  }
+
+  const sections = { ...policy.sections };
+  for (const [section, action] of Object.entries(sections)) {
+    if (!SECTION_IDS.has(section)) {
+      throw new ReportError(`Unknown section "${section}" in completeness policy (expected ${[...SECTION_IDS].join(", ")})`, { code: "INVALID_OPTION" });
+    }
+    assertAction(action, `section "${section}"`);
+  }
+  const rules = { ...policy.rules };
+  for (const [rule, action] of Object.entries(rules)) {
+    if (!RULES_BY_ID.has(rule)) {
+      throw new ReportError(`Unknown rule "${rule}" in completeness policy`, { code: "INVALID_OPTION" });
+    }
+    assertAction(action, `rule "${rule}"`);
+  }
+  return { default: assertAction(policy.default ?? "fallback", "the default"), sections, rules };
+}
+
+/**
+ * Reads a policy from an action name or a JSON file (default config/completeness-policy.json,
+ * or plain "fallback" when that file doesn't exist).
+ *
+ * @throws {ReportError} INVALID_OPTION
+ */
+export function loadCompletenessPolicy(source) {
+  if (!source) {
+    if (!fs.existsSync(DEFAULT_POLICY_PATH)) return resolveCompletenessPolicy();
+    source = DEFAULT_POLICY_PATH;
+  }
+  if (GAP_ACTIONS.includes(source)) return resolveCompletenessPolicy(source);
+
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(source, "utf8"));
+  } catch (err) {
+    throw new ReportError(`Could not read completeness policy ${source}: ${err.message}`, { code: "INVALID_OPTION", cause: err });
+  }
+  return resolveCompletenessPolicy(policy);
+}
+
+/** The policy for a render option: a policy object, an action, a policy file, or nothing (the default file). */
+export function getCompletenessPolicy(option) {
+  return option && typeof option === "object" ? resolveCompletenessPolicy(option) : loadCompletenessPolicy(option);
+}
+
+/** What the policy does with a gap in the given rule. */
+export function getGapAction(policy, ruleId) {
+  const rule = RULES_BY_ID.get(ruleId);
+  if (!rule) throw new TemplateError(`Unknown completeness rule "${ruleId}"`);
+  if (!policy) return "fallback";
+  return policy.rules[ruleId] ?? policy.sections[rule.section] ?? policy.default;
+}
+
+/**
+ * Runs the preflight and applies the policy before rendering.
+ * Gaps the policy blocks fail the render with a ReportDataError (code
+ * INCOMPLETE_REPORT, details: the blocking gaps); the rest are returned with
+ * the action the template will take.
+ *
+ * @param {{ enforce?: boolean }} [options] - enforce: false lists blocking gaps without failing (draft renders)
+ * @returns {{ gaps: Array<{ rule: string, section: string, path: string, action: string }>, policy: object }}
+ */
+export function applyCompletenessPolicy(data, policy, { enforce = true } = {}) {
+  const gaps = findCompletenessGaps(data).map((gap) => ({ ...gap, action: getGapAction(policy, gap.rule) }));
+  const blocking = gaps.filter((gap) => gap.action === "block");
+  if (enforce && blocking.length) {
+    const summary = blocking.map((gap) => `${gap.path} (${gap.section})`).join("; ");
+    throw new ReportDataError(`Report is missing required fields: ${summary}`, { code: "INCOMPLETE_REPORT", details: blocking });
+  }
+  return { gaps, policy };
+}
+
+// Lists each report's gaps with the action its policy takes
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      policy: { type: "string" },
+    },
+  });
+  const policy = loadCompletenessPolicy(values.policy);
+
+  // Loaded here: generate-batch depends on the renderer, which depends on this module
+  const { expandInputs } = await import("./generate-batch.js");
+  const files = expandInputs(positionals.length ? positionals : ["data"]);
+  let blocked = 0;
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.error(chalk.red(`❌ ${file}: ${err.message}`));
+      blocked++;
+      continue;
+    }
+
+    // Checked as rendered: narratives that sanitize to nothing count as missing
+    const gaps = findCompletenessGaps(sanitizeReportData(data).data).map((gap) => ({ ...gap, action: getGapAction(policy, gap.rule) }));
+    if (!gaps.length) {
+      console.log(chalk.green(`✅ ${file}: complete`));
+      continue;
+    }
+    const blocks = gaps.some((gap) => gap.action === "block");
+    if (blocks) blocked++;
+    console.log((blocks ? chalk.red : chalk.yellow)(`${blocks ? "⛔" : "🧩"} ${file}: ${gaps.length} gap(s)`));
+    for (const gap of gaps) console.log(chalk.gray(`   [${gap.action}] ${gap.section}: ${gap.path}`));
+  }
+
+  console.log(chalk.gray("───────────────"));
+  console.log(`${chalk.cyan(`${files.length} report(s)`)} | ${blocked ? chalk.red(`⛔ ${blocked} blocked`) : chalk.green("none blocked")}`);
+  if (blocked) process.exitCode = 1;
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  main().catch((err) => {
+    console.error(chalk.red(`❌ ${err.message}`));
+    process.exit(1);
+  });
+}
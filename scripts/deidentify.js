@@ -0,0 +1,374 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { ReportError, ReportDataError } from "./errors.js";
+import { expandInputs } from "./generate-batch.js";
+import { getPatientNameParts } from "./generate-report.js";
+
+// Produces shareable copies of report JSONs (vendor reproductions, test
+// fixtures) with the patient's identity replaced and the clinical content kept:
+//   names      fname / lname / patient_name (any format), and every mention of
+//              them in narrative text such as the intro letter greeting
+//   ids        patient_id and humanReadableId; in narrative text only when
+//              distinctive ("1540FD", "PT-54321"), since a short number like
+//              "42" would also rewrite "Ki-67 42%"
+//   dates      every date, including dateOfBirth, moved by one per-patient
+//              offset so ages and the intervals between them are unchanged
+//   facilities the facility at the end of each source document name
+//              ("... _ Kaiser Permanente9.pdf"), plus any given with --facility,
+//              wherever they appear, so citations still match records_reviewed
+// pdf_folder_id (a real Drive folder) is dropped.
+//
+// Replacements are derived from a seed (HMAC), so the same seed always maps a
+// given name, id or facility to the same stand-in, across files and runs.
+// Without the seed the originals can't be recovered from the output.
+//
+// Usage: node scripts/deidentify.js <files|dirs|globs...> --seed <secret> [--out deidentified] [--facility "City Hospital"]... [--force]
+// The seed may also come from DEIDENTIFY_SEED. Works on previews/*/*-data.json copies too.
+
+export const DEFAULT_OUTPUT_DIR = "deidentified";
+
+const FIRST_NAMES = [
+  "Alex", "Avery", "Blair", "Casey", "Dana", "Eden", "Frankie", "Harper", "Jamie", "Jordan", "Kai", "Lane",
+  "Morgan", "Noel", "Parker", "Quinn", "Reese", "Riley", "Rowan", "Sage", "Skyler", "Taylor", "Tatum", "Wren",
+];
+const LAST_NAMES = [
+  "Abbott", "Bishop", "Calloway", "Dalton", "Ellery", "Fairbanks", "Garrow", "Hollis", "Ingram", "Jessup", "Kendrick", "Lockhart",
+  "Marlow", "Norcross", "Oakley", "Pemberton", "Quill", "Radcliffe", "Sterling", "Thatcher", "Upton", "Vance", "Whitlock", "Yardley",
+];
+const FACILITY_NAMES = [
+  "Lakeside Medical Center", "Riverbend Health", "Cedar Valley Hospital", "Harbor View Clinic", "Summit Regional Medical",
+  "Pinecrest Health System", "Meadowbrook Hospital", "Northgate Oncology", "Bayshore Medical Group", "Willow Creek Health",
+  "Stonebridge Laboratories", "Granite Peak Diagnostics",
+];
+
+const ID_KEYS = new Set(["patient_id", "humanReadableId", "patientId"]);
+const FIRST_NAME_KEYS = new Set(["fname", "patientFirstName"]);
+const LAST_NAME_KEYS = new Set(["lname", "patientLastName"]);
+const FULL_NAME_KEYS = new Set(["patient_name"]);
+const SOURCE_KEYS = new Set(["source", "document_name", "source_url"]);
+const DROPPED_KEYS = new Set(["pdf_folder_id"]);
+
+// Dates are shifted back by 30–365 days
+const MIN_SHIFT_DAYS = 30;
+const MAX_SHIFT_DAYS = 365;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const MONTH_PATTERN = `(?:${MONTHS.map((month) => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join("|")})\\.?`;
+
+// Every date shape clinical-dates.js reads, found anywhere inside a string.
+// Groups are named <kind>_year/_month/_day so the patterns can share one RegExp
+const DATE_PATTERNS = [
+  // Thu Aug 28 1975 17:00:00 GMT-0700 (Pacific Daylight Time)
+  {
+    kind: "toString",
+    source: `\\b(?:${WEEKDAYS.join("|")}) (?<toString_month>${MONTH_PATTERN}) (?<toString_day>\\d{1,2}) (?<toString_year>\\d{4})(?= \\d{2}:\\d{2}:\\d{2} GMT)`,
+  },
+  // 2025-10-14, 2025-10-14T00:00:00.000Z (the time of day is kept)
+  { kind: "iso", source: "\\b(?<iso_year>\\d{4})-(?<iso_month>\\d{2})-(?<iso_day>\\d{2})(?![\\d-])" },
+  // 10/14/2025
+  { kind: "numeric", source: "\\b(?<numeric_month>\\d{1,2})/(?<numeric_day>\\d{1,2})/(?<numeric_year>\\d{4})\\b" },
+  // October 14, 2025 / Oct 14, 2025
+  { kind: "monthName", source: `\\b(?<monthName_month>${MONTH_PATTERN}) (?<monthName_day>\\d{1,2}),? (?<monthName_year>\\d{4})\\b` },
+  // 14 October 2025
+  { kind: "dayMonthName", source: `\\b(?<dayMonthName_day>\\d{1,2}) (?<dayMonthName_month>${MONTH_PATTERN}),? (?<dayMonthName_year>\\d{4})\\b` },
+];
+
+// Ids this long, or this long and mixing letters with digits, are replaced in
+// free text too; anything shorter only where it is the whole value of an id field
+const MIN_TEXT_ID_LENGTH = 6;
+const MIN_MIXED_TEXT_ID_LENGTH = 4;
+
+const isDistinctiveId = (id) =>
+  id.length >= MIN_TEXT_ID_LENGTH || (id.length >= MIN_MIXED_TEXT_ID_LENGTH && /\p{L}/u.test(id) && /\p{N}/u.test(id));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function hmac(seed, kind, value) {
+  return crypto.createHmac("sha256", seed).update(`${kind}:${value}`).digest();
+}
+
+function pick(list, seed, kind, value) {
+  return list[hmac(seed, kind, value).readUInt32BE(0) % list.length];
+}
+
+// Same length and alphabet as the original where it's a short code like "1540FD"
+function pseudonymousId(seed, id) {
+  const digest = hmac(seed, "id", id).toString("hex");
+  if (/^[0-9A-F]+$/.test(id) && id.length <= 32) return digest.slice(0, id.length).toUpperCase();
+  if (/^[0-9a-f]+$/.test(id) && id.length <= 32) return digest.slice(0, id.length);
+  return `deid-${digest.slice(0, 10)}`;
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex((month) => month.slice(0, 3).toLowerCase() === name.slice(0, 3).toLowerCase());
+}
+
+// Writes a month name the way the original did: "Oct", "Oct." or "October"
+function monthLike(original, index) {
+  const full = MONTHS[index];
+  if (original.endsWith(".")) return `${full.slice(0, 3)}.`;
+  return original.length <= 3 ? full.slice(0, 3) : full;
+}
+
+const padLike = (original, number) => String(number).padStart(original.length, "0");
+
+// null for impossible days (e.g. 2025-02-30), which are left as written
+function shiftDay(year, month, day, days) {
+  const original = new Date(Date.UTC(year, month - 1, day));
+  if (original.getUTCFullYear() !== year || original.getUTCMonth() !== month - 1 || original.getUTCDate() !== day) return null;
+  return new Date(Date.UTC(year, month - 1, day - days));
+}
+
+// Rewrites a matched date `days` earlier, in the same format
+function shiftDate(kind, match, { year, month, day }, days) {
+  const monthNumber = /^\d+$/.test(month) ? Number(month) : monthIndex(month) + 1;
+  const shifted = shiftDay(Number(year), monthNumber, Number(day), days);
+  if (!shifted) return match;
+
+  const [newYear, newMonth, newDay] = [shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()];
+  const comma = match.includes(",") ? "," : "";
+  switch (kind) {
+    case "toString":
+      return `${WEEKDAYS[shifted.getUTCDay()]} ${monthLike(month, newMonth)} ${padLike(day, newDay)} ${newYear}`;
+    case "iso":
+      return shifted.toISOString().slice(0, 10);
+    case "numeric":
+      return `${padLike(month, newMonth + 1)}/${padLike(day, newDay)}/${newYear}`;
+    case "monthName":
+      return `${monthLike(month, newMonth)} ${newDay}${comma} ${newYear}`;
+    default:
+      return `${newDay} ${monthLike(month, newMonth)}${comma} ${newYear}`;
+  }
+}
+
+// A field is either a plain value or a { value, source, ... } object
+const fieldValue = (value) => (value && typeof value === "object" && !Array.isArray(value) ? value.value : value);
+
+function collectIdentity(data, extraFacilities) {
+  const firstNames = new Set();
+  const lastNames = new Set();
+  const ids = new Set();
+  const facilities = new Set(extraFacilities.filter(Boolean));
+
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== "object") return;
+    for (const [key, child] of Object.entries(node)) {
+      const value = fieldValue(child);
+      if (typeof value === "string" && value.trim()) {
+        if (FIRST_NAME_KEYS.has(key)) firstNames.add(value.trim());
+        if (LAST_NAME_KEYS.has(key)) lastNames.add(value.trim());
+        if (FULL_NAME_KEYS.has(key)) {
+          const [first, ...rest] = value.trim().split(/\s+/);
+          firstNames.add(first);
+          if (rest.length) lastNames.add(rest.join(" "));
+        }
+        if (ID_KEYS.has(key)) ids.add(value.trim());
+        if (SOURCE_KEYS.has(key)) {
+          const facility = getSourceFacility(value);
+          if (facility) facilities.add(facility);
+        }
+      }
+      if (child && typeof child === "object") visit(child);
+    }
+  };
+  visit(data);
+  return { firstNames, lastNames, ids, facilities };
+}
+
+/**
+ * The facility a source document is named after: the last " - " or " _ "
+ * segment of its file name, without a trailing copy number.
+ * "Test Results _ Medical Record _ Kaiser Permanente9.pdf" -> "Kaiser Permanente"
+ * "Past visits _ Kaiser Permanente.3pdf.pdf" -> "Kaiser Permanente"
+ *
+ * @returns {string|null} null when the name has no facility segment
+ */
+export function getSourceFacility(source) {
+  const base = String(source).trim().replace(/(?:\.\d*pdf)+$/i, "");
+  const segments = base.split(/\s[-_]\s/);
+  if (segments.length < 2) return null;
+  const facility = segments.at(-1).replace(/\s*\d+$/, "").trim();
+  return facility.length >= 3 ? facility : null;
+}
+
+/**
+ * Replaces a report's identifying details with seeded stand-ins; see the top of this file.
+ *
+ * @param {object} data - Report JSON in any format
+ * @param {object} options
+ * @param {string} options.seed - Secret the replacements are derived from
+ * @param {string[]} [options.facilities] - Facility names to replace besides those found in source names
+ * @returns {{ data: object, replaced: { names: number, ids: number, facilities: number, dates: number, dropped: number } }}
+ * @throws {ReportError} INVALID_OPTION without a seed
+ * @throws {ReportDataError} when data is not a JSON object
+ */
+export function deidentifyReport(data, { seed, facilities: extraFacilities = [] } = {}) {
+  if (!seed) throw new ReportError("A seed is required to de-identify reports (--seed or DEIDENTIFY_SEED)", { code: "INVALID_OPTION" });
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new ReportDataError("Report data must be a JSON object");
+
+  const { firstNames, lastNames, ids, facilities } = collectIdentity(data, extraFacilities);
+
+  // Whole names and each part of a multi-part last name ("Chavez Willis", "Chavez", "Willis")
+  const names = new Map();
+  for (const first of firstNames) {
+    names.set(first, pick(FIRST_NAMES, seed, "first", first.toLowerCase()));
+  }
+  for (const last of lastNames) {
+    const parts = last.split(/[\s-]+/).filter(Boolean);
+    const stand = parts.map((part) => pick(LAST_NAMES, seed, "last", part.toLowerCase()));
+    parts.forEach((part, index) => names.set(part, stand[index]));
+    names.set(last, stand.join(last.includes("-") ? "-" : " "));
+  }
+  for (const first of firstNames) {
+    for (const last of lastNames) names.set(`${first} ${last}`, `${names.get(first)} ${names.get(last)}`);
+  }
+  for (const [name, stand] of [...names]) names.set(name.toUpperCase(), stand.toUpperCase());
+
+  const idMap = new Map([...ids].map((id) => [id, pseudonymousId(seed, id)]));
+  const facilityMap = new Map([...facilities].map((facility) => [facility, pick(FACILITY_NAMES, seed, "facility", facility.toLowerCase())]));
+
+  // One offset per patient keeps every interval, including age at diagnosis
+  const patientKey = [...ids][0] || [...names.keys()][0] || "report";
+  const shiftDays = MIN_SHIFT_DAYS + (hmac(seed, "dates", patientKey).readUInt32BE(0) % (MAX_SHIFT_DAYS - MIN_SHIFT_DAYS + 1));
+
+  // A single pass, so a stand-in is never replaced again, and dates win over
+  // names at the same spot ("April 5, 2025" for a patient named April)
+  const byLength = (a, b) => b.length - a.length;
+  const alternatives = [
+    ...DATE_PATTERNS.map(({ source }) => source),
+    ...[...idMap.keys()].filter(isDistinctiveId).sort(byLength).map((id) => `(?<![\\p{L}\\p{N}])${escapeRegExp(id)}(?![\\p{L}\\p{N}])`),
+    ...[...facilityMap.keys()].sort(byLength).map((facility) => `(?<![\\p{L}\\p{N}])${escapeRegExp(facility)}`),
+    ...[...names.keys()].sort(byLength).map((name) => `(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`),
+  ];
+  const pattern = new RegExp(alternatives.map((source) => `(?:${source})`).join("|"), "gu");
+
+  const replaced = { names: 0, ids: 0, facilities: 0, dates: 0, dropped: 0 };
+  const replaceText = (text) =>
+    text.replace(pattern, (match, ...args) => {
+      const groups = args.at(-1);
+      const date = DATE_PATTERNS.find(({ kind }) => groups[`${kind}_year`] !== undefined);
+      if (date) {
+        const { kind } = date;
+        const shifted = shiftDate(kind, match, { year: groups[`${kind}_year`], month: groups[`${kind}_month`], day: groups[`${kind}_day`] }, shiftDays);
+        if (shifted !== match) replaced.dates++;
+        return shifted;
+      }
+      if (idMap.has(match)) {
+        replaced.ids++;
+        return idMap.get(match);
+      }
+      if (facilityMap.has(match)) {
+        replaced.facilities++;
+        return facilityMap.get(match);
+      }
+      replaced.names++;
+      return names.get(match);
+    });
+
+  const transform = (node, key) => {
+    if (typeof node === "string") {
+      // Every id where it is the whole value; short ones ("42") nowhere else
+      if (ID_KEYS.has(key) && idMap.has(node.trim())) {
+        replaced.ids++;
+        return idMap.get(node.trim());
+      }
+      return replaceText(node);
+    }
+    if (Array.isArray(node)) return node.map((item) => transform(item, key));
+    if (!node || typeof node !== "object") return node;
+
+    const result = {};
+    for (const [childKey, child] of Object.entries(node)) {
+      if (DROPPED_KEYS.has(childKey)) {
+        replaced.dropped++;
+        continue;
+      }
+      // A field object's value belongs to the field's key (general_info.patient_id.value)
+      result[childKey] = transform(child, childKey === "value" ? key : childKey);
+    }
+    return result;
+  };
+
+  return { data: transform(data), replaced };
+}
+
+/**
+ * Where the de-identified copy of a report goes: named after the stand-in
+ * patient plus a seeded hash of the original file name, never the original name.
+ */
+export function getDeidentifiedPath(filePath, data, { seed, outDir = DEFAULT_OUTPUT_DIR }) {
+  const { slug } = getPatientNameParts(data);
+  const tag = hmac(seed, "file", path.basename(filePath)).toString("hex").slice(0, 8);
+  return path.join(outDir, `${slug}-${tag}.json`);
+}
+
+/**
+ * De-identifies one file into outDir.
+ * @returns {{ status: "written"|"exists", outputPath: string, replaced: object }}
+ */
+export function deidentifyFile(filePath, { seed, outDir = DEFAULT_OUTPUT_DIR, facilities = [], force = false }) {
+  let source;
+  try {
+    source = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new ReportDataError(`Could not read report JSON ${filePath}: ${err.message}`, { cause: err });
+  }
+
+  const { data, replaced } = deidentifyReport(source, { seed, facilities });
+  const outputPath = getDeidentifiedPath(filePath, data, { seed, outDir });
+  if (fs.existsSync(outputPath) && !force) return { status: "exists", outputPath, replaced };
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(outputPath, `${JSON.stringify(data, null, 2)}\n`);
+  return { status: "written", outputPath, replaced };
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      seed: { type: "string" },
+      out: { type: "string", short: "o", default: DEFAULT_OUTPUT_DIR },
+      facility: { type: "string", multiple: true, default: [] },
+      force: { type: "boolean", default: false },
+    },
+  });
+
+  const seed = values.seed || process.env.DEIDENTIFY_SEED;
+  if (!seed) {
+    console.error("❌ Please provide a seed with --seed or DEIDENTIFY_SEED.");
+    process.exit(1);
+  }
+  const files = expandInputs(positionals.length ? positionals : ["data"]);
+  if (!files.length) {
+    console.error("❌ No JSON files matched.");
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const { status, outputPath, replaced } = deidentifyFile(file, { seed, outDir: values.out, facilities: values.facility, force: values.force });
+      if (status === "exists") {
+        console.log(chalk.yellow(`⚠️  ${file}: ${outputPath} already exists (use --force to overwrite)`));
+        continue;
+      }
+      // Counts only: the log must not repeat what was removed
+      const counts = Object.entries(replaced).map(([kind, count]) => `${count} ${kind}`).join(", ");
+      console.log(chalk.green(`🕶️  ${file} → ${outputPath}`) + chalk.gray(` (${counts})`));
+    } catch (err) {
+      failed++;
+      console.error(chalk.red(`❌ ${file}: [${err.code || err.name}] ${err.message}`));
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
@@ -0,0 +1,90 @@
+import chalk from "chalk";
+import { google } from "googleapis";
+import { FakeDrive } from "./fake-drive.js";
+
+// The Drive pipeline only depends on this subset of the googleapis v3 client:
+//   files.list, files.get (metadata and alt: "media"), files.create, files.update,
+//   files.copy, revisions.list, revisions.delete, and for the watch daemon
+//   changes.getStartPageToken and changes.list
+// Anything with those methods and response shapes — the real client, a
+// FakeDrive, or the dry-run wrapper below — can be passed in as `drive`.
+
+export const DRIVE_SCOPES = ["https://www.googleapis.com/auth/drive"];
+
+/**
+ * Authenticates with a service account key and returns a googleapis Drive client.
+ */
+export async function createGoogleDriveClient({ keyFile, scopes = DRIVE_SCOPES }) {
+  const auth = new google.auth.GoogleAuth({ keyFile, scopes });
+  const drive = google.drive({ version: "v3", auth });
+  const info = await auth.getClient();
+  console.log(`🔑 Authenticated as: ${info.email}`);
+  return drive;
+}
+
+/**
+ * Opens a local filesystem-backed Drive (see fake-drive.js).
+ */
+export function createFakeDriveClient(rootDir) {
+  const drive = new FakeDrive(rootDir);
+  console.log(`🗂️  Using fake Drive at ${drive.rootDir}`);
+  return drive;
+}
+
+/**
+ * Wraps a Drive client so reads go through and writes are only logged.
+ * Writes resolve with placeholder metadata so callers continue as normal.
+ */
+export function createDryRunDrive(drive) {
+  let counter = 0;
+  const placeholder = (name) => {
+    counter++;
+    return { id: `dry-run-${counter}`, name, webViewLink: `(dry run, not uploaded)` };
+  };
+
+  return {
+    dryRun: true,
+    files: {
+      list: (params) => drive.files.list(params),
+      get: (params, options) => drive.files.get(params, options),
+      create: async ({ resource, requestBody, media } = {}) => {
+        const metadata = requestBody || resource || {};
+        media?.body?.destroy?.();
+        console.log(chalk.gray(`🧪 [dry run] would create ${metadata.name} in ${(metadata.parents || []).join(", ")}`));
+        return { status: 200, data: placeholder(metadata.name) };
+      },
+      update: async ({ fileId, resource, requestBody, media } = {}) => {
+        const metadata = requestBody || resource || {};
+        media?.body?.destroy?.();
+        const changes = [...Object.keys(metadata), ...(media ? ["content"] : [])].join(", ") || "nothing";
+        console.log(chalk.gray(`🧪 [dry run] would update ${fileId} (${changes})`));
+        return { status: 200, data: { ...placeholder(metadata.name), id: fileId } };
+      },
+      copy: async ({ fileId, resource, requestBody } = {}) => {
+        const metadata = requestBody || resource || {};
+        console.log(chalk.gray(`🧪 [dry run] would copy ${fileId} to ${metadata.name} in ${(metadata.parents || []).join(", ")}`));
+        return { status: 200, data: placeholder(metadata.name) };
+      },
+      delete: async ({ fileId } = {}) => {
+        console.log(chalk.gray(`🧪 [dry run] would delete ${fileId}`));
+        return { status: 204, data: "" };
+      },
+    },
+    revisions: {
+      list: (params) => drive.revisions.list(params),
+      get: (params, options) => drive.revisions.get(params, options),
+      update: async ({ fileId, revisionId } = {}) => {
+        console.log(chalk.gray(`🧪 [dry run] would update revision ${revisionId} of ${fileId}`));
+        return { status: 200, data: { id: revisionId } };
+      },
+      delete: async ({ fileId, revisionId } = {}) => {
+        console.log(chalk.gray(`🧪 [dry run] would delete revision ${revisionId} of ${fileId}`));
+        return { status: 204, data: "" };
+      },
+    },
+    changes: {
+      getStartPageToken: (params) => drive.changes.getStartPageToken(params),
+      list: (params) => drive.changes.list(params),
+    },
+  };
+}
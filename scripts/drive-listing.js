@@ -0,0 +1,139 @@
+// Complete Drive listings: every files.list call is paginated, folders are
+// walked recursively and shortcuts are resolved to their targets, with a
+// summary of what was seen so a run can show nothing was missed.
+
+export const FOLDER_MIME_TYPE = "application/vnd.google-apps.folder";
+export const SHORTCUT_MIME_TYPE = "application/vnd.google-apps.shortcut";
+
+const PAGE_SIZE = 1000;
+const FILE_FIELDS = "id, name, mimeType, modifiedTime, md5Checksum, parents, trashed, shortcutDetails(targetId, targetMimeType)";
+
+/**
+ * files.list over every page. Returns { files, pages }.
+ */
+export async function listAllFiles(drive, params) {
+  const files = [];
+  let pageToken;
+  let pages = 0;
+  do {
+    const res = await drive.files.list({
+      pageSize: PAGE_SIZE,
+      ...params,
+      pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+    });
+    pages++;
+    files.push(...(res.data.files || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+  return { files, pages };
+}
+
+async function getTarget(drive, targetId) {
+  try {
+    const res = await drive.files.get({ fileId: targetId, fields: FILE_FIELDS, supportsAllDrives: true });
+    return res.data.trashed ? null : res.data;
+  } catch (err) {
+    if (err.code === 404 || err.code === 403) return null;
+    throw err;
+  }
+}
+
+/**
+ * Walks a folder tree and returns every file accepted by `match`.
+ * Each returned file carries `relativePath` (from the start folder, using "/")
+ * and, when reached through a shortcut, `shortcutId`.
+ *
+ * @param {object} drive - Drive v3 client
+ * @param {string} folderId - Folder to start from
+ * @param {object} [options]
+ * @param {(file: object) => boolean} [options.match] - Which files to keep (default: all)
+ * @returns {Promise<{ files: object[], summary: object }>}
+ */
+export async function walkFolder(drive, folderId, { match = () => true } = {}) {
+  const summary = {
+    folders: 0,
+    pages: 0,
+    itemsSeen: 0,
+    matched: 0,
+    skipped: 0,
+    shortcutsResolved: 0,
+    brokenShortcuts: [],
+    duplicates: 0,
+  };
+  const files = [];
+  const seenFiles = new Set();
+  const visitedFolders = new Set();
+  const queue = [{ id: folderId, prefix: "" }];
+
+  function accept(file, relativePath, shortcutId) {
+    if (!match(file)) {
+      summary.skipped++;
+      return;
+    }
+    // The same file can be reachable directly and through a shortcut
+    if (seenFiles.has(file.id)) {
+      summary.duplicates++;
+      return;
+    }
+    seenFiles.add(file.id);
+    summary.matched++;
+    files.push({ ...file, relativePath, ...(shortcutId ? { shortcutId } : {}) });
+  }
+
+  while (queue.length) {
+    const { id, prefix } = queue.shift();
+    if (visitedFolders.has(id)) continue;
+    visitedFolders.add(id);
+    summary.folders++;
+
+    const { files: children, pages } = await listAllFiles(drive, {
+      q: `'${id}' in parents and trashed = false`,
+      fields: `nextPageToken, files(${FILE_FIELDS})`,
+      orderBy: "name",
+    });
+    summary.pages += pages;
+    summary.itemsSeen += children.length;
+
+    for (const child of children) {
+      const relativePath = prefix ? `${prefix}/${child.name}` : child.name;
+
+      if (child.mimeType === FOLDER_MIME_TYPE) {
+        queue.push({ id: child.id, prefix: relativePath });
+        continue;
+      }
+
+      if (child.mimeType === SHORTCUT_MIME_TYPE) {
+        const targetId = child.shortcutDetails?.targetId;
+        const target = targetId ? await getTarget(drive, targetId) : null;
+        if (!target) {
+          summary.brokenShortcuts.push({ name: relativePath, id: child.id, targetId: targetId || null });
+          continue;
+        }
+        summary.shortcutsResolved++;
+        if (target.mimeType === FOLDER_MIME_TYPE) {
+          queue.push({ id: target.id, prefix: relativePath });
+        } else {
+          // Keep the shortcut's name: it is what people see in this folder
+          accept({ ...target, name: child.name }, relativePath, child.id);
+        }
+        continue;
+      }
+
+      accept(child, relativePath);
+    }
+  }
+
+  return { files, summary };
+}
+
+export function logListingSummary(summary, label = "Listing") {
+  console.log(`🔎 ${label}: ${summary.matched} file(s) in ${summary.folders} folder(s), ${summary.pages} page(s), ${summary.itemsSeen} item(s) seen`);
+  if (summary.skipped) console.log(`   ↳ ${summary.skipped} item(s) ignored (not matching)`);
+  if (summary.shortcutsResolved) console.log(`   ↳ ${summary.shortcutsResolved} shortcut(s) resolved`);
+  if (summary.duplicates) console.log(`   ↳ ${summary.duplicates} file(s) reachable more than once, counted once`);
+  for (const broken of summary.brokenShortcuts) {
+    console.warn(`   ⚠️ Broken shortcut ${broken.name} → ${broken.targetId || "(no target)"}`);
+  }
+}
@@ -0,0 +1,32 @@
+// Typed errors thrown by the report pipeline so callers can tell bad input
+// apart from template bugs and browser failures.
+
+export class ReportError extends Error {
+  constructor(message, { code = "REPORT_ERROR", cause, details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// Input JSON is missing, unreadable or not an object
+export class ReportDataError extends ReportError {
+  constructor(message, options = {}) {
+    super(message, { code: "REPORT_DATA_ERROR", ...options });
+  }
+}
+
+// report.hbs failed to load, compile or execute
+export class TemplateError extends ReportError {
+  constructor(message, options = {}) {
+    super(message, { code: "TEMPLATE_ERROR", ...options });
+  }
+}
+
+// Puppeteer failed to load the page or print the PDF
+export class RenderError extends ReportError {
+  constructor(message, options = {}) {
+    super(message, { code: "RENDER_ERROR", ...options });
+  }
+}
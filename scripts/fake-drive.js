@@ -0,0 +1,813 @@
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { parseArgs } from "util";
+import chalk from "chalk";
+
+// Local stand-in for the googleapis Drive v3 client. It implements the subset
+// the Drive pipeline uses (files.list/get/create/update/copy/delete, shortcuts,
+// revisions.list/get/update/delete and changes.getStartPageToken/list) with the same
+// request and response shapes, so it can be injected wherever a real
+// `google.drive({ version: "v3" })` client is expected.
+//
+// State lives in a directory: drive.json holds metadata, blobs/<id> holds content.
+// State is re-read whenever drive.json changes on disk, so a test or a second
+// process can modify the fake while another (e.g. the watch daemon) uses it.
+
+export const FOLDER_MIME_TYPE = "application/vnd.google-apps.folder";
+export const SHORTCUT_MIME_TYPE = "application/vnd.google-apps.shortcut";
+
+const DEFAULT_LIST_FIELDS = "nextPageToken, files(id, name, mimeType, kind)";
+const DEFAULT_GET_FIELDS = "id, name, mimeType, kind";
+
+// ============================
+// ⚠️ Errors shaped like GaxiosError
+// ============================
+function driveError(status, message, reason = "notFound") {
+  const err = new Error(message);
+  err.code = status;
+  err.status = status;
+  err.errors = [{ message, reason }];
+  err.response = { status, data: { error: { code: status, message, errors: err.errors } } };
+  return err;
+}
+
+// ============================
+// 🔎 Query language (files.list `q`)
+// ============================
+// Supports and/or/not, parentheses, `'id' in parents`, comparisons on name,
+// mimeType, trashed, starred, modifiedTime, createdTime, `name contains`,
+// `fullText contains` and `appProperties has { key='k' and value='v' }`.
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+  while (i < q.length) {
+    const char = q[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "'") {
+      let value = "";
+      i++;
+      while (i < q.length && q[i] !== "'") {
+        if (q[i] === "\\" && i + 1 < q.length) i++;
+        value += q[i++];
+      }
+      if (q[i] !== "'") throw driveError(400, `Invalid query: unterminated string in ${q}`, "invalid");
+      i++;
+      tokens.push({ type: "string", value });
+    } else if ("(){}".includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else if (/[=!<>]/.test(char)) {
+      const op = q.slice(i).match(/^(!=|<=|>=|=|<|>)/)[0];
+      tokens.push({ type: "op", value: op });
+      i += op.length;
+    } else {
+      const word = q.slice(i).match(/^[A-Za-z0-9_.:-]+/)?.[0];
+      if (!word) throw driveError(400, `Invalid query: unexpected "${char}" in ${q}`, "invalid");
+      tokens.push({ type: "word", value: word });
+      i += word.length;
+    }
+  }
+  return tokens;
+}
+
+function parseQuery(q) {
+  const tokens = tokenize(q);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isWord = (value) => peek()?.type === "word" && peek().value.toLowerCase() === value;
+  const expect = (type) => {
+    const token = tokens[pos++];
+    if (!token || token.type !== type) throw driveError(400, `Invalid query: expected ${type} in ${q}`, "invalid");
+    return token;
+  };
+  const literal = () => {
+    const token = tokens[pos++];
+    if (token?.type === "string") return token.value;
+    if (token?.type === "word") {
+      if (token.value === "true") return true;
+      if (token.value === "false") return false;
+      return token.value;
+    }
+    throw driveError(400, `Invalid query: expected a value in ${q}`, "invalid");
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isWord("or")) {
+      pos++;
+      const right = parseAnd();
+      const left = node;
+      node = (file) => left(file) || right(file);
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (isWord("and")) {
+      pos++;
+      const right = parseUnary();
+      const left = node;
+      node = (file) => left(file) && right(file);
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isWord("not")) {
+      pos++;
+      const inner = parseUnary();
+      return (file) => !inner(file);
+    }
+    if (peek()?.type === "(") {
+      pos++;
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+    return parseTerm();
+  }
+
+  function parseTerm() {
+    // 'folderId' in parents
+    if (peek()?.type === "string" && tokens[pos + 1]?.type === "word" && tokens[pos + 1].value === "in") {
+      const value = literal();
+      pos++;
+      const field = expect("word").value;
+      if (field !== "parents") throw driveError(400, `Invalid query: unsupported "in ${field}"`, "invalid");
+      return (file) => (file.parents || []).includes(value);
+    }
+
+    const field = expect("word").value;
+
+    if (isWord("has")) {
+      pos++;
+      expect("{");
+      let key;
+      let value;
+      for (;;) {
+        const name = expect("word").value;
+        expect("op");
+        if (name === "key") key = literal();
+        else if (name === "value") value = literal();
+        if (!isWord("and")) break;
+        pos++;
+      }
+      expect("}");
+      return (file) => {
+        const props = file[field] || {};
+        return Object.prototype.hasOwnProperty.call(props, key) && (value === undefined || props[key] === value);
+      };
+    }
+
+    if (isWord("contains")) {
+      pos++;
+      const needle = String(literal()).toLowerCase();
+      if (field === "fullText") return (file) => file.name.toLowerCase().includes(needle);
+      return (file) => String(file[field] ?? "").toLowerCase().includes(needle);
+    }
+
+    const op = expect("op").value;
+    const value = literal();
+    const isTime = field === "modifiedTime" || field === "createdTime";
+    return (file) => {
+      let actual = file[field] ?? (typeof value === "boolean" ? false : "");
+      let expected = value;
+      if (isTime) {
+        actual = Date.parse(actual);
+        expected = Date.parse(expected);
+      }
+      switch (op) {
+        case "=": return actual === expected;
+        case "!=": return actual !== expected;
+        case "<": return actual < expected;
+        case "<=": return actual <= expected;
+        case ">": return actual > expected;
+        case ">=": return actual >= expected;
+        default: return false;
+      }
+    };
+  }
+
+  const matcher = parseOr();
+  if (pos !== tokens.length) throw driveError(400, `Invalid query: unexpected input in ${q}`, "invalid");
+  return matcher;
+}
+
+// ============================
+// 🧾 Partial responses (`fields`)
+// ============================
+// "nextPageToken, files(id, name)" -> { nextPageToken: true, files: { id: true, name: true } }
+function parseFields(fields) {
+  const spec = {};
+  let i = 0;
+  function parseList(target, until) {
+    while (i < fields.length && fields[i] !== until) {
+      const name = fields.slice(i).match(/^[\s,]*([A-Za-z0-9_*/]+)/);
+      if (!name) {
+        i++;
+        continue;
+      }
+      i += name[0].length;
+      const key = name[1];
+      if (fields[i] === "(") {
+        i++;
+        target[key] = {};
+        parseList(target[key], ")");
+        i++;
+      } else {
+        target[key] = true;
+      }
+    }
+  }
+  parseList(spec, undefined);
+  return spec;
+}
+
+function project(resource, spec) {
+  if (spec === true || spec["*"]) return structuredClone(resource);
+  const result = {};
+  for (const [key, sub] of Object.entries(spec)) {
+    if (resource[key] === undefined) continue;
+    result[key] = Array.isArray(resource[key])
+      ? resource[key].map((item) => (sub === true || typeof item !== "object" ? structuredClone(item) : project(item, sub)))
+      : sub === true || typeof resource[key] !== "object"
+        ? structuredClone(resource[key])
+        : project(resource[key], sub);
+  }
+  return result;
+}
+
+async function readBody(body) {
+  if (body === undefined || body === null) return Buffer.alloc(0);
+  if (Buffer.isBuffer(body) || body instanceof Uint8Array) return Buffer.from(body);
+  if (typeof body === "string") return Buffer.from(body);
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+function compareBy(orderBy) {
+  const keys = String(orderBy || "")
+    .split(",")
+    .map((part) => part.trim().split(/\s+/))
+    .filter(([key]) => key);
+  return (a, b) => {
+    for (const [key, direction] of keys) {
+      const field = key === "folder" ? "mimeType" : key === "name_natural" ? "name" : key;
+      const left = a[field] ?? "";
+      const right = b[field] ?? "";
+      const cmp = key === "folder"
+        ? Number(right === FOLDER_MIME_TYPE) - Number(left === FOLDER_MIME_TYPE)
+        : String(left).localeCompare(String(right));
+      if (cmp !== 0) return direction === "desc" ? -cmp : cmp;
+    }
+    return a._seq - b._seq;
+  };
+}
+
+// ============================
+// 🗂️ Fake Drive
+// ============================
+export class FakeDrive {
+  /**
+   * @param {string} rootDir - Directory holding drive.json and blobs/ (created if missing)
+   * @param {object} [options]
+   * @param {() => Date} [options.now] - Clock used for createdTime/modifiedTime
+   */
+  constructor(rootDir, { now = () => new Date() } = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.now = now;
+    this.statePath = path.join(this.rootDir, "drive.json");
+    this.blobDir = path.join(this.rootDir, "blobs");
+    fs.ensureDirSync(this.blobDir);
+    this.stateMtimeMs = null;
+    this.#reload();
+
+    // Same method groups as the googleapis client
+    const api = (method) => (...args) => {
+      this.#reload();
+      return method.apply(this, args);
+    };
+    this.files = {
+      list: api(this.#list),
+      get: api(this.#get),
+      create: api(this.#create),
+      update: api(this.#update),
+      copy: api(this.#copy),
+      delete: api(this.#delete),
+    };
+    this.revisions = {
+      list: api(this.#listRevisions),
+      get: api(this.#getRevision),
+      update: api(this.#updateRevision),
+      delete: api(this.#deleteRevision),
+    };
+    this.changes = {
+      getStartPageToken: api(this.#getStartPageToken),
+      list: api(this.#listChanges),
+    };
+  }
+
+  #reload() {
+    const mtimeMs = fs.existsSync(this.statePath) ? fs.statSync(this.statePath).mtimeMs : null;
+    if (this.state && mtimeMs === this.stateMtimeMs) return;
+    this.state = mtimeMs !== null
+      ? fs.readJsonSync(this.statePath)
+      : { nextSeq: 1, rootFolderId: null, drives: {}, files: {} };
+    this.state.revisions ||= {};
+    this.state.changes ||= [];
+    this.state.nextChangeId ||= 1;
+    this.stateMtimeMs = mtimeMs;
+  }
+
+  get rootFolderId() {
+    return this.state.rootFolderId;
+  }
+
+  #save() {
+    fs.writeJsonSync(this.statePath, this.state, { spaces: 2 });
+    this.stateMtimeMs = fs.statSync(this.statePath).mtimeMs;
+  }
+
+  // Appends to the change log read by changes.list
+  #recordChange(fileId, removed = false) {
+    const driveId = this.state.files[fileId]?.driveId;
+    this.state.changes.push({
+      id: this.state.nextChangeId++,
+      fileId,
+      removed,
+      time: this.now().toISOString(),
+      ...(driveId ? { driveId } : {}),
+    });
+  }
+
+  #newId() {
+    const seq = this.state.nextSeq++;
+    return `fake_${String(seq).padStart(6, "0")}${crypto.randomBytes(4).toString("hex")}`;
+  }
+
+  #find(fileId, supportsAllDrives) {
+    const file = this.state.files[fileId];
+    // Real Drive hides shared-drive items from callers that don't opt in
+    if (!file || (file.driveId && !supportsAllDrives)) {
+      throw driveError(404, `File not found: ${fileId}.`);
+    }
+    return file;
+  }
+
+  #driveIdFor(parents = []) {
+    for (const parentId of parents) {
+      if (this.state.drives[parentId]) return parentId;
+      const parent = this.state.files[parentId];
+      if (parent?.driveId) return parent.driveId;
+    }
+    return undefined;
+  }
+
+  // Folders seeded with { readOnly: true } behave like folders shared as Viewer
+  #findWritableParent(parentId, supportsAllDrives) {
+    if (this.state.drives[parentId]) return;
+    const parent = this.#find(parentId, supportsAllDrives);
+    if (parent._readOnly) {
+      throw driveError(403, "The user does not have sufficient permissions for this file.", "insufficientFilePermissions");
+    }
+  }
+
+  #resource(file) {
+    const { _seq, _readOnly, ...resource } = file;
+    const isFolder = file.mimeType === FOLDER_MIME_TYPE;
+    return {
+      ...resource,
+      capabilities: {
+        canAddChildren: isFolder && !_readOnly,
+        canEdit: !_readOnly,
+        canTrash: !_readOnly,
+        canDownload: !isFolder,
+      },
+    };
+  }
+
+  // ---- Seeding helpers (not part of the Drive API) ----
+
+  /**
+   * Creates a folder; the first top-level folder becomes the root folder used by the pipeline.
+   * { readOnly: true } makes it visible but not writable, like a folder shared as Viewer.
+   */
+  addFolder(name, parentId = null, { readOnly = false } = {}) {
+    this.#reload();
+    const id = this.#newId();
+    const time = this.now().toISOString();
+    const driveId = this.#driveIdFor(parentId ? [parentId] : []);
+    this.state.files[id] = {
+      _seq: this.state.nextSeq,
+      kind: "drive#file",
+      id,
+      name,
+      mimeType: FOLDER_MIME_TYPE,
+      parents: parentId ? [parentId] : [],
+      createdTime: time,
+      modifiedTime: time,
+      trashed: false,
+      webViewLink: `https://drive.fake/drive/folders/${id}`,
+      ...(driveId ? { driveId } : {}),
+      ...(readOnly ? { _readOnly: true } : {}),
+    };
+    if (!this.state.rootFolderId && (!parentId || this.state.drives[parentId])) this.state.rootFolderId = id;
+    this.#recordChange(id);
+    this.#save();
+    return id;
+  }
+
+  /** Creates a shared drive; its id doubles as the id of its root folder. */
+  addSharedDrive(name) {
+    this.#reload();
+    const id = `fake_drive_${crypto.randomBytes(4).toString("hex")}`;
+    this.state.drives[id] = { kind: "drive#drive", id, name };
+    this.#save();
+    return id;
+  }
+
+  /** Writes a file synchronously; content may be a string, Buffer or object (stored as JSON). */
+  addFile(name, parentId, content, { mimeType, appProperties } = {}) {
+    this.#reload();
+    const body = typeof content === "object" && !Buffer.isBuffer(content)
+      ? Buffer.from(JSON.stringify(content, null, 2))
+      : Buffer.from(content);
+    const id = this.#newId();
+    this.#store(id, {
+      name,
+      mimeType: mimeType || (name.endsWith(".json") ? "application/json" : "application/octet-stream"),
+      parents: [parentId],
+      appProperties,
+    }, body);
+    this.#save();
+    return id;
+  }
+
+  /** Creates a shortcut pointing at another file or folder. */
+  addShortcut(name, parentId, targetId) {
+    this.#reload();
+    const id = this.#newId();
+    const time = this.now().toISOString();
+    this.state.files[id] = {
+      _seq: this.state.nextSeq,
+      kind: "drive#file",
+      id,
+      name,
+      mimeType: SHORTCUT_MIME_TYPE,
+      parents: [parentId],
+      createdTime: time,
+      modifiedTime: time,
+      trashed: false,
+      // Targets may be deleted later; the shortcut then dangles, as on Drive
+      shortcutDetails: { targetId, targetMimeType: this.state.files[targetId]?.mimeType },
+      webViewLink: `https://drive.fake/file/d/${id}/view`,
+      ...(this.#driveIdFor([parentId]) ? { driveId: this.#driveIdFor([parentId]) } : {}),
+    };
+    this.#recordChange(id);
+    this.#save();
+    return id;
+  }
+
+  /** Raw content of a file, for assertions. */
+  readContent(fileId) {
+    return fs.readFileSync(path.join(this.blobDir, fileId));
+  }
+
+  /** All non-trashed files and folders, for assertions and listings. */
+  allFiles({ includeTrashed = false } = {}) {
+    this.#reload();
+    return Object.values(this.state.files)
+      .filter((f) => includeTrashed || !f.trashed)
+      .map((f) => this.#resource(f));
+  }
+
+  #store(id, { name, mimeType, parents = [], appProperties, description }, body) {
+    const time = this.now().toISOString();
+    const driveId = this.#driveIdFor(parents);
+    this.state.files[id] = {
+      _seq: this.state.nextSeq,
+      kind: "drive#file",
+      id,
+      name,
+      mimeType,
+      parents,
+      createdTime: time,
+      modifiedTime: time,
+      trashed: false,
+      version: "1",
+      size: String(body.length),
+      md5Checksum: crypto.createHash("md5").update(body).digest("hex"),
+      webViewLink: `https://drive.fake/file/d/${id}/view`,
+      ...(driveId ? { driveId } : {}),
+      ...(appProperties ? { appProperties } : {}),
+      ...(description ? { description } : {}),
+    };
+    fs.writeFileSync(path.join(this.blobDir, id), body);
+    this.#addRevision(id, body);
+    this.#recordChange(id);
+  }
+
+  // Every content change is kept as a revision; blobs/<fileId>@<revisionId> holds its bytes
+  #addRevision(fileId, body, keepForever = false) {
+    const file = this.state.files[fileId];
+    const revisions = (this.state.revisions[fileId] ||= []);
+    const id = String(Number(revisions.at(-1)?.id || 0) + 1);
+    revisions.push({
+      kind: "drive#revision",
+      id,
+      mimeType: file.mimeType,
+      modifiedTime: this.now().toISOString(),
+      keepForever,
+      md5Checksum: file.md5Checksum,
+      size: file.size,
+    });
+    file.headRevisionId = id;
+    fs.writeFileSync(path.join(this.blobDir, `${fileId}@${id}`), body);
+  }
+
+  #findRevision(fileId, revisionId, supportsAllDrives) {
+    this.#find(fileId, supportsAllDrives);
+    const revision = (this.state.revisions[fileId] || []).find((r) => r.id === revisionId);
+    if (!revision) throw driveError(404, `Revision not found: ${revisionId}.`);
+    return revision;
+  }
+
+  // ---- Drive v3 API surface ----
+
+  async #list({ q, fields = DEFAULT_LIST_FIELDS, pageSize = 100, pageToken, orderBy, supportsAllDrives, includeItemsFromAllDrives, driveId, corpora } = {}) {
+    const matches = q ? parseQuery(q) : () => true;
+    const allDrives = Boolean(supportsAllDrives && includeItemsFromAllDrives);
+    if ((driveId || corpora === "drive" || corpora === "allDrives") && !allDrives) {
+      throw driveError(403, "The includeItemsFromAllDrives parameter must be set to true when driveId or corpora is set.", "invalidParameter");
+    }
+
+    const candidates = Object.values(this.state.files)
+      .filter((f) => (driveId ? f.driveId === driveId : !f.driveId || allDrives))
+      .filter((f) => matches(f))
+      .sort(compareBy(orderBy));
+
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 100, 1), 1000);
+    const offset = pageToken ? parseInt(Buffer.from(pageToken, "base64url").toString(), 10) : 0;
+    if (!Number.isInteger(offset) || offset < 0) throw driveError(400, `Invalid pageToken: ${pageToken}`, "invalid");
+
+    const page = candidates.slice(offset, offset + size);
+    const response = {
+      kind: "drive#fileList",
+      incompleteSearch: false,
+      files: page.map((f) => this.#resource(f)),
+    };
+    if (offset + size < candidates.length) {
+      response.nextPageToken = Buffer.from(String(offset + size)).toString("base64url");
+    }
+    return { status: 200, data: project(response, parseFields(fields)) };
+  }
+
+  async #get({ fileId, alt, fields = DEFAULT_GET_FIELDS, supportsAllDrives } = {}, { responseType } = {}) {
+    const file = this.#find(fileId, supportsAllDrives);
+    if (alt === "media") {
+      if (file.mimeType === FOLDER_MIME_TYPE) throw driveError(403, "Only files with binary content can be downloaded.", "fileNotDownloadable");
+      const content = this.readContent(fileId);
+      if (responseType === "stream") return { status: 200, data: Readable.from([content]) };
+      if (responseType === "arraybuffer") return { status: 200, data: content.buffer.slice(content.byteOffset, content.byteOffset + content.length) };
+      return { status: 200, data: content.toString("utf8") };
+    }
+    return { status: 200, data: project(this.#resource(file), parseFields(fields)) };
+  }
+
+  async #create({ resource, requestBody, media, fields = DEFAULT_GET_FIELDS, supportsAllDrives } = {}) {
+    const metadata = requestBody || resource || {};
+    const parents = metadata.parents || [this.state.rootFolderId].filter(Boolean);
+    for (const parentId of parents) this.#findWritableParent(parentId, supportsAllDrives);
+
+    if (metadata.mimeType === FOLDER_MIME_TYPE) {
+      const id = this.addFolder(metadata.name, parents[0]);
+      return this.#get({ fileId: id, fields, supportsAllDrives });
+    }
+    if (metadata.mimeType === SHORTCUT_MIME_TYPE) {
+      const targetId = metadata.shortcutDetails?.targetId;
+      this.#find(targetId, supportsAllDrives);
+      const id = this.addShortcut(metadata.name, parents[0], targetId);
+      return this.#get({ fileId: id, fields, supportsAllDrives });
+    }
+
+    const body = await readBody(media?.body);
+    const id = this.#newId();
+    this.#store(id, {
+      name: metadata.name || "Untitled",
+      mimeType: metadata.mimeType || media?.mimeType || "application/octet-stream",
+      parents,
+      appProperties: metadata.appProperties,
+      description: metadata.description,
+    }, body);
+    this.#save();
+    return this.#get({ fileId: id, fields, supportsAllDrives });
+  }
+
+  async #update({ fileId, resource, requestBody, media, addParents, removeParents, keepRevisionForever, fields = DEFAULT_GET_FIELDS, supportsAllDrives } = {}) {
+    const file = this.#find(fileId, supportsAllDrives);
+    if (file._readOnly) {
+      throw driveError(403, "The user does not have sufficient permissions for this file.", "insufficientFilePermissions");
+    }
+    const metadata = requestBody || resource || {};
+
+    for (const key of ["name", "mimeType", "description", "trashed", "starred"]) {
+      if (metadata[key] !== undefined) file[key] = metadata[key];
+    }
+    if (metadata.appProperties) {
+      file.appProperties = { ...(file.appProperties || {}) };
+      for (const [key, value] of Object.entries(metadata.appProperties)) {
+        if (value === null) delete file.appProperties[key];
+        else file.appProperties[key] = String(value);
+      }
+    }
+    if (addParents || removeParents) {
+      const removing = String(removeParents || "").split(",").filter(Boolean);
+      const adding = String(addParents || "").split(",").filter(Boolean);
+      adding.forEach((parentId) => this.#findWritableParent(parentId, supportsAllDrives));
+      file.parents = [...file.parents.filter((p) => !removing.includes(p)), ...adding.filter((p) => !file.parents.includes(p))];
+    }
+    if (media) {
+      if (file.mimeType === FOLDER_MIME_TYPE) throw driveError(400, "Folders cannot have content.", "invalid");
+      const body = await readBody(media.body);
+      fs.writeFileSync(path.join(this.blobDir, fileId), body);
+      file.size = String(body.length);
+      file.md5Checksum = crypto.createHash("md5").update(body).digest("hex");
+      file.version = String(Number(file.version || 1) + 1);
+      this.#addRevision(fileId, body, Boolean(keepRevisionForever));
+    }
+    file.modifiedTime = this.now().toISOString();
+    this.#recordChange(fileId);
+    this.#save();
+    return this.#get({ fileId, fields, supportsAllDrives });
+  }
+
+  async #delete({ fileId, supportsAllDrives } = {}) {
+    this.#find(fileId, supportsAllDrives);
+    const doomed = [fileId];
+    // Deleting a folder removes everything beneath it
+    for (let i = 0; i < doomed.length; i++) {
+      for (const f of Object.values(this.state.files)) {
+        if (f.parents.includes(doomed[i])) doomed.push(f.id);
+      }
+    }
+    for (const id of doomed) {
+      for (const revision of this.state.revisions[id] || []) {
+        fs.rmSync(path.join(this.blobDir, `${id}@${revision.id}`), { force: true });
+      }
+      delete this.state.revisions[id];
+      delete this.state.files[id];
+      this.#recordChange(id, true);
+      fs.rmSync(path.join(this.blobDir, id), { force: true });
+    }
+    this.#save();
+    return { status: 204, data: "" };
+  }
+
+  async #copy({ fileId, resource, requestBody, fields = DEFAULT_GET_FIELDS, supportsAllDrives } = {}) {
+    const source = this.#find(fileId, supportsAllDrives);
+    if (source.mimeType === FOLDER_MIME_TYPE) throw driveError(403, "Folders cannot be copied.", "cannotCopyFile");
+    const metadata = requestBody || resource || {};
+    const parents = metadata.parents || source.parents;
+    parents.forEach((parentId) => this.#findWritableParent(parentId, supportsAllDrives));
+
+    const id = this.#newId();
+    this.#store(id, {
+      name: metadata.name || `Copy of ${source.name}`,
+      mimeType: source.mimeType,
+      parents,
+      appProperties: metadata.appProperties || source.appProperties,
+      description: metadata.description ?? source.description,
+    }, this.readContent(fileId));
+    this.#save();
+    return this.#get({ fileId: id, fields, supportsAllDrives });
+  }
+
+  async #listRevisions({ fileId, fields = "nextPageToken, revisions(id, mimeType, modifiedTime, kind)", pageSize = 200, pageToken, supportsAllDrives } = {}) {
+    this.#find(fileId, supportsAllDrives);
+    const all = this.state.revisions[fileId] || [];
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 200, 1), 1000);
+    const offset = pageToken ? parseInt(Buffer.from(pageToken, "base64url").toString(), 10) : 0;
+    const response = { kind: "drive#revisionList", revisions: all.slice(offset, offset + size) };
+    if (offset + size < all.length) response.nextPageToken = Buffer.from(String(offset + size)).toString("base64url");
+    return { status: 200, data: project(response, parseFields(fields)) };
+  }
+
+  async #getRevision({ fileId, revisionId, alt, fields = "id, mimeType, modifiedTime, kind", supportsAllDrives } = {}, { responseType } = {}) {
+    const revision = this.#findRevision(fileId, revisionId, supportsAllDrives);
+    if (alt === "media") {
+      const content = fs.readFileSync(path.join(this.blobDir, `${fileId}@${revisionId}`));
+      return { status: 200, data: responseType === "stream" ? Readable.from([content]) : content };
+    }
+    return { status: 200, data: project(revision, parseFields(fields)) };
+  }
+
+  async #updateRevision({ fileId, revisionId, resource, requestBody, fields = "id, mimeType, modifiedTime, kind", supportsAllDrives } = {}) {
+    const revision = this.#findRevision(fileId, revisionId, supportsAllDrives);
+    const metadata = requestBody || resource || {};
+    if (metadata.keepForever !== undefined) revision.keepForever = Boolean(metadata.keepForever);
+    this.#save();
+    return { status: 200, data: project(revision, parseFields(fields)) };
+  }
+
+  async #deleteRevision({ fileId, revisionId, supportsAllDrives } = {}) {
+    this.#findRevision(fileId, revisionId, supportsAllDrives);
+    const revisions = this.state.revisions[fileId];
+    // Same rule as Drive: the current (head) revision can't be deleted
+    if (revisions.at(-1).id === revisionId) {
+      throw driveError(400, "The head revision of a file cannot be deleted.", "cannotDeleteHeadRevision");
+    }
+    this.state.revisions[fileId] = revisions.filter((r) => r.id !== revisionId);
+    fs.rmSync(path.join(this.blobDir, `${fileId}@${revisionId}`), { force: true });
+    this.#save();
+    return { status: 204, data: "" };
+  }
+
+  // Change tokens are the id of the next change to be recorded
+  async #getStartPageToken() {
+    return { status: 200, data: { kind: "drive#startPageToken", startPageToken: String(this.state.nextChangeId) } };
+  }
+
+  async #listChanges({ pageToken, fields = "nextPageToken, newStartPageToken, changes(fileId, removed, time, kind)", pageSize = 100, includeRemoved = true, supportsAllDrives, includeItemsFromAllDrives } = {}) {
+    const start = parseInt(pageToken, 10);
+    if (!Number.isInteger(start) || start < 1) throw driveError(400, `Invalid pageToken: ${pageToken}`, "invalid");
+    const allDrives = Boolean(supportsAllDrives && includeItemsFromAllDrives);
+
+    // Like Drive, only the latest change per file is reported
+    const latest = new Map();
+    for (const change of this.state.changes) {
+      if (change.id < start || (change.driveId && !allDrives)) continue;
+      latest.delete(change.fileId);
+      latest.set(change.fileId, change);
+    }
+    const pending = [...latest.values()].filter((change) => includeRemoved || !change.removed);
+
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 100, 1), 1000);
+    const page = pending.slice(0, size);
+    const response = {
+      kind: "drive#changeList",
+      changes: page.map((change) => {
+        const file = this.state.files[change.fileId];
+        const removed = change.removed || !file;
+        return {
+          kind: "drive#change",
+          changeType: "file",
+          time: change.time,
+          removed,
+          fileId: change.fileId,
+          ...(removed ? {} : { file: this.#resource(file) }),
+        };
+      }),
+    };
+    if (pending.length > size) {
+      response.nextPageToken = String(pending[size].id);
+    } else {
+      response.newStartPageToken = String(this.state.nextChangeId);
+    }
+    return { status: 200, data: project(response, parseFields(fields)) };
+  }
+}
+
+/**
+ * Creates the folder layout the Drive pipeline expects — a root folder with
+ * data/ and output/ inside — and copies the given JSON files into data/.
+ * Pass { sharedDrive: true } to place the root folder inside a shared drive.
+ */
+export function initFakeDrive(rootDir, jsonFiles = [], { sharedDrive = false } = {}) {
+  const drive = new FakeDrive(rootDir);
+  if (drive.rootFolderId) return drive;
+
+  const parentId = sharedDrive ? drive.addSharedDrive("Reports") : null;
+  const rootId = drive.addFolder("Reports", parentId);
+  const dataId = drive.addFolder("data", rootId);
+  drive.addFolder("output", rootId);
+  for (const file of jsonFiles) {
+    drive.addFile(path.basename(file), dataId, fs.readFileSync(file));
+  }
+  return drive;
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+// node scripts/fake-drive.js <dir> [json files...] [--shared-drive]
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { "shared-drive": { type: "boolean", default: false } },
+  });
+  const [dir, ...files] = positionals;
+  if (!dir) {
+    console.error("❌ Usage: node scripts/fake-drive.js <dir> [json files...] [--shared-drive]");
+    process.exit(1);
+  }
+  const drive = initFakeDrive(dir, files, { sharedDrive: values["shared-drive"] });
+  console.log(chalk.green(`🗂️  Fake Drive ready at ${drive.rootDir}`));
+  console.log(`   Root folder id: ${drive.rootFolderId}`);
+  drive.allFiles().forEach((f) => console.log(`   • ${f.name} (${f.id})${f.mimeType === FOLDER_MIME_TYPE ? " 📁" : ""}`));
+}
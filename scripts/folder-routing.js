@@ -0,0 +1,114 @@
+import { FOLDER_MIME_TYPE } from "./drive-listing.js";
+
+// Routes each report's PDF to the per-patient Drive folder named by its
+// `pdf_folder_id`, falling back to the global output folder when the field is
+// missing or the folder can't be written to. Disagreements between reports
+// (or within one report) are collected so the run summary can flag them.
+
+/**
+ * The folder ids a report asks for. Current-format JSONs carry pdf_folder_id
+ * at the top level and repeat it in testing_and_consultations.
+ */
+export function getRequestedFolderIds(data) {
+  const clean = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+  return {
+    topLevel: clean(data?.pdf_folder_id),
+    testing: clean(data?.testing_and_consultations?.pdf_folder_id),
+  };
+}
+
+export class FolderRouter {
+  /**
+   * @param {object} drive - Drive v3 client
+   * @param {object} options
+   * @param {string} options.fallbackFolderId - Global output folder (PDF_OUTPUT_FOLDER_ID / DRIVE_FOLDER_ID)
+   */
+  constructor(drive, { fallbackFolderId }) {
+    this.drive = drive;
+    this.fallbackFolderId = fallbackFolderId;
+    this.checked = new Map(); // folderId -> Promise<null | reason>
+    this.patientFolders = new Map(); // patientId -> Map<folderId, fileNames[]>
+    this.fallbacks = [];
+    this.conflicts = [];
+  }
+
+  // Resolves to null when the folder exists and accepts new files, else a reason
+  async #checkFolder(folderId) {
+    try {
+      const res = await this.drive.files.get({
+        fileId: folderId,
+        fields: "id, name, mimeType, trashed, capabilities(canAddChildren)",
+        supportsAllDrives: true,
+      });
+      const folder = res.data;
+      if (folder.mimeType !== FOLDER_MIME_TYPE) return "not a folder";
+      if (folder.trashed) return "folder is in the trash";
+      if (folder.capabilities && folder.capabilities.canAddChildren === false) return "no write access";
+      return null;
+    } catch (err) {
+      if (err.code === 404) return "folder not found or not shared with the service account";
+      if (err.code === 403) return "no access";
+      throw err;
+    }
+  }
+
+  validateFolder(folderId) {
+    if (!this.checked.has(folderId)) this.checked.set(folderId, this.#checkFolder(folderId));
+    return this.checked.get(folderId);
+  }
+
+  /**
+   * Picks the upload folder for one report.
+   * @returns {Promise<{ folderId: string, requestedFolderId: string|null, fallback: boolean, reason?: string }>}
+   */
+  async route(data, fileName) {
+    const { topLevel, testing } = getRequestedFolderIds(data);
+    const requestedFolderId = topLevel || testing;
+    const patientId = data?.patient_id ? String(data.patient_id) : null;
+
+    if (topLevel && testing && topLevel !== testing) {
+      this.conflicts.push({
+        type: "fields disagree",
+        patientId,
+        files: [fileName],
+        folderIds: [topLevel, testing],
+        message: `pdf_folder_id (${topLevel}) differs from testing_and_consultations.pdf_folder_id (${testing}); using the top-level value`,
+      });
+    }
+
+    if (!requestedFolderId) {
+      return { folderId: this.fallbackFolderId, requestedFolderId: null, fallback: true, reason: "no pdf_folder_id" };
+    }
+
+    if (patientId) {
+      if (!this.patientFolders.has(patientId)) this.patientFolders.set(patientId, new Map());
+      const folders = this.patientFolders.get(patientId);
+      if (!folders.has(requestedFolderId)) folders.set(requestedFolderId, []);
+      folders.get(requestedFolderId).push(fileName);
+    }
+
+    const reason = await this.validateFolder(requestedFolderId);
+    if (reason) {
+      this.fallbacks.push({ file: fileName, patientId, requestedFolderId, reason });
+      return { folderId: this.fallbackFolderId, requestedFolderId, fallback: true, reason };
+    }
+    return { folderId: requestedFolderId, requestedFolderId, fallback: false };
+  }
+
+  /**
+   * Everything worth reporting after a run: folders that could not be used
+   * and patients whose reports point at more than one folder.
+   */
+  getReport() {
+    const split = [...this.patientFolders.entries()]
+      .filter(([, folders]) => folders.size > 1)
+      .map(([patientId, folders]) => ({
+        type: "patient split across folders",
+        patientId,
+        files: [...folders.values()].flat(),
+        folderIds: [...folders.keys()],
+        message: `patient ${patientId} has reports pointing to ${folders.size} different folders`,
+      }));
+    return { fallbacks: this.fallbacks, mismatches: [...this.conflicts, ...split] };
+  }
+}
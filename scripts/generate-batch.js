@@ -0,0 +1,205 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { generatePDF } from "./generate-report.js";
+import { BrowserPool } from "./browser-pool.js";
+
+// ============================
+// 📂 Input expansion
+// ============================
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(full) : [full];
+  });
+}
+
+// Copies written by migrate-report.js next to the originals they came from
+export const MIGRATED_SUFFIX = ".migrated.json";
+
+/**
+ * Expands files, directories (their *.json children) and glob patterns
+ * such as "data/**\/*.json" into a sorted, de-duplicated list of paths.
+ * Directories and globs skip *.migrated.json copies, so a patient isn't
+ * listed twice, unless includeMigrated is set; files named outright are kept.
+ */
+export function expandInputs(patterns, { includeMigrated = false } = {}) {
+  const listed = (file) => includeMigrated || !file.endsWith(MIGRATED_SUFFIX);
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    if (fs.existsSync(pattern)) {
+      const stat = fs.statSync(pattern);
+      if (stat.isDirectory()) {
+        fs.readdirSync(pattern)
+          .filter((f) => f.endsWith(".json") && listed(f))
+          .forEach((f) => files.add(path.join(pattern, f)));
+      } else {
+        files.add(pattern);
+      }
+      continue;
+    }
+
+    // Walk from the longest wildcard-free directory prefix
+    const normalized = pattern.split(path.sep).join("/");
+    const segments = normalized.split("/");
+    const firstWild = segments.findIndex((s) => /[*?]/.test(s));
+    if (firstWild === -1) {
+      console.warn(chalk.yellow(`⚠️  No such file or directory: ${pattern}`));
+      continue;
+    }
+    const baseDir = segments.slice(0, firstWild).join("/") || ".";
+    if (!fs.existsSync(baseDir)) continue;
+
+    const matcher = globToRegExp(normalized);
+    walk(baseDir)
+      .filter((f) => matcher.test(path.relative(".", f).split(path.sep).join("/")) || matcher.test(f.split(path.sep).join("/")))
+      .filter(listed)
+      .forEach((f) => files.add(f));
+  }
+
+  return [...files].sort();
+}
+
+// ============================
+// 🏭 Batch rendering
+// ============================
+/**
+ * Renders every JSON file with a shared pool of warm Puppeteer pages.
+ * Resolves to a summary object; individual failures never stop the batch.
+ */
+export async function generateBatch(files, { concurrency = 2, outputRoot = process.cwd(), renderOptions = {} } = {}) {
+  const startedAt = new Date();
+  const pool = new BrowserPool({ size: Math.max(1, Math.min(concurrency, files.length || 1)) });
+  const results = new Array(files.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < files.length) {
+      const index = nextIndex++;
+      const input = files[index];
+      const start = Date.now();
+      try {
+        const output = await pool.run((page) => generatePDF(input, { ...renderOptions, page, outputRoot }));
+        results[index] = { input, status: "success", output, durationMs: Date.now() - start };
+      } catch (err) {
+        console.error(chalk.red(`❌ ${input}: [${err.code || err.name}] ${err.message}`));
+        results[index] = {
+          input,
+          status: "failed",
+          durationMs: Date.now() - start,
+          error: { code: err.code || err.name, message: err.message },
+        };
+      }
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: pool.size }, worker));
+  } finally {
+    await pool.close();
+  }
+
+  const finishedAt = new Date();
+  const succeeded = results.filter((r) => r.status === "success").length;
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    concurrency: pool.size,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  };
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      concurrency: { type: "string", short: "c", default: "2" },
+      output: { type: "string", short: "o", default: process.cwd() },
+      summary: { type: "string", short: "s" },
+      layout: { type: "string", default: "continuous" },
+      "page-size": { type: "string" },
+      "strict-html": { type: "boolean", default: false },
+      "template-version": { type: "string" },
+      locale: { type: "string" },
+      timezone: { type: "string" },
+      accessible: { type: "boolean", default: false },
+      completeness: { type: "string" },
+      draft: { type: "boolean", default: false },
+      encrypt: { type: "boolean", default: false },
+      "encryption-policy": { type: "string" },
+      "plaintext-previews": { type: "boolean", default: false },
+    },
+  });
+
+  const concurrency = parseInt(values.concurrency, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error("❌ --concurrency must be a positive integer.");
+    process.exit(1);
+  }
+
+  const files = expandInputs(positionals.length ? positionals : ["data"]);
+  if (!files.length) {
+    console.error("❌ No JSON files matched the given inputs.");
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan(`🏭 Rendering ${files.length} report(s) with concurrency ${concurrency}...`));
+
+  const renderOptions = {
+    layout: values.layout,
+    pageSize: values["page-size"],
+    strictHtml: values["strict-html"],
+    templateVersion: values["template-version"],
+    locale: values.locale,
+    timezone: values.timezone,
+    accessible: values.accessible,
+    completenessPolicy: values.completeness,
+    draft: values.draft,
+    encryption: values["encryption-policy"] || values.encrypt,
+    plaintextPreviews: values["plaintext-previews"],
+  };
+  generateBatch(files, { concurrency, outputRoot: values.output, renderOptions })
+    .then((summary) => {
+      const json = JSON.stringify(summary, null, 2);
+      if (values.summary) {
+        fs.mkdirSync(path.dirname(path.resolve(values.summary)), { recursive: true });
+        fs.writeFileSync(values.summary, json);
+        console.log(chalk.gray(`🧾 Summary written to ${values.summary}`));
+      }
+      console.log(json);
+      if (summary.failed > 0) process.exitCode = 1;
+    })
+    .catch((err) => {
+      console.error(chalk.red(`❌ Batch failed: ${err.message}`));
+      process.exit(1);
+    });
+}
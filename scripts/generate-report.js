@@ -1,628 +1,499 @@
 import fs from "fs";
+import os from "os";
+import crypto from "crypto";
 import path from "path";
-import puppeteer from "puppeteer";
+import { fileURLToPath, pathToFileURL } from "url";
+import { parseArgs } from "util";
 import Handlebars from "handlebars";
-import { exec } from "child_process";
+import { ReportError, ReportDataError, TemplateError, RenderError } from "./errors.js";
+import { registerHelpers, assertHelpersRegistered } from "./handlebars-helpers.js";
+import { launchBrowser } from "./browser-pool.js";
+import { DESIGN_WIDTH_PX, resolveLayout, injectPagedStyles, getPagedPdfOptions, getPageGeometry } from "./page-layout.js";
+import { buildTableOfContents, getAnchorIds } from "./table-of-contents.js";
+import { measureAnchors, addOutline } from "./pdf-outline.js";
+import { applySanitizationPolicy } from "./sanitize.js";
+import { getCompletenessPolicy, applyCompletenessPolicy } from "./completeness.js";
+import {
+  listTemplateVersions,
+  getLatestTemplateVersion,
+  getTemplateDir,
+  resolveTemplateVersion,
+  getTemplateFeatures,
+  loadTemplateHelpers,
+} from "./template-registry.js";
+import { stampTemplateInfo, setAccessibleDocumentInfo } from "./pdf-metadata.js";
+import { auditAccessibility, logAccessibilityReport } from "./accessibility.js";
+import { getEncryptionPolicy, getPdfPassword, encryptPdf } from "./pdf-encryption.js";
+import { LOCALES_DIR, listLocales, getCatalogPath, resolveLocale, translateText } from "./i18n.js";
+import { resolveTimezone, formatCalendarDate, today, DEFAULT_TIMEZONE } from "./clinical-dates.js";
+
+registerHelpers(Handlebars);
+
+// Frozen template versions render with the helpers they shipped with (templates/v<N>/helpers.js)
+const pinnedHelpers = await loadTemplateHelpers();
+const templateEnvironments = new Map();
+
+/**
+ * The Handlebars instance a template version renders with: the shared one,
+ * or for a version with pinned helpers, its own instance with those on top.
+ */
+export function getTemplateHandlebars(version) {
+  const register = pinnedHelpers.get(version);
+  if (!register) return Handlebars;
+  if (!templateEnvironments.has(version)) {
+    const env = Handlebars.create();
+    registerHelpers(env);
+    register(env);
+    templateEnvironments.set(version, env);
+  }
+  return templateEnvironments.get(version);
+}
 
-console.log("🧩 generate-report.js loaded from:", import.meta.url);
+// ============================
+// 🧱 Paths and asset resolution
+// ============================
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const STYLESHEET_LINK = '<link rel="stylesheet" href="../templates/styles.css" />';
+
+// Point the template's stylesheet, icon and font references at the given base URLs
+export function rewriteAssetPaths(html, { css, icons, fonts }) {
+  return html
+    .replace(STYLESHEET_LINK, `<link rel="stylesheet" href="${css}" />`)
+    .replace(/src="\.\/icons\//g, `src="${icons}/`)
+    .replace(/src="icons\//g, `src="${icons}/`)
+    .replace(/url\(\.\.\/fonts\//g, `url(${fonts}/`);
+}
 
-// Register a simple equality helper for section filtering
-Handlebars.registerHelper("eq", (a, b) => a === b);
+// Without a templateDir, paths point at the newest versioned template
+export function resolveTemplatePaths(options = {}) {
+  const templateDir = options.templateDir || getTemplateDir(getLatestTemplateVersion());
+  return {
+    templatePath: options.templatePath || path.join(templateDir, "report.hbs"),
+    cssPath: options.cssPath || path.join(templateDir, "styles.css"),
+    iconsDir: options.iconsDir || path.join(templateDir, "icons"),
+    fontsDir: options.fontsDir || path.join(templateDir, "fonts"),
+  };
+}
 
-// Register block equality helper for conditional rendering
-Handlebars.registerHelper("ifEq", function(a, b, options) {
-  return a === b ? options.fn(this) : options.inverse(this);
-});
+// Modules whose code changes what a report renders to: the renderer itself,
+// its helpers and the HTML/PDF passes it runs
+const RENDERING_MODULES = [
+  "generate-report.js",
+  "handlebars-helpers.js",
+  "i18n.js",
+  "clinical-dates.js",
+  "citations.js",
+  "sanitize.js",
+  "completeness.js",
+  "table-of-contents.js",
+  "page-layout.js",
+  "pdf-outline.js",
+  "pdf-metadata.js",
+].map((file) => path.join(__dirname, file));
+
+/**
+ * Short hash of everything that shapes a rendered report besides its data:
+ * the template, a linked stylesheet if there is one (the shipped templates
+ * inline their styles), the version's pinned helpers and template.json, the
+ * rendering modules and the message catalogs.
+ * Changes whenever a report would render differently from the same JSON.
+ */
+export function getTemplateHash(options = {}) {
+  const { templatePath, cssPath } = resolveTemplatePaths(options);
+  const versionFiles = [cssPath, ...["helpers.js", "template.json"].map((file) => path.join(path.dirname(templatePath), file))]
+    .filter((file) => fs.existsSync(file));
+  const catalogs = listLocales().map((language) => getCatalogPath(language, LOCALES_DIR));
+  const hash = crypto.createHash("sha256");
+  for (const file of [templatePath, ...versionFiles, ...RENDERING_MODULES, ...catalogs]) {
+    hash.update(`${path.basename(file)}\0`);
+    hash.update(fs.existsSync(file) ? fs.readFileSync(file) : "(missing)");
+    hash.update("\0");
+  }
+  return hash.digest("hex").slice(0, 16);
+}
 
-// Register increment helper for index + 1
-Handlebars.registerHelper("inc", function(value) {
-  return parseInt(value) + 1;
-});
+/** Hash of every versioned template, keyed by version number. */
+export function getTemplateHashes() {
+  return Object.fromEntries(listTemplateVersions().map((version) => [version, getTemplateHash({ templateDir: getTemplateDir(version) })]));
+}
 
-// Register formatDate helper to format ISO dates
-Handlebars.registerHelper("formatDate", function(dateString) {
-  if (!dateString) return "";
-  try {
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return dateString;
-    return date.toISOString().split('T')[0]; // Returns YYYY-MM-DD
-  } catch (e) {
-    return dateString;
-  }
-});
-
-// Extract stage indicator (e.g., "Stage IIB" -> "IIB", "Stage IA" -> "IA")
-Handlebars.registerHelper("extractStageIndicator", function(stageValue) {
-  if (!stageValue) return "--";
-  // Remove "Stage " prefix and trim
-  const indicator = stageValue.replace(/Stage\s*/i, "").trim();
-  return indicator || "--";
-});
-
-// Extract grade number (e.g., "Grade 2" -> "2", "Grade 1" -> "1")
-Handlebars.registerHelper("extractGradeNumber", function(gradeValue) {
-  if (!gradeValue) return "--";
-  // Extract the number from "Grade X"
-  const match = gradeValue.match(/Grade\s*(\d+)/i);
-  return match ? match[1] : "--";
-});
-
-// Format date nicely (e.g., "2025-10-14T00:00:00.000Z" -> "October 14, 2025")
-Handlebars.registerHelper("formatDateNice", function(dateString) {
-  if (!dateString) return "";
-  try {
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return dateString;
-    return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-  } catch (e) {
-    return dateString;
+/**
+ * The template a report renders with: the version picked from schema_version
+ * or options.templateVersion, its files and its hash. An explicit templateDir
+ * or templatePath bypasses the registry and reports version null ("custom").
+ *
+ * @returns {{ version: number|null, source: string, hash: string, templatePath: string, cssPath: string, iconsDir: string, fontsDir: string }}
+ */
+export function resolveReportTemplate(data, options = {}) {
+  let version = null;
+  let source = "custom";
+  let paths = options;
+  if (!options.templateDir && !options.templatePath) {
+    const resolved = resolveTemplateVersion(data, { override: options.templateVersion });
+    ({ version, source } = resolved);
+    paths = { ...options, templateDir: resolved.templateDir };
   }
-});
-
-// Get current date formatted
-Handlebars.registerHelper("currentDate", function() {
-  return new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-});
-
-// Split string by delimiter and trim each item
-Handlebars.registerHelper("split", function(str, delimiter) {
-  if (!str) return [];
-  return str.split(delimiter).map(item => item.trim()).filter(item => item.length > 0);
-});
-
-// Split by newlines or comma, handling actual newline characters
-Handlebars.registerHelper("splitLines", function(str, delimiter) {
-  if (!str) return [];
-  
-  // Convert to string in case it's not
-  const text = String(str);
-  
-  // Handlebars passes an options hash as the last parameter, so check if delimiter is actually a string
-  // If delimiter is the options object, treat it as undefined
-  const actualDelimiter = (typeof delimiter === 'string') ? delimiter : undefined;
-  
-  // If delimiter is provided (e.g., comma for Medical), use it
-  if (actualDelimiter) {
-    return text.split(actualDelimiter).map(item => item.trim()).filter(item => item.length > 0);
+  return { version, source, hash: getTemplateHash(paths), ...resolveTemplatePaths(paths) };
+}
+
+// ============================
+// 🧾 File naming
+// ============================
+// Derive patient-based filename (e.g., Jane-Doe-Nov-6-2025-0432-PM.pdf)
+export function getPatientNameParts(data) {
+  // Support both new format (general_info) and old format (report.sections)
+  let patientName = "Unknown Patient";
+  if (data?.general_info?.fname?.value || data?.general_info?.lname?.value) {
+    const fname = data.general_info.fname?.value || "";
+    const lname = data.general_info.lname?.value || "";
+    patientName = `${fname} ${lname}`.trim() || "Unknown Patient";
+  } else if (data?.report?.sections) {
+    patientName = data.report.sections.find((s) => s.id === "records_overview")?.fields?.patient_name || "Unknown Patient";
   }
-  
-  // Otherwise split by newlines (for Surgical/Radiation)
-  // JSON.parse converts \n in JSON strings to actual newline characters (char code 10)
-  // Split by any newline variant
-  return text.split(/[\r\n]+/).map(item => item.trim()).filter(item => item.length > 0);
-});
-
-// Strip bullet points (• or -) from the beginning of strings
-Handlebars.registerHelper("stripBullet", function(str) {
-  if (!str) return "";
-  // Remove bullet point (•), dash (-), or asterisk (*) followed by optional spaces from the start
-  return String(str).replace(/^[•\-\*]\s*/, "").trim();
-});
-
-// Group questions by section and topic
-Handlebars.registerHelper("groupQuestions", function(items) {
-  if (!items || !Array.isArray(items)) return [];
-  
-  const grouped = {};
-  
-  items.forEach(item => {
-    if (!grouped[item.section]) {
-      grouped[item.section] = {};
+  const nameParts = String(patientName).trim().split(" ");
+  const firstName = nameParts[0] || "Unknown";
+  const lastName = nameParts.slice(1).join("-") || "Patient";
+  return { firstName, lastName, slug: `${firstName}-${lastName}` };
+}
+
+// The timestamp is wall-clock time in the report's timezone, not the host's
+export function getReportFileName(data, now = new Date(), { timezone = DEFAULT_TIMEZONE, draft = false } = {}) {
+  const { slug } = getPatientNameParts(data);
+  const formatted = now
+    .toLocaleString("en-US", {
+      timeZone: timezone,
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+    .replace(/,|:/g, "")
+    .replace(/\s+/g, "-");
+  return `${slug}-${formatted}${draft ? "-DRAFT" : ""}.pdf`;
+}
+
+// ============================
+// 🖨️ Puppeteer rendering
+// ============================
+// Resolves to { pdf, anchors, accessibility } where anchors maps each requested
+// element id to its document offset, for placing PDF bookmarks afterwards, and
+// accessibility is the audit of the page as printed (accessible mode only).
+async function printPdf(html, { browser, page, layout, pageSize, header, anchorIds = [], accessible = false }) {
+  // page.goto() on a real file (rather than setContent) is what lets Chromium
+  // load the local file:// icons, fonts and stylesheet
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "dh-report-"));
+  const htmlPath = path.join(tempDir, "report.html");
+  fs.writeFileSync(htmlPath, html);
+
+  // A borrowed page or browser stays open for the caller; anything we open, we close
+  const ownsBrowser = !page && !browser;
+  const ownsPage = !page;
+  try {
+    if (ownsBrowser) {
+      browser = await launchBrowser();
     }
-    if (!grouped[item.section][item.topic]) {
-      grouped[item.section][item.topic] = [];
+    if (ownsPage) {
+      page = await browser.newPage();
     }
-    grouped[item.section][item.topic].push(item);
-  });
-  
-  // Convert to array format for template iteration
-  const result = [];
-  Object.keys(grouped).forEach(section => {
-    const topics = [];
-    Object.keys(grouped[section]).forEach(topic => {
-      topics.push({
-        name: topic,
-        questions: grouped[section][topic]
-      });
-    });
-    result.push({
-      section: section,
-      topics: topics
+    await page.goto(pathToFileURL(htmlPath).href, { waitUntil: "networkidle0" });
+
+    // Set viewport to 1440px width (standard desktop width)
+    const pageWidth = DESIGN_WIDTH_PX;
+    await page.setViewport({ width: pageWidth, height: 1080 });
+
+    // Tagged output carries the headings, tables and alt text into the PDF structure tree
+    const tagging = accessible ? { tagged: true } : {};
+
+    if (layout === "paged") {
+      // Measure (and audit) with print styles applied so offsets match the printed pages
+      // Reset even when measuring fails: a pooled page must not carry print emulation into its next render
+      let anchors;
+      let accessibility;
+      await page.emulateMediaType("print");
+      try {
+        anchors = await measureAnchors(page, anchorIds);
+        accessibility = accessible ? await auditAccessibility(page) : null;
+      } finally {
+        await page.emulateMediaType(null);
+      }
+      const pdf = await page.pdf({ ...getPagedPdfOptions({ pageSize, ...header }), ...tagging });
+      return { pdf: Buffer.from(pdf), anchors, accessibility };
+    }
+
+    const anchors = await measureAnchors(page, anchorIds);
+    const accessibility = accessible ? await auditAccessibility(page) : null;
+
+    // Get the full height of the document after viewport is set
+    const bodyHeight = await page.evaluate(() => {
+      return document.body.scrollHeight;
     });
-  });
-  
-  return result;
-});
 
-// Parse flexible date formats (handles both ISO and JS Date.toString() formats)
-Handlebars.registerHelper("parseDate", function(dateString) {
-  if (!dateString) return "";
-  try {
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return dateString;
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-  } catch (e) {
-    return dateString;
-  }
-});
-
-// Filter tests by status (for testing_and_consultations)
-Handlebars.registerHelper("filterByStatus", function(tests, status, options) {
-  if (!tests || !Array.isArray(tests)) return options.inverse(this);
-  const filtered = tests.filter(t => t.status && t.status.toLowerCase() === status.toLowerCase());
-  if (filtered.length === 0) return options.inverse(this);
-  return filtered.map(t => options.fn(t)).join('');
-});
-
-// Check if any tests exist with a specific status
-Handlebars.registerHelper("hasTestsWithStatus", function(tests, status, options) {
-  if (!tests || !Array.isArray(tests)) return options.inverse(this);
-  const hasTests = tests.some(t => t.status && t.status.toLowerCase() === status.toLowerCase());
-  return hasTests ? options.fn(this) : options.inverse(this);
-});
-
-// Get record title (prefer patient_facing_title over document_name over name)
-Handlebars.registerHelper("getRecordTitle", function(record) {
-  return record?.patient_facing_title || record?.document_name || record?.name || 'Unknown Record';
-});
-
-// Check if object has a value property with content
-Handlebars.registerHelper("hasValue", function(obj, options) {
-  if (!obj || !obj.value || obj.value === '') return options.inverse(this);
-  return options.fn(this);
-});
-
-// Filter tests by status and category (tests vs referrals), sorted by date (oldest first)
-Handlebars.registerHelper("filterTestsByTypeAndStatus", function(tests, isReferral, status, options) {
-  if (!tests || !Array.isArray(tests)) return options.inverse(this);
-  
-  const referralKeywords = ['referral', 'consultation'];
-  
-  const filtered = tests.filter(t => {
-    // Check status match
-    if (!t.status || t.status.toLowerCase() !== status.toLowerCase()) return false;
-    
-    // Check if it's a referral or test
-    const testName = (t.test_name || '').toLowerCase();
-    const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
-    
-    return isReferral ? isTestReferral : !isTestReferral;
-  });
-  
-  if (filtered.length === 0) return options.inverse(this);
-  
-  // Sort by date (oldest first)
-  filtered.sort((a, b) => {
-    const dateA = new Date(a.test_date || a.service_date || a.referral_date || 0);
-    const dateB = new Date(b.test_date || b.service_date || b.referral_date || 0);
-    return dateA - dateB;
-  });
-  
-  return filtered.map(t => options.fn(t)).join('');
-});
-
-// Check if any tests exist with specific type and status (for completed/scheduled tests)
-Handlebars.registerHelper("hasTestsOfType", function(tests, isReferral, status, options) {
-  if (!tests || !Array.isArray(tests)) return options.inverse(this);
-  
-  const referralKeywords = ['referral', 'consultation'];
-  
-  const hasTests = tests.some(t => {
-    if (!t.status || t.status.toLowerCase() !== status.toLowerCase()) return false;
-    const testName = (t.test_name || '').toLowerCase();
-    const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
-    return isReferral ? isTestReferral : !isTestReferral;
-  });
-  
-  return hasTests ? options.fn(this) : options.inverse(this);
-});
-
-// Check if any tests exist with likelihood (for "may consider" sections)
-Handlebars.registerHelper("hasTestsWithLikelihood", function(tests, isReferral, options) {
-  if (!tests || !Array.isArray(tests)) return options.inverse(this);
-  
-  const referralKeywords = ['referral', 'consultation'];
-  
-  const hasTests = tests.some(t => {
-    const likelihood = (t.likelihood || '').trim();
-    if (!likelihood || likelihood.toLowerCase() === 'completed') return false;
-    
-    const testName = (t.test_name || '').toLowerCase();
-    const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
-    return isReferral ? isTestReferral : !isTestReferral;
-  });
-  
-  return hasTests ? options.fn(this) : options.inverse(this);
-});
-
-// Filter tests by type (tests vs referrals) with likelihood, sorted by likelihood (highest risk first)
-// Shows tests where likelihood is not blank and not "Completed"
-Handlebars.registerHelper("filterByLikelihood", function(tests, isReferral, options) {
-  if (!tests || !Array.isArray(tests)) return options.inverse(this);
-  
-  const referralKeywords = ['referral', 'consultation'];
-  
-  const filtered = tests.filter(t => {
-    // Filter criteria: likelihood != blank AND likelihood != "Completed"
-    const likelihood = (t.likelihood || '').trim();
-    if (!likelihood || likelihood.toLowerCase() === 'completed') return false;
-    
-    // Check if it's a referral or test
-    const testName = (t.test_name || '').toLowerCase();
-    const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
-    
-    return isReferral ? isTestReferral : !isTestReferral;
-  });
-  
-  if (filtered.length === 0) return options.inverse(this);
-  
-  // Sort by likelihood (highest risk first)
-  // Priority: "Highly Likely" > any other likelihood text
-  filtered.sort((a, b) => {
-    const likelihoodA = (a.likelihood || '').toLowerCase();
-    const likelihoodB = (b.likelihood || '').toLowerCase();
-    
-    // Highly Likely comes first
-    if (likelihoodA.includes('highly likely') && !likelihoodB.includes('highly likely')) return -1;
-    if (!likelihoodA.includes('highly likely') && likelihoodB.includes('highly likely')) return 1;
-    
-    return 0; // Keep original order if same priority
-  });
-  
-  return filtered.map(t => options.fn(t)).join('');
-});
-
-// Sort array by date field (oldest first)
-Handlebars.registerHelper("sortByDate", function(array, dateField, options) {
-  if (!array || !Array.isArray(array)) return options.inverse(this);
-  
-  const sorted = [...array].sort((a, b) => {
-    const dateA = new Date(a[dateField] || 0);
-    const dateB = new Date(b[dateField] || 0);
-    return dateA - dateB;
-  });
-  
-  return sorted.map(item => options.fn(item)).join('');
-});
-
-// Calculate percentage for stage circle based on stage value
-Handlebars.registerHelper("getStagePercent", function(stageValue) {
-  if (!stageValue) return 15;
-  const stage = stageValue.toLowerCase();
-  
-  // Stage 0, I, IA, IB = Early = 15%
-  if (stage.includes('stage 0') || stage === 'stage i' || stage.includes('stage ia') || stage.includes('stage ib')) {
-    return 15;
-  }
-  // Stage II, IIA, IIB = Intermediate = 30%
-  if (stage.includes('stage ii')) {
-    return 30;
-  }
-  // Stage III, IIIA, IIIB, IIIC = Advanced = 45%
-  if (stage.includes('stage iii')) {
-    return 45;
-  }
-  // Stage IV = Metastatic = 60%
-  if (stage.includes('stage iv')) {
-    return 60;
-  }
-  return 15; // Default
-});
-
-// Calculate percentage for grade circle based on grade value
-Handlebars.registerHelper("getGradePercent", function(gradeValue) {
-  if (!gradeValue) return 15;
-  const grade = gradeValue.toLowerCase();
-  
-  // Grade 1 = Low = 15%
-  if (grade.includes('grade 1')) {
-    return 15;
-  }
-  // Grade 2 = Intermediate = 30%
-  if (grade.includes('grade 2')) {
-    return 30;
-  }
-  // Grade 3 = High = 45%
-  if (grade.includes('grade 3')) {
-    return 45;
+    // Generate PDF with custom dimensions matching full document
+    const pdf = await page.pdf({
+      width: `${pageWidth}px`,
+      height: `${bodyHeight}px`,
+      printBackground: true,
+      margin: { top: "0px", bottom: "0px", left: "0px", right: "0px" },
+      ...tagging,
+    });
+    return { pdf: Buffer.from(pdf), anchors, accessibility };
+  } catch (err) {
+    if (err instanceof RenderError) throw err;
+    throw new RenderError(`Failed to render PDF: ${err.message}`, { cause: err });
+  } finally {
+    if (ownsBrowser && browser) {
+      await browser.close().catch(() => {});
+    } else if (ownsPage && page) {
+      await page.close().catch(() => {});
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
   }
-  // Grade X = Unknown = 15%
-  if (grade.includes('grade x')) {
-    return 15;
+}
+
+// ============================
+// 📚 Library API: Render Report
+// ============================
+/**
+ * Sanitizes report data and runs the template, without launching a browser.
+ * The returned HTML still uses the template's relative asset paths (see rewriteAssetPaths).
+ *
+ * Accepts the same template, locale, timezone, sanitization, completeness and draft options as renderReport.
+ * @returns {{ html: string, data: object, sanitized: Array<{ path: string, removed: string[] }>, completeness: { gaps: object[], policy: object }, template: object, locale: string, timezone: string }}
+ * @throws {ReportError|ReportDataError|TemplateError} INVALID_OPTION for a locale or draft the template predates
+ */
+export function renderReportHtml(rawData, options = {}) {
+  if (!rawData || typeof rawData !== "object" || Array.isArray(rawData)) {
+    throw new ReportDataError("Report data must be a JSON object");
   }
-  return 15; // Default
-});
-
-// Calculate percentage for HER2 circle based on HER2 status
-Handlebars.registerHelper("getHER2Percent", function(her2Value) {
-  if (!her2Value) return 15;
-  const her2 = her2Value.toLowerCase();
-  
-  // HER2 negative = Baseline = 15%
-  if (her2.includes('negative')) {
-    return 15;
+
+  const template = resolveReportTemplate(rawData, options);
+  const { templatePath } = template;
+  const { locale, language, source: localeSource } = resolveLocale(rawData, { override: options.locale });
+  const { timezone } = resolveTimezone(rawData, { override: options.timezone });
+  const draft = Boolean(options.draft);
+
+  // Older templates predate the message catalogs and the draft watermark
+  const features = getTemplateFeatures(path.dirname(templatePath));
+  const templateName = template.version ? `Template v${template.version}` : `Template ${templatePath}`;
+  if (features.locales && !features.locales.includes(language)) {
+    const message = `${templateName} has no "${language}" copy (available: ${features.locales.join(", ")})`;
+    throw localeSource === "override"
+      ? new ReportError(message, { code: "INVALID_OPTION" })
+      : new ReportDataError(message, { code: "UNKNOWN_LOCALE" });
   }
-  // HER2 ultralow = Slight expression = 25%
-  if (her2.includes('ultralow')) {
-    return 25;
+  if (draft && !features.draft) {
+    throw new ReportError(`${templateName} has no draft watermark; render drafts with a newer --template-version`, { code: "INVALID_OPTION" });
   }
-  // HER2 low = Low expression = 35%
-  if (her2.includes('low') && !her2.includes('ultralow')) {
-    return 35;
+
+  // Narrative fields are rendered as HTML; strip anything outside the allowlist first
+  const { data, findings: sanitized } = applySanitizationPolicy(rawData, { strict: options.strictHtml });
+
+  // Missing fields block the render, fall back to neutral copy or hide their block, per policy.
+  // Drafts exist to review those gaps, so they never block and show every block
+  const policy = getCompletenessPolicy(options.completenessPolicy);
+  const completeness = applyCompletenessPolicy(data, policy, { enforce: !draft });
+
+  let compiled;
+  try {
+    const source = fs.readFileSync(templatePath, "utf8");
+    const env = getTemplateHandlebars(template.version);
+    assertHelpersRegistered(env, source, path.basename(templatePath));
+    compiled = env.compile(source);
+  } catch (err) {
+    if (err instanceof TemplateError) throw err;
+    throw new TemplateError(`Failed to load template ${templatePath}: ${err.message}`, { cause: err });
   }
-  // HER2 positive = High expression = 45%
-  if (her2.includes('positive')) {
-    return 45;
+
+  let html;
+  try {
+    // Helpers read the locale, timezone, "now", completeness policy and draft flag from @data; the template uses {{@locale}} and {{@draft}}
+    html = compiled(data, { data: { locale, timezone, now: options.now, completeness: policy, draft } });
+  } catch (err) {
+    throw new TemplateError(`Failed to render template ${templatePath}: ${err.message}`, { cause: err });
   }
-  // Unknown = Not available = 15%
-  if (her2.includes('unknown')) {
-    return 15;
+  return { html, data, sanitized, completeness, template, locale, timezone };
+}
+
+/**
+ * Renders report data to a PDF without touching the working directory.
+ *
+ * @param {object} data - Parsed report JSON
+ * @param {object} [options]
+ * @param {string|number} [options.templateVersion] - Template version to use instead of the report's schema_version
+ * @param {string} [options.locale] - Language to render in instead of the report's locale field (e.g. "es")
+ * @param {string} [options.timezone] - IANA timezone for "today" and timestamps instead of the report's timezone field
+ * @param {string} [options.templateDir] - Directory holding report.hbs, styles.css, icons/ and fonts/ (bypasses the version registry)
+ * @param {string} [options.templatePath] - Overrides the template file inside templateDir
+ * @param {string} [options.cssPath] - Overrides the stylesheet inside templateDir
+ * @param {string} [options.iconsDir] - Overrides the icons directory inside templateDir
+ * @param {string} [options.fontsDir] - Overrides the fonts directory inside templateDir
+ * @param {import("puppeteer").Browser} [options.browser] - Reuse a running browser instead of launching one
+ * @param {import("puppeteer").Page} [options.page] - Render on an existing page (e.g. from a BrowserPool); left open afterwards
+ * @param {"continuous"|"paged"} [options.layout] - One tall page (default) or printable pages with header/footer
+ * @param {"Letter"|"A4"} [options.pageSize] - Paper size for the paged layout (default Letter)
+ * @param {Date} [options.now] - Timestamp used for the file name, running header and the report's "today"
+ * @param {boolean} [options.strictHtml] - Fail instead of stripping disallowed HTML from narrative fields
+ * @param {string|object} [options.completenessPolicy] - block, fallback, hide, a policy file or a policy object (default config/completeness-policy.json)
+ * @param {boolean} [options.accessible] - Audit the HTML with axe-core and produce a tagged PDF with a title and language
+ * @param {boolean} [options.draft] - Reviewer draft: "DRAFT – NOT FOR PATIENT" watermark, hidden metadata and missing values shown inline.
+ *   Drafts are stamped as such and refused by publishPdf
+ * @param {true|string|object} [options.encryption] - Encrypt the PDF with AES-256: true (config/pdf-encryption.json), a policy file or a policy object.
+ *   Can't be combined with draft
+ * @returns {Promise<{ pdf: Buffer, html: string, fileName: string, sanitized: Array<{ path: string, removed: string[] }>, completeness: { gaps: object[], policy: object }, template: object, locale: string, timezone: string, accessibility: object|null, encryption: { rule: string }|null }>}
+ * @throws {ReportDataError|TemplateError|RenderError}
+ */
+export async function renderReport(rawData, options = {}) {
+  const { layout, pageSize } = resolveLayout(options);
+  if (options.encryption && options.draft) {
+    throw new ReportError("Draft renders are never encrypted: they are not for patients", { code: "INVALID_OPTION" });
   }
-  return 15; // Default
-});
-
-// Helper to filter summaries by match_value against patient's stage
-Handlebars.registerHelper("filterSummaries", function(summaries, patientStage, options) {
-  if (!summaries || summaries.length === 0) return '';
-  if (!patientStage) patientStage = '';
-  
-  // Filter summaries that match the patient's stage
-  const matching = summaries.filter(s => {
-    if (!s.match_value) return true; // Show if no match_value specified
-    return patientStage.toLowerCase().includes(s.match_value.toLowerCase()) ||
-           s.match_value.toLowerCase().includes(patientStage.toLowerCase());
+  // One timestamp for the whole render: the report's "today", header and file name agree
+  const now = options.now || new Date();
+  const { html, data, sanitized, completeness, template, locale, timezone } = renderReportHtml(rawData, { ...options, now });
+  const { cssPath, iconsDir, fontsDir } = template;
+
+  // Resolved before printing so a patient without a password fails fast
+  const encryptionPolicy = options.encryption ? getEncryptionPolicy(options.encryption) : null;
+  const password = encryptionPolicy ? getPdfPassword(data, encryptionPolicy) : null;
+
+  // Absolute file:// URLs so Puppeteer can resolve assets from any location
+  let htmlPdf = rewriteAssetPaths(html, {
+    css: pathToFileURL(cssPath).href,
+    icons: pathToFileURL(iconsDir).href,
+    fonts: pathToFileURL(fontsDir).href,
+  });
+  if (layout === "paged") htmlPdf = injectPagedStyles(htmlPdf);
+
+  const toc = buildTableOfContents(data, { locale });
+  const { firstName, lastName } = getPatientNameParts(data);
+  const printed = await printPdf(htmlPdf, {
+    browser: options.browser,
+    page: options.page,
+    layout,
+    pageSize,
+    header: {
+      patientName: `${firstName} ${lastName.replace(/-/g, " ")}`,
+      reportDate: formatCalendarDate(today(timezone, now), locale),
+      locale,
+      draft: options.draft,
+    },
+    anchorIds: getAnchorIds(toc),
+    accessible: options.accessible,
   });
-  
-  // If no matches found, show all summaries
-  const toDisplay = matching.length > 0 ? matching : summaries;
-  
-  return toDisplay.map(summary => options.fn(summary)).join('');
-});
-
-// Parse ER status from combined erpr_status value
-Handlebars.registerHelper("getERStatus", function(erprValue) {
-  if (!erprValue) return { status: 'Unknown', symbol: '-' };
-  const value = erprValue.toLowerCase();
-  if (value.includes('er positive')) return { status: 'Positive', symbol: '+' };
-  if (value.includes('er negative')) return { status: 'Negative', symbol: '-' };
-  return { status: 'Unknown', symbol: '-' };
-});
-
-// Parse PR status from combined erpr_status value
-Handlebars.registerHelper("getPRStatus", function(erprValue) {
-  if (!erprValue) return { status: 'Unknown', symbol: '-' };
-  const value = erprValue.toLowerCase();
-  if (value.includes('pr positive')) return { status: 'Positive', symbol: '+' };
-  if (value.includes('pr negative')) return { status: 'Negative', symbol: '-' };
-  return { status: 'Unknown', symbol: '-' };
-});
-
-// Group treatments by treatment_section, then by table_title
-// Returns: [{section, section_name, tables: [{title, description, rows: [...]}]}]
-Handlebars.registerHelper("groupTreatments", function(treatments, options) {
-  if (!treatments || !Array.isArray(treatments) || treatments.length === 0) {
-    return options.inverse(this);
+
+  // Bookmarks mirror the table of contents so the PDF viewer sidebar matches it
+  let pdf;
+  try {
+    pdf = await addOutline(printed.pdf, toc, {
+      positions: printed.anchors,
+      geometry: getPageGeometry({ layout, pageSize }),
+    });
+  } catch (err) {
+    throw new RenderError(`Failed to add PDF outline: ${err.message}`, { cause: err });
   }
-  
-  const sections = {};
-  
-  treatments.forEach(treatment => {
-    const sectionKey = treatment.treatment_section || "Other";
-    const tableTitle = treatment.table_title || "Treatments";
-    
-    if (!sections[sectionKey]) {
-      sections[sectionKey] = {
-        section: sectionKey,
-        section_name: sectionKey.replace(/^\d+\s*-\s*/, ''), // Remove "1 - " prefix
-        tables: {}
-      };
-    }
-    
-    if (!sections[sectionKey].tables[tableTitle]) {
-      sections[sectionKey].tables[tableTitle] = {
-        title: tableTitle,
-        description: treatment.table_description || '',
-        rows: []
-      };
+
+  // Record which template produced the PDF so it can be re-rendered identically
+  try {
+    pdf = await stampTemplateInfo(pdf, template, { draft: options.draft });
+  } catch (err) {
+    throw new RenderError(`Failed to stamp PDF metadata: ${err.message}`, { cause: err });
+  }
+
+  // Screen readers announce the title and pick a voice from the language
+  if (options.accessible) {
+    try {
+      pdf = await setAccessibleDocumentInfo(pdf, { title: translateText(locale, "document.title"), language: locale });
+    } catch (err) {
+      throw new RenderError(`Failed to set PDF title and language: ${err.message}`, { cause: err });
     }
-    
-    sections[sectionKey].tables[tableTitle].rows.push(treatment);
-  });
-  
-  // Convert to arrays and sort
-  const sectionsArray = Object.values(sections).map(section => ({
-    ...section,
-    tables: Object.values(section.tables).map(table => ({
-      ...table,
-      rows: table.rows.sort((a, b) => (a.row_order || 0) - (b.row_order || 0))
-    }))
-  }));
-  
-  // Sort sections by key (1 - Medical, 2 - Surgical, 3 - Radiation)
-  sectionsArray.sort((a, b) => a.section.localeCompare(b.section));
-  
-  return sectionsArray.map(section => options.fn(section)).join('');
-});
-
-// Group questions by section and topic
-Handlebars.registerHelper("groupQuestionsBySection", function(questions, sectionName, options) {
-  if (!questions || !Array.isArray(questions) || questions.length === 0) {
-    return options.inverse(this);
   }
-  
-  const filtered = questions.filter(q => q.section === sectionName);
-  
-  if (filtered.length === 0) return options.inverse(this);
-  
-  // Group by topic
-  const grouped = {};
-  filtered.forEach(q => {
-    const topic = q.topic || 'General';
-    if (!grouped[topic]) {
-      grouped[topic] = [];
+
+  // Last, so the steps above never have to open an encrypted file
+  if (encryptionPolicy) {
+    try {
+      pdf = await encryptPdf(pdf, { userPassword: password.password, permissions: encryptionPolicy.permissions });
+    } catch (err) {
+      throw new RenderError(`Failed to encrypt PDF: ${err.message}`, { cause: err });
     }
-    grouped[topic].push(q);
-  });
-  
-  // Convert to array format
-  const topicsArray = Object.entries(grouped).map(([topic, questions]) => ({
-    topic,
-    questions
-  }));
-  
-  return topicsArray.map(topicGroup => options.fn(topicGroup)).join('');
-});
-
-// Check if any questions exist for a section
-Handlebars.registerHelper("hasQuestionsForSection", function(questions, sectionName, options) {
-  if (!questions || !Array.isArray(questions) || questions.length === 0) {
-    return options.inverse(this);
   }
-  
-  const hasQuestions = questions.some(q => q.section === sectionName);
-  return hasQuestions ? options.fn(this) : options.inverse(this);
-});
+  const fileName = getReportFileName(data, now, { timezone, draft: options.draft });
+  const encryption = password && { rule: password.rule };
+
+  return { pdf, html, fileName, sanitized, completeness, template, locale, timezone, accessibility: printed.accessibility, encryption };
+}
 
 // ============================
 // 🔧 Helper Function: Generate PDF
 // ============================
-export async function generatePDF(jsonPath) {
+// CLI wrapper: reads a JSON file and writes the PDF to output/ plus an HTML
+// preview and data copy to previews/<slug>/ under outputRoot (default: cwd).
+// Encrypted renders skip the preview and data copies, which would hold the
+// same diagnosis in plaintext, unless plaintextPreviews is set.
+export async function generatePDF(jsonPath, options = {}) {
+  const { outputRoot = process.cwd(), plaintextPreviews = false, ...renderOptions } = options;
+
+  // 1️⃣ Load JSON data
+  let data;
   try {
-    // 1️⃣ Load JSON data
-    const rawData = fs.readFileSync(jsonPath, "utf8");
-    const data = JSON.parse(rawData);
+    data = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  } catch (err) {
+    throw new ReportDataError(`Could not read report JSON ${jsonPath}: ${err.message}`, { cause: err });
+  }
 
-    // 2️⃣ Load and compile Handlebars template
-    const templatePath = path.join(process.cwd(), "templates", "report.hbs");
-    const source = fs.readFileSync(templatePath, "utf8");
-    const template = Handlebars.compile(source);
-
-    // Compile template with data
-    const baseHtml = template(data);
-    
-    // Prepare paths
-    const cssPath = path.join(process.cwd(), "templates", "styles.css");
-    const iconsDir = path.join(process.cwd(), "templates", "icons");
-    const fontsDir = path.join(process.cwd(), "templates", "fonts");
-    
-    // Create HTML with relative paths for preview (works when shared with others)
-    // Preview is in previews/Patient-Name/ so need ../../ to get to root
-    const htmlPreview = baseHtml
-      .replace('<link rel="stylesheet" href="../templates/styles.css" />', '<link rel="stylesheet" href="../../templates/IGNORE_styles.css" />')
-      .replace(/src="\.\/icons\//g, 'src="../../templates/icons/')
-      .replace(/src="icons\//g, 'src="../../templates/icons/')
-      .replace(/url\(\.\.\/fonts\//g, 'url(../../templates/fonts/');
-    
-    // Create HTML with absolute paths for PDF generation (works with Puppeteer)
-    // Convert Windows paths to proper file:// URLs
-    const cssPathUrl = cssPath.replace(/\\/g, '/');
-    const iconsDirUrl = iconsDir.replace(/\\/g, '/');
-    const fontsDirUrl = fontsDir.replace(/\\/g, '/');
-    
-    const cssLink = `<link rel="stylesheet" href="file:///${cssPathUrl}" />`;
-    const htmlPdf = baseHtml
-      .replace('<link rel="stylesheet" href="../templates/styles.css" />', cssLink)
-      .replace(/src="\.\/icons\//g, `src="file:///${iconsDirUrl}/`)
-      .replace(/src="icons\//g, `src="file:///${iconsDirUrl}/`)
-      .replace(/url\(\.\.\/fonts\//g, `url(file:///${fontsDirUrl}/`);
-
-    // 3️⃣ Create timestamp and file name
-    // 🧾 Derive patient-based filename (e.g., Jane-Doe-Nov-6-2025-0432-PM.pdf)
-    // Support both new format (general_info) and old format (report.sections)
-    let patientName = "Unknown Patient";
-    if (data?.general_info?.fname?.value || data?.general_info?.lname?.value) {
-      const fname = data.general_info.fname?.value || "";
-      const lname = data.general_info.lname?.value || "";
-      patientName = `${fname} ${lname}`.trim() || "Unknown Patient";
-    } else if (data?.report?.sections) {
-      patientName = data.report.sections.find((s) => s.id === "records_overview")?.fields?.patient_name || "Unknown Patient";
-    }
-    const nameParts = patientName.trim().split(" ");
-    const firstName = nameParts[0] || "Unknown";
-    const lastName = nameParts.slice(1).join("-") || "Patient";
-
-    const now = new Date();
-    const formatted = now
-      .toLocaleString("en-US", {
-        month: "short",
-        day: "numeric",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-      })
-      .replace(/,|:/g, "")
-      .replace(/\s+/g, "-");  
-
-    const fileName = `${firstName || "Patient"}-${lastName || "Unknown"}-${formatted}.pdf`;
-    const outputDir = path.join(process.cwd(), "output");
-    fs.mkdirSync(outputDir, { recursive: true });
-    const outputPath = path.join(outputDir, fileName);
-
-    // ✨ Save HTML preview and JSON data in a dedicated folder per patient
-    const previewsDir = path.join(process.cwd(), "previews");
-    fs.mkdirSync(previewsDir, { recursive: true });
-
-    const patientSlug = `${firstName || "Patient"}-${lastName || "Unknown"}`;
-    
-    // Create patient-specific subfolder
-    const patientDir = path.join(previewsDir, patientSlug);
-    fs.mkdirSync(patientDir, { recursive: true });
-    
-    // Save HTML preview
-    const previewPath = path.join(patientDir, `${patientSlug}-preview.html`);
-    fs.writeFileSync(previewPath, htmlPreview);
-    
-    // Save patient's JSON data file
-    const patientJsonPath = path.join(patientDir, `${patientSlug}-data.json`);
-    fs.writeFileSync(patientJsonPath, JSON.stringify(data, null, 2));
-
-    console.log(`💾 Preview saved: ${previewPath}`);
-    console.log(`📄 Patient data saved: ${patientJsonPath}`);
-
-    // Save a separate HTML file for PDF generation with absolute paths
-    const pdfHtmlPath = path.join(previewsDir, `${patientSlug}-pdf-temp.html`);
-    fs.writeFileSync(pdfHtmlPath, htmlPdf);
-
-    // 4️⃣ Use Puppeteer to generate PDF
-    // Use page.goto() instead of setContent() to properly load local file:// resources
-    const browser = await puppeteer.launch({ 
-      headless: true,
-      args: ['--allow-file-access-from-files', '--disable-web-security']
-    });
-    const page = await browser.newPage();
-    
-    // Convert path to file:// URL
-    const pdfHtmlUrl = `file:///${pdfHtmlPath.replace(/\\/g, '/')}`;
-    await page.goto(pdfHtmlUrl, { waitUntil: "networkidle0" });
-    
-    // Set viewport to 1440px width (standard desktop width)
-    const pageWidth = 1440;
-    await page.setViewport({ width: pageWidth, height: 1080 });
-    
-    // Get the full height of the document after viewport is set
-    const bodyHeight = await page.evaluate(() => {
-      return document.body.scrollHeight;
-    });
-    
-    // Generate PDF with custom dimensions matching full document
-    await page.pdf({
-      path: outputPath,
-      width: `${pageWidth}px`,
-      height: `${bodyHeight}px`,
-      printBackground: true,
-      margin: { top: "0px", bottom: "0px", left: "0px", right: "0px" },
-    });
-    await browser.close();
-    
-    // Clean up temporary PDF HTML file
-    fs.unlinkSync(pdfHtmlPath);
+  // 2️⃣ Render HTML and PDF
+  const { pdf, html, fileName, completeness, template, locale, accessibility, encryption } = await renderReport(data, renderOptions);
 
-    console.log(`✅ PDF generated successfully: ${outputPath}`);
-    return outputPath;
-  } catch (err) {
-    console.error(`❌ Error generating PDF for ${jsonPath}: ${err.message}`);
-    return null;
+  // 3️⃣ Write PDF
+  const outputDir = path.join(outputRoot, "output");
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, fileName);
+  fs.writeFileSync(outputPath, pdf);
+
+  if (encryption && !plaintextPreviews) {
+    console.log("🔒 Encrypted render: no plaintext preview, data or completeness copy written (--plaintext-previews keeps them)");
+    console.log(`🧩 Completeness: ${completeness.gaps.length ? `${completeness.gaps.length} gap(s)` : "no gaps"}`);
+  } else {
+    writePreviews(jsonPath, { data, html, completeness, template, outputRoot });
   }
+
+  console.log(`🧬 Template ${template.version ? `v${template.version}` : "custom"} (${template.hash})`);
+  console.log(`🌐 Locale: ${locale}`);
+  if (accessibility) logAccessibilityReport(accessibility);
+  if (renderOptions.draft) console.log("📝 Draft render: not for patients, and never uploaded");
+  if (encryption) console.log(`🔒 Encrypted (AES-256, password rule: ${encryption.rule})`);
+  console.log(`✅ PDF generated successfully: ${outputPath}`);
+  return outputPath;
+}
+
+// The previews/<slug>/ copies: an HTML preview with working asset paths, the data and its completeness gaps
+function writePreviews(jsonPath, { data, html, completeness, template, outputRoot }) {
+  // ✨ Save HTML preview and JSON data in a dedicated folder per patient
+  // Preview is in previews/Patient-Name/ so need ../../ to get to root
+  const { slug: patientSlug } = getPatientNameParts(data);
+  const patientDir = path.join(outputRoot, "previews", patientSlug);
+  fs.mkdirSync(patientDir, { recursive: true });
+
+  const fromPreview = (file) => path.relative(patientDir, file).split(path.sep).join("/");
+  const htmlPreview = rewriteAssetPaths(html, {
+    css: fromPreview(path.join(path.dirname(template.templatePath), "IGNORE_styles.css")),
+    icons: fromPreview(template.iconsDir),
+    fonts: fromPreview(template.fontsDir),
+  });
+  const previewPath = path.join(patientDir, `${patientSlug}-preview.html`);
+  fs.writeFileSync(previewPath, htmlPreview);
+
+  const patientJsonPath = path.join(patientDir, `${patientSlug}-data.json`);
+  fs.writeFileSync(patientJsonPath, JSON.stringify(data, null, 2));
+
+  // Every empty field the template reads, for reviewers, instead of searching the PDF for fallbacks
+  const completenessPath = path.join(patientDir, `${patientSlug}-completeness.json`);
+  fs.writeFileSync(completenessPath, JSON.stringify({ input: jsonPath, ...completeness }, null, 2));
+
+  console.log(`💾 Preview saved: ${previewPath}`);
+  console.log(`📄 Patient data saved: ${patientJsonPath}`);
+  console.log(`🧩 Completeness: ${completeness.gaps.length ? `${completeness.gaps.length} gap(s)` : "no gaps"} (${completenessPath})`);
 }
 
 // ============================
@@ -631,11 +502,43 @@ export async function generatePDF(jsonPath) {
 // Only runs when called directly via the command line.
 const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
 if (isMainModule) {
-  const inputPath = process.argv[2];
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      layout: { type: "string", default: "continuous" },
+      "page-size": { type: "string" },
+      "strict-html": { type: "boolean", default: false },
+      "template-version": { type: "string" },
+      locale: { type: "string" },
+      timezone: { type: "string" },
+      accessible: { type: "boolean", default: false },
+      completeness: { type: "string" },
+      draft: { type: "boolean", default: false },
+      encrypt: { type: "boolean", default: false },
+      "encryption-policy": { type: "string" },
+      "plaintext-previews": { type: "boolean", default: false },
+    },
+  });
+  const inputPath = positionals[0];
   if (!inputPath) {
     console.error("❌ Please provide a JSON input path.");
     process.exit(1);
   } else {
-    generatePDF(inputPath);
+    generatePDF(inputPath, {
+      layout: values.layout,
+      pageSize: values["page-size"],
+      strictHtml: values["strict-html"],
+      templateVersion: values["template-version"],
+      locale: values.locale,
+      timezone: values.timezone,
+      accessible: values.accessible,
+      completenessPolicy: values.completeness,
+      draft: values.draft,
+      encryption: values["encryption-policy"] || values.encrypt,
+      plaintextPreviews: values["plaintext-previews"],
+    }).catch((err) => {
+      console.error(`❌ Error generating PDF for ${inputPath}: [${err.code || err.name}] ${err.message}`);
+      process.exit(1);
+    });
   }
-}
\ No newline at end of file
+}
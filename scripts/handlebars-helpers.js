@@ -1,18 +1,85 @@
-// Shared Handlebars helpers for all scripts
+// Shared Handlebars helpers for all scripts.
+// Every entry point (generate-report, watch-dev, preview-hbs) registers helpers
+// from here so the dev preview renders exactly like the production PDF.
+import { TemplateError } from "./errors.js";
+import { buildTableOfContents } from "./table-of-contents.js";
+import { getCitationIndex, getCitationAnchorId } from "./citations.js";
+import { renderRichText } from "./sanitize.js";
+import { translate, translateText, formatNumber } from "./i18n.js";
+import { formatClinicalDate, formatCalendarDate, compareClinicalDates, today } from "./clinical-dates.js";
+import { isMissing, getGapAction } from "./completeness.js";
+
 export function registerHelpers(Handlebars) {
   // Simple equality helper for section filtering
   Handlebars.registerHelper("eq", (a, b) => a === b);
 
+  // First truthy argument, for fallback values passed to other helpers
+  Handlebars.registerHelper("or", (...args) => args.slice(0, -1).find(Boolean) ?? "");
+
+  // Static copy from the locale's message catalog: {{t "diagnosis.overview_title" date=...}}
+  // The locale comes from the render's private data (@locale), set by renderReportHtml
+  Handlebars.registerHelper("t", function(key, options) {
+    return new Handlebars.SafeString(translate(options.data?.locale, key, options.hash));
+  });
+
+  // Numeric values (e.g. tumor sizes) formatted for the locale: 1.5 -> "1,5" in Spanish
+  Handlebars.registerHelper("formatNumber", function(value, options) {
+    return formatNumber(value, options.data?.locale);
+  });
+
   // Block equality helper for conditional rendering
   Handlebars.registerHelper("ifEq", function(a, b, options) {
     return a === b ? options.fn(this) : options.inverse(this);
   });
 
+  // Narrative text (explanations, summary bodies, notes): allowlisted formatting only.
+  // Use this instead of triple-stash so LLM output can never inject markup.
+  Handlebars.registerHelper("richText", function(value) {
+    return new Handlebars.SafeString(renderRichText(value));
+  });
+
   // Increment helper for index + 1
   Handlebars.registerHelper("inc", function(value) {
     return parseInt(value) + 1;
   });
 
+  // Dates go through clinical-dates.js so the day shown never depends on the
+  // renderer's TZ; @timezone (set by renderReportHtml) only places instants
+
+  // formatDate helper to format dates as YYYY-MM-DD
+  Handlebars.registerHelper("formatDate", function(dateString, options) {
+    if (!dateString) return "";
+    return formatClinicalDate(dateString, { timezone: options.data?.timezone, format: 'iso' });
+  });
+
+  // Extract stage indicator (e.g., "Stage IIB" -> "IIB", "Stage IA" -> "IA")
+  Handlebars.registerHelper("extractStageIndicator", function(stageValue) {
+    if (!stageValue) return "--";
+    // Remove "Stage " prefix and trim
+    const indicator = stageValue.replace(/Stage\s*/i, "").trim();
+    return indicator || "--";
+  });
+
+  // Extract grade number (e.g., "Grade 2" -> "2", "Grade 1" -> "1")
+  Handlebars.registerHelper("extractGradeNumber", function(gradeValue) {
+    if (!gradeValue) return "--";
+    // Extract the number from "Grade X"
+    const match = gradeValue.match(/Grade\s*(\d+)/i);
+    return match ? match[1] : "--";
+  });
+
+  // Format date nicely (e.g., "2025-10-14T00:00:00.000Z" -> "October 14, 2025" / "14 de octubre de 2025")
+  Handlebars.registerHelper("formatDateNice", function(dateString, options) {
+    if (!dateString) return "";
+    return formatClinicalDate(dateString, { locale: options.data?.locale, timezone: options.data?.timezone, format: 'long' });
+  });
+
+  // Get current date formatted (today in the report's timezone; @now pins it for a render)
+  Handlebars.registerHelper("currentDate", function(options) {
+    const now = options.data?.now || new Date();
+    return formatCalendarDate(today(options.data?.timezone, now), options.data?.locale, 'long');
+  });
+
   // Split string by delimiter and trim each item
   Handlebars.registerHelper("split", function(str, delimiter) {
     if (!str) return [];
@@ -22,72 +89,325 @@ export function registerHelpers(Handlebars) {
   // Split by newlines or comma, handling actual newline characters
   Handlebars.registerHelper("splitLines", function(str, delimiter) {
     if (!str) return [];
-    
+
+    // Convert to string in case it's not
     const text = String(str);
+
+    // Handlebars passes an options hash as the last parameter, so check if delimiter is actually a string
+    // If delimiter is the options object, treat it as undefined
     const actualDelimiter = (typeof delimiter === 'string') ? delimiter : undefined;
-    
+
+    // If delimiter is provided (e.g., comma for Medical), use it
     if (actualDelimiter) {
       return text.split(actualDelimiter).map(item => item.trim()).filter(item => item.length > 0);
     }
-    
+
+    // Otherwise split by newlines (for Surgical/Radiation)
+    // JSON.parse converts \n in JSON strings to actual newline characters (char code 10)
+    // Split by any newline variant
     return text.split(/[\r\n]+/).map(item => item.trim()).filter(item => item.length > 0);
   });
 
   // Strip bullet points (• or -) from the beginning of strings
   Handlebars.registerHelper("stripBullet", function(str) {
     if (!str) return "";
+    // Remove bullet point (•), dash (-), or asterisk (*) followed by optional spaces from the start
     return String(str).replace(/^[•\-\*]\s*/, "").trim();
   });
 
-  // Format date helpers
-  Handlebars.registerHelper("formatDate", function(dateString) {
-    if (!dateString) return "";
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) return dateString;
-      return date.toISOString().split('T')[0];
-    } catch (e) {
-      return dateString;
-    }
+  // Group questions by section and topic
+  Handlebars.registerHelper("groupQuestions", function(items) {
+    if (!items || !Array.isArray(items)) return [];
+
+    const grouped = {};
+
+    items.forEach(item => {
+      if (!grouped[item.section]) {
+        grouped[item.section] = {};
+      }
+      if (!grouped[item.section][item.topic]) {
+        grouped[item.section][item.topic] = [];
+      }
+      grouped[item.section][item.topic].push(item);
+    });
+
+    // Convert to array format for template iteration
+    const result = [];
+    Object.keys(grouped).forEach(section => {
+      const topics = [];
+      Object.keys(grouped[section]).forEach(topic => {
+        topics.push({
+          name: topic,
+          questions: grouped[section][topic]
+        });
+      });
+      result.push({
+        section: section,
+        topics: topics
+      });
+    });
+
+    return result;
   });
 
-  Handlebars.registerHelper("formatDateNice", function(dateString) {
+  // Parse flexible date formats (handles both ISO and JS Date.toString() formats)
+  Handlebars.registerHelper("parseDate", function(dateString, options) {
     if (!dateString) return "";
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) return dateString;
-      return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-    } catch (e) {
-      return dateString;
-    }
+    return formatClinicalDate(dateString, { locale: options.data?.locale, timezone: options.data?.timezone, format: 'short' });
   });
 
-  Handlebars.registerHelper("parseDate", function(dateString) {
-    if (!dateString) return "";
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) return dateString;
-      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-    } catch (e) {
-      return dateString;
+  // Filter tests by status (for testing_and_consultations)
+  Handlebars.registerHelper("filterByStatus", function(tests, status, options) {
+    if (!tests || !Array.isArray(tests)) return options.inverse(this);
+    const filtered = tests.filter(t => t.status && t.status.toLowerCase() === status.toLowerCase());
+    if (filtered.length === 0) return options.inverse(this);
+    return filtered.map(t => options.fn(t)).join('');
+  });
+
+  // Check if any tests exist with a specific status
+  Handlebars.registerHelper("hasTestsWithStatus", function(tests, status, options) {
+    if (!tests || !Array.isArray(tests)) return options.inverse(this);
+    const hasTests = tests.some(t => t.status && t.status.toLowerCase() === status.toLowerCase());
+    return hasTests ? options.fn(this) : options.inverse(this);
+  });
+
+  // Get record title (prefer patient_facing_title over document_name over name)
+  Handlebars.registerHelper("getRecordTitle", function(record) {
+    return record?.patient_facing_title || record?.document_name || record?.name || 'Unknown Record';
+  });
+
+  // Check if object has a value property with content
+  Handlebars.registerHelper("hasValue", function(obj, options) {
+    if (!obj || !obj.value || obj.value === '') return options.inverse(this);
+    return options.fn(this);
+  });
+
+  // Filter tests by status and category (tests vs referrals), sorted by date (oldest first)
+  Handlebars.registerHelper("filterTestsByTypeAndStatus", function(tests, isReferral, status, options) {
+    if (!tests || !Array.isArray(tests)) return options.inverse(this);
+
+    const referralKeywords = ['referral', 'consultation'];
+
+    const filtered = tests.filter(t => {
+      // Check status match
+      if (!t.status || t.status.toLowerCase() !== status.toLowerCase()) return false;
+
+      // Check if it's a referral or test
+      const testName = (t.test_name || '').toLowerCase();
+      const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
+
+      return isReferral ? isTestReferral : !isTestReferral;
+    });
+
+    if (filtered.length === 0) return options.inverse(this);
+
+    // Sort by date (oldest first)
+    const timezone = options.data?.timezone;
+    filtered.sort((a, b) => compareClinicalDates(
+      a.test_date || a.service_date || a.referral_date,
+      b.test_date || b.service_date || b.referral_date,
+      { timezone }
+    ));
+
+    return filtered.map(t => options.fn(t)).join('');
+  });
+
+  // Check if any tests exist with specific type and status (for completed/scheduled tests)
+  Handlebars.registerHelper("hasTestsOfType", function(tests, isReferral, status, options) {
+    if (!tests || !Array.isArray(tests)) return options.inverse(this);
+
+    const referralKeywords = ['referral', 'consultation'];
+
+    const hasTests = tests.some(t => {
+      if (!t.status || t.status.toLowerCase() !== status.toLowerCase()) return false;
+      const testName = (t.test_name || '').toLowerCase();
+      const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
+      return isReferral ? isTestReferral : !isTestReferral;
+    });
+
+    return hasTests ? options.fn(this) : options.inverse(this);
+  });
+
+  // Check if any tests exist with likelihood (for "may consider" sections)
+  Handlebars.registerHelper("hasTestsWithLikelihood", function(tests, isReferral, options) {
+    if (!tests || !Array.isArray(tests)) return options.inverse(this);
+
+    const referralKeywords = ['referral', 'consultation'];
+
+    const hasTests = tests.some(t => {
+      const likelihood = (t.likelihood || '').trim();
+      if (!likelihood || likelihood.toLowerCase() === 'completed') return false;
+
+      const testName = (t.test_name || '').toLowerCase();
+      const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
+      return isReferral ? isTestReferral : !isTestReferral;
+    });
+
+    return hasTests ? options.fn(this) : options.inverse(this);
+  });
+
+  // Filter tests by type (tests vs referrals) with likelihood, sorted by likelihood (highest risk first)
+  // Shows tests where likelihood is not blank and not "Completed"
+  Handlebars.registerHelper("filterByLikelihood", function(tests, isReferral, options) {
+    if (!tests || !Array.isArray(tests)) return options.inverse(this);
+
+    const referralKeywords = ['referral', 'consultation'];
+
+    const filtered = tests.filter(t => {
+      // Filter criteria: likelihood != blank AND likelihood != "Completed"
+      const likelihood = (t.likelihood || '').trim();
+      if (!likelihood || likelihood.toLowerCase() === 'completed') return false;
+
+      // Check if it's a referral or test
+      const testName = (t.test_name || '').toLowerCase();
+      const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
+
+      return isReferral ? isTestReferral : !isTestReferral;
+    });
+
+    if (filtered.length === 0) return options.inverse(this);
+
+    // Sort by likelihood (highest risk first)
+    // Priority: "Highly Likely" > any other likelihood text
+    filtered.sort((a, b) => {
+      const likelihoodA = (a.likelihood || '').toLowerCase();
+      const likelihoodB = (b.likelihood || '').toLowerCase();
+
+      // Highly Likely comes first
+      if (likelihoodA.includes('highly likely') && !likelihoodB.includes('highly likely')) return -1;
+      if (!likelihoodA.includes('highly likely') && likelihoodB.includes('highly likely')) return 1;
+
+      return 0; // Keep original order if same priority
+    });
+
+    return filtered.map(t => options.fn(t)).join('');
+  });
+
+  // Sort array by date field (oldest first)
+  Handlebars.registerHelper("sortByDate", function(array, dateField, options) {
+    if (!array || !Array.isArray(array)) return options.inverse(this);
+
+    const timezone = options.data?.timezone;
+    const sorted = [...array].sort((a, b) => compareClinicalDates(a[dateField], b[dateField], { timezone }));
+
+    return sorted.map(item => options.fn(item)).join('');
+  });
+
+  // A row, card or stat the completeness policy leaves out when one of its fields is missing:
+  // {{#completenessBlock "tumor.stage" fields.stage.value fields.stage.explanation}}...{{/completenessBlock}}
+  // The policy comes from @completeness (set by renderReportHtml); without one, gaps fall back.
+  // Drafts keep every block so reviewers see the gaps.
+  Handlebars.registerHelper("completenessBlock", function(rule, ...args) {
+    const options = args.pop();
+    if (options.data?.draft) return options.fn(this);
+    const hidden = args.some(isMissing) && getGapAction(options.data?.completeness, rule) === "hide";
+    return hidden ? "" : options.fn(this);
+  });
+
+  // Neutral stand-in for a missing field: {{fallbackText}}, or {{fallbackText "short"}} in value slots.
+  // Highlighted in drafts
+  Handlebars.registerHelper("fallbackText", function(...args) {
+    const options = args.pop();
+    const locale = options.data?.locale;
+    const text = args[0] === "short" ? translate(locale, "common.fallback_short") : translate(locale, "common.fallback");
+    return new Handlebars.SafeString(options.data?.draft ? `<mark class="qa-missing">${text}</mark>` : text);
+  });
+
+  // ---- Reviewer draft mode (@draft): these render nothing in patient reports ----
+
+  // An inline QA annotation; missing ones stand out
+  const qaBadge = (text, missing = false) =>
+    new Handlebars.SafeString(`<span class="qa-note${missing ? " qa-missing" : ""}">${Handlebars.escapeExpression(text)}</span>`);
+
+  // Hidden metadata shown inline: {{qaNote "matched_logic" matched_logic}}.
+  // Empty values are highlighted unless optional=true (e.g. a summary without match_value)
+  Handlebars.registerHelper("qaNote", function(label, value, options) {
+    if (!options.data?.draft) return "";
+    if (isMissing(value)) {
+      return options.hash.optional
+        ? qaBadge(`${label}: —`)
+        : qaBadge(translateText(options.data.locale, "draft.missing", { field: label }), true);
     }
+    return qaBadge(`${label}: ${value}`);
   });
 
-  Handlebars.registerHelper("currentDate", function() {
-    return new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+  // Source document and page of a cited field: {{qaSource fields.stage}}
+  Handlebars.registerHelper("qaSource", function(field, options) {
+    if (!options.data?.draft) return "";
+    const locale = options.data.locale;
+    const source = typeof field?.source === "string" ? field.source.trim() : "";
+    if (!source) return qaBadge(translateText(locale, "draft.no_source"), true);
+    const page = parseInt(field.source_page, 10);
+    return qaBadge(Number.isFinite(page) ? translateText(locale, "draft.source_page", { source, page }) : source);
   });
 
-  // Extract stage/grade information
-  Handlebars.registerHelper("extractStageIndicator", function(stageValue) {
-    if (!stageValue) return "--";
-    const indicator = stageValue.replace(/Stage\s*/i, "").trim();
-    return indicator || "--";
+  // Repeating diagonal "DRAFT – NOT FOR PATIENT" over the whole document, so every printed page carries it
+  Handlebars.registerHelper("draftWatermark", function(options) {
+    if (!options.data?.draft) return "";
+    const text = Handlebars.escapeExpression(translateText(options.data.locale, "draft.watermark"));
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="720" height="480"><text x="360" y="240" text-anchor="middle" transform="rotate(-30 360 240)" font-family="Helvetica, Arial, sans-serif" font-size="44" font-weight="700" fill="rgba(200, 30, 30, 0.16)">${text}</text></svg>`;
+    return new Handlebars.SafeString(
+      `<div class="draft-watermark" aria-hidden="true" style="background-image: url('data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}');"></div>`
+    );
   });
 
-  Handlebars.registerHelper("extractGradeNumber", function(gradeValue) {
-    if (!gradeValue) return "--";
-    const match = gradeValue.match(/Grade\s*(\d+)/i);
-    return match ? match[1] : "--";
+  // Gauge rings: the percent fills the ring, the level names it for screen readers
+  // ("Stage IIB, intermediate"); both come from getGaugeLevel in one place
+  Handlebars.registerHelper("getStagePercent", function(stageValue) {
+    return getGaugeLevel("stage", stageValue).percent;
+  });
+
+  Handlebars.registerHelper("getGradePercent", function(gradeValue) {
+    return getGaugeLevel("grade", gradeValue).percent;
+  });
+
+  Handlebars.registerHelper("getHER2Percent", function(her2Value) {
+    return getGaugeLevel("her2", her2Value).percent;
+  });
+
+  // Text alternative for a gauge: {{gaugeLabel "stage" diagnosis.stage.value}}
+  Handlebars.registerHelper("gaugeLabel", function(gauge, value, options) {
+    const locale = options.data?.locale;
+    if (!value) return translateText(locale, `gauges.${gauge}_missing`);
+    const level = translateText(locale, `gauges.levels.${getGaugeLevel(gauge, value).level}`);
+    return translateText(locale, "gauges.value_level", { value, level });
+  });
+
+  // Helper to filter summaries by match_value against patient's stage
+  Handlebars.registerHelper("filterSummaries", function(summaries, patientStage, options) {
+    if (!summaries || summaries.length === 0) return '';
+    if (!patientStage) patientStage = '';
+
+    // Filter summaries that match the patient's stage
+    const matching = summaries.filter(s => {
+      if (!s.match_value) return true; // Show if no match_value specified
+      return patientStage.toLowerCase().includes(s.match_value.toLowerCase()) ||
+             s.match_value.toLowerCase().includes(patientStage.toLowerCase());
+    });
+
+    // If no matches found, show all summaries
+    const toDisplay = matching.length > 0 ? matching : summaries;
+
+    return toDisplay.map(summary => options.fn(summary)).join('');
+  });
+
+  // Parse ER status from combined erpr_status value
+  // (messageKey is the catalog entry for the status word)
+  Handlebars.registerHelper("getERStatus", function(erprValue) {
+    if (!erprValue) return { status: 'Unknown', symbol: '-', messageKey: 'common.status.unknown' };
+    const value = erprValue.toLowerCase();
+    if (value.includes('er positive')) return { status: 'Positive', symbol: '+', messageKey: 'common.status.positive' };
+    if (value.includes('er negative')) return { status: 'Negative', symbol: '-', messageKey: 'common.status.negative' };
+    return { status: 'Unknown', symbol: '-', messageKey: 'common.status.unknown' };
+  });
+
+  // Parse PR status from combined erpr_status value
+  Handlebars.registerHelper("getPRStatus", function(erprValue) {
+    if (!erprValue) return { status: 'Unknown', symbol: '-', messageKey: 'common.status.unknown' };
+    const value = erprValue.toLowerCase();
+    if (value.includes('pr positive')) return { status: 'Positive', symbol: '+', messageKey: 'common.status.positive' };
+    if (value.includes('pr negative')) return { status: 'Negative', symbol: '-', messageKey: 'common.status.negative' };
+    return { status: 'Unknown', symbol: '-', messageKey: 'common.status.unknown' };
   });
 
   // Group treatments by treatment_section, then by table_title
@@ -96,13 +416,13 @@ export function registerHelpers(Handlebars) {
     if (!treatments || !Array.isArray(treatments) || treatments.length === 0) {
       return options.inverse(this);
     }
-    
+
     const sections = {};
-    
+
     treatments.forEach(treatment => {
       const sectionKey = treatment.treatment_section || "Other";
       const tableTitle = treatment.table_title || "Treatments";
-      
+
       if (!sections[sectionKey]) {
         sections[sectionKey] = {
           section: sectionKey,
@@ -110,7 +430,7 @@ export function registerHelpers(Handlebars) {
           tables: {}
         };
       }
-      
+
       if (!sections[sectionKey].tables[tableTitle]) {
         sections[sectionKey].tables[tableTitle] = {
           title: tableTitle,
@@ -118,10 +438,10 @@ export function registerHelpers(Handlebars) {
           rows: []
         };
       }
-      
+
       sections[sectionKey].tables[tableTitle].rows.push(treatment);
     });
-    
+
     // Convert to arrays and sort
     const sectionsArray = Object.values(sections).map(section => ({
       ...section,
@@ -130,10 +450,170 @@ export function registerHelpers(Handlebars) {
         rows: table.rows.sort((a, b) => (a.row_order || 0) - (b.row_order || 0))
       }))
     }));
-    
+
     // Sort sections by key (1 - Medical, 2 - Surgical, 3 - Radiation)
     sectionsArray.sort((a, b) => a.section.localeCompare(b.section));
-    
+
     return sectionsArray.map(section => options.fn(section)).join('');
   });
+
+  // Group questions by section and topic
+  Handlebars.registerHelper("groupQuestionsBySection", function(questions, sectionName, options) {
+    if (!questions || !Array.isArray(questions) || questions.length === 0) {
+      return options.inverse(this);
+    }
+
+    const filtered = questions.filter(q => q.section === sectionName);
+
+    if (filtered.length === 0) return options.inverse(this);
+
+    // Group by topic
+    const grouped = {};
+    filtered.forEach(q => {
+      const topic = q.topic || 'General';
+      if (!grouped[topic]) {
+        grouped[topic] = [];
+      }
+      grouped[topic].push(q);
+    });
+
+    // Convert to array format
+    const topicsArray = Object.entries(grouped).map(([topic, questions]) => ({
+      topic,
+      questions
+    }));
+
+    return topicsArray.map(topicGroup => options.fn(topicGroup)).join('');
+  });
+
+  // Navigation entries for the report (sections, with one child per tumor)
+  Handlebars.registerHelper("tableOfContents", function(options) {
+    return buildTableOfContents(options.data.root, { locale: options.data.locale });
+  });
+
+  // Footnote marker linking a field object to its entry in the Sources appendix
+  Handlebars.registerHelper("cite", function(field, options) {
+    const number = getCitationIndex(options.data.root).numberFor(field);
+    if (!number) return "";
+    return new Handlebars.SafeString(
+      `<sup class="citation"><a href="#${getCitationAnchorId(number)}">${number}</a></sup>`
+    );
+  });
+
+  // Citations grouped by source document, for the Sources appendix
+  Handlebars.registerHelper("citationSources", function(options) {
+    return getCitationIndex(options.data.root, { locale: options.data.locale }).groups;
+  });
+
+  // Check if any questions exist for a section
+  Handlebars.registerHelper("hasQuestionsForSection", function(questions, sectionName, options) {
+    if (!questions || !Array.isArray(questions) || questions.length === 0) {
+      return options.inverse(this);
+    }
+
+    const hasQuestions = questions.some(q => q.section === sectionName);
+    return hasQuestions ? options.fn(this) : options.inverse(this);
+  });
+}
+
+// Helpers Handlebars provides out of the box
+const BUILTIN_HELPERS = new Set(["if", "unless", "each", "with", "lookup", "log", "helperMissing", "blockHelperMissing"]);
+
+/**
+ * Walks the template AST and returns every helper it calls that is not registered.
+ * A mustache counts as a helper call when it has params or hash arguments,
+ * is a subexpression, or is a block with params (plain {{#foo}} is a section).
+ * Returns [{ name, line }].
+ */
+export function findMissingHelpers(Handlebars, source) {
+  const ast = Handlebars.parse(source);
+  const missing = [];
+
+  function check(node) {
+    const pathNode = node.path;
+    if (!pathNode || pathNode.type !== "PathExpression") return;
+    if (pathNode.data || pathNode.parts.length !== 1) return; // @root.x, foo.bar are data lookups
+
+    const name = pathNode.original;
+    const hasArgs = (node.params && node.params.length > 0) || (node.hash && node.hash.pairs.length > 0);
+    const isCall = node.type === "SubExpression" || hasArgs;
+    if (!isCall || BUILTIN_HELPERS.has(name) || Handlebars.helpers[name]) return;
+
+    missing.push({ name, line: node.loc?.start?.line });
+  }
+
+  function visit(node) {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (["MustacheStatement", "BlockStatement", "SubExpression", "PartialStatement"].includes(node.type)) {
+      if (node.type !== "PartialStatement") check(node);
+      visit(node.params);
+      if (node.hash) visit(node.hash.pairs.map(pair => pair.value));
+    }
+    if (node.type === "BlockStatement") {
+      visit(node.program);
+      visit(node.inverse);
+    }
+    if (node.type === "Program") visit(node.body);
+  }
+
+  visit(ast);
+  return missing;
+}
+
+/**
+ * Fails loudly when a template references a helper that isn't registered,
+ * instead of letting Handlebars render a blank section at runtime.
+ */
+export function assertHelpersRegistered(Handlebars, source, templateName = "template") {
+  const missing = findMissingHelpers(Handlebars, source);
+  if (missing.length === 0) return;
+
+  const list = missing.map(m => `${m.name} (line ${m.line})`).join(", ");
+  throw new TemplateError(`${templateName} uses unregistered Handlebars helper(s): ${list}`, {
+    details: missing,
+  });
+}
+
+// ============================
+// 🎯 Gauge levels
+// ============================
+// Stage: 0/I = early, II = intermediate, III = advanced, IV = metastatic (template v3
+// keeps its own helpers, which draw Stage III at Stage II's 30%).
+// Grade: 1 = low, 2 = intermediate, 3 = high. HER2: negative < ultralow < low < positive.
+// Anything unrecognized draws the smallest ring and reads as "unknown".
+export function getGaugeLevel(gauge, rawValue) {
+  const value = String(rawValue || '').toLowerCase();
+  if (!value) return { level: 'unknown', percent: 15 };
+
+  if (gauge === 'stage') {
+    if (value.includes('stage 0') || value === 'stage i' || value.includes('stage ia') || value.includes('stage ib')) {
+      return { level: 'early', percent: 15 };
+    }
+    // Longest numeral first, so "stage iii" isn't read as "stage ii"
+    if (value.includes('stage iv')) return { level: 'metastatic', percent: 60 };
+    if (value.includes('stage iii')) return { level: 'advanced', percent: 45 };
+    if (value.includes('stage ii')) return { level: 'intermediate', percent: 30 };
+    return { level: 'unknown', percent: 15 };
+  }
+
+  if (gauge === 'grade') {
+    if (value.includes('grade 1')) return { level: 'low', percent: 15 };
+    if (value.includes('grade 2')) return { level: 'intermediate', percent: 30 };
+    if (value.includes('grade 3')) return { level: 'high', percent: 45 };
+    return { level: 'unknown', percent: 15 };
+  }
+
+  if (gauge === 'her2') {
+    if (value.includes('negative')) return { level: 'her2_negative', percent: 15 };
+    if (value.includes('ultralow')) return { level: 'her2_ultralow', percent: 25 };
+    if (value.includes('low')) return { level: 'her2_low', percent: 35 };
+    if (value.includes('positive')) return { level: 'her2_positive', percent: 45 };
+    return { level: 'unknown', percent: 15 };
+  }
+
+  throw new TemplateError(`Unknown gauge "${gauge}" (expected stage, grade or her2)`);
 }
@@ -0,0 +1,151 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Handlebars from "handlebars";
+import { ReportError, ReportDataError, TemplateError } from "./errors.js";
+
+// Static report copy lives in per-locale message catalogs (locales/<lang>.json)
+// and is looked up by dotted key, e.g. "diagnosis.overview_title". English is
+// the reference catalog: every other locale must define the same keys (see
+// check-locales.js). Messages are trusted HTML, like the template itself;
+// "{name}" placeholders are filled with escaped parameters.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const LOCALES_DIR = path.resolve(__dirname, "..", "locales");
+export const DEFAULT_LOCALE = "en";
+
+const catalogs = new Map();
+
+/** Languages with a catalog, e.g. ["en", "es"]. */
+export function listLocales(dir = LOCALES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"))
+    .sort();
+}
+
+export function getCatalogPath(language, dir = LOCALES_DIR) {
+  return path.join(dir, `${language}.json`);
+}
+
+export function loadCatalog(language, dir = LOCALES_DIR) {
+  const file = getCatalogPath(language, dir);
+  if (!catalogs.has(file)) {
+    try {
+      catalogs.set(file, JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch (err) {
+      throw new TemplateError(`Could not load message catalog ${file}: ${err.message}`, { cause: err });
+    }
+  }
+  return catalogs.get(file);
+}
+
+// Lets long-running processes (watch-dev) pick up edited catalogs
+export function clearCatalogCache() {
+  catalogs.clear();
+}
+
+/** Every message in a catalog as { "dotted.key": "message" }. */
+export function flattenCatalog(catalog, prefix = "") {
+  const messages = {};
+  for (const [key, value] of Object.entries(catalog)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(messages, flattenCatalog(value, dotted));
+    } else {
+      messages[dotted] = value;
+    }
+  }
+  return messages;
+}
+
+/** Placeholder names used by a message, e.g. ["name"] for "Dear {name},". */
+export function getPlaceholders(message) {
+  return [...new Set([...String(message).matchAll(/\{(\w+)\}/g)].map((match) => match[1]))].sort();
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+}
+
+/**
+ * The locale a report renders in: the override if given, else the report's
+ * `locale` field, else English. Region subtags are kept for date and number
+ * formatting ("es-MX" uses the "es" catalog but Mexican formats).
+ *
+ * @param {object} data - Report JSON
+ * @param {object} [options]
+ * @param {string} [options.override] - e.g. from --locale
+ * @returns {{ locale: string, language: string, source: "override"|"locale"|"default" }}
+ * @throws {ReportError} INVALID_OPTION for an unsupported override
+ * @throws {ReportDataError} UNKNOWN_LOCALE for an unsupported locale field
+ */
+export function resolveLocale(data, { override, dir = LOCALES_DIR } = {}) {
+  const available = listLocales(dir);
+  const parse = (value) => {
+    const tag = String(value).trim().replace(/_/g, "-");
+    const language = tag.split("-")[0].toLowerCase();
+    return available.includes(language) ? { locale: tag, language } : null;
+  };
+  const expected = `available: ${available.join(", ") || "none"}`;
+
+  if (override !== undefined && override !== null && override !== "") {
+    const resolved = parse(override);
+    if (!resolved) throw new ReportError(`Unsupported locale "${override}" (${expected})`, { code: "INVALID_OPTION" });
+    return { ...resolved, source: "override" };
+  }
+  if (data?.locale !== undefined && data.locale !== "") {
+    const resolved = parse(data.locale);
+    if (!resolved) {
+      throw new ReportDataError(`Unsupported locale ${JSON.stringify(data.locale)} (${expected})`, { code: "UNKNOWN_LOCALE" });
+    }
+    return { ...resolved, source: "locale" };
+  }
+  return { locale: DEFAULT_LOCALE, language: DEFAULT_LOCALE, source: "default" };
+}
+
+/**
+ * The raw message for a key, falling back to English when the locale's
+ * catalog lacks it. Unknown keys are template bugs and throw.
+ */
+export function getMessage(locale, key) {
+  const language = String(locale || DEFAULT_LOCALE).split("-")[0].toLowerCase();
+  const message = lookup(loadCatalog(language), key) ?? lookup(loadCatalog(DEFAULT_LOCALE), key);
+  if (typeof message !== "string") {
+    throw new TemplateError(`Unknown message key "${key}" (not in locales/${DEFAULT_LOCALE}.json)`);
+  }
+  return message;
+}
+
+/** Whether the reference (English) catalog defines a key; getMessage throws for those it doesn't. */
+export function hasMessage(key) {
+  return typeof lookup(loadCatalog(DEFAULT_LOCALE), key) === "string";
+}
+
+function fill(message, params, escape) {
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? escape(params[name] ?? "") : placeholder));
+}
+
+/** Looks up a message and fills its placeholders; the result is HTML. */
+export function translate(locale, key, params = {}) {
+  return fill(getMessage(locale, key), params, Handlebars.escapeExpression);
+}
+
+/** Same for plain-text messages (PDF outline, page header): parameters are inserted as is. */
+export function translateText(locale, key, params = {}) {
+  return fill(getMessage(locale, key), params, String);
+}
+
+/** The BCP 47 tag for Intl formatting; bare languages use the catalog's default region. */
+export function getIntlLocale(locale) {
+  const tag = String(locale || DEFAULT_LOCALE);
+  return tag.includes("-") ? tag : getMessage(tag, "locale.intl");
+}
+
+// Numeric strings ("1.5") are formatted for the locale; anything else is returned as is
+export function formatNumber(value, locale) {
+  const text = String(value ?? "").trim();
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return value;
+  return new Intl.NumberFormat(getIntlLocale(locale), { maximumFractionDigits: 2 }).format(Number(text));
+}
@@ -0,0 +1,681 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { ReportDataError } from "./errors.js";
+import { expandInputs, MIGRATED_SUFFIX } from "./generate-batch.js";
+import { getSchemaErrors } from "./validate-json.js";
+
+// Converts older report JSONs to the structure report.hbs renders, so older
+// patient files can be re-rendered:
+//   v1  { report: { meta, sections: [{ id, fields, ... }] } }, sometimes with
+//       extracted { raw_value, source, ... } fields next to `report` ("hybrid")
+//   v2  flat camelCase: patientFirstName, diagnosisSummary, testsCompleted, ...
+//   v3  current: general_info / diagnosis / tumors[].fields with field objects
+// Anything in the input that has no place in v3 is reported as unmapped
+// (JSON pointer into the original) rather than silently dropped.
+
+export const CURRENT_FORMAT_VERSION = 3;
+
+export const FORMAT_LABELS = {
+  1: "report.sections",
+  2: "camelCase",
+  3: "current",
+};
+
+// ============================
+// 🔎 Format detection
+// ============================
+/**
+ * @returns {{ version: 1|2|3, label: string, hybrid?: boolean }}
+ * @throws {ReportDataError} when the layout is not one of the known versions
+ */
+export function detectFormatVersion(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ReportDataError("Report data must be a JSON object");
+  }
+  if (data.general_info && data.diagnosis) {
+    return { version: 3, label: FORMAT_LABELS[3] };
+  }
+  if (Array.isArray(data.report?.sections)) {
+    const hybrid = Boolean(data.diagnosis_summary || data.tumors || data.pdf_folder_id);
+    return { version: 1, label: hybrid ? `${FORMAT_LABELS[1]} + extracted fields` : FORMAT_LABELS[1], hybrid };
+  }
+  if ("patientFirstName" in data || "diagnosisSummary" in data || "testsCompleted" in data) {
+    return { version: 2, label: FORMAT_LABELS[2] };
+  }
+  throw new ReportDataError("Unrecognized report format: expected report.sections, camelCase fields or general_info/diagnosis", {
+    code: "UNKNOWN_FORMAT",
+  });
+}
+
+// ============================
+// 🧱 Field helpers
+// ============================
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const isScalar = (value) => value === null || ["string", "number", "boolean"].includes(typeof value);
+
+const escapePointer = (key) => String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+
+// Same shapes as current files: general_info fields carry no explanation
+function toField(value, { explanation = "", source = "", source_page = "", service_date = "" } = {}, { withExplanation = true } = {}) {
+  return withExplanation
+    ? { value: value ?? "", explanation, source, source_page, service_date }
+    : { value: value ?? "", source, source_page, service_date };
+}
+
+// Extracted hybrid fields use raw_value; current ones use value
+function fromExtractedField(raw) {
+  return toField(raw.raw_value ?? raw.value ?? "", {
+    explanation: raw.explanation || "",
+    source: raw.source || "",
+    source_page: raw.source_page ?? "",
+    service_date: raw.service_date || "",
+  });
+}
+
+// Fills empty parts of `base` from `extra` (used when two inputs describe the same fact)
+function mergeField(base, extra) {
+  if (!base) return extra;
+  if (!extra) return base;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(extra)) {
+    if (isEmpty(merged[key]) && !isEmpty(value)) merged[key] = value;
+  }
+  return merged;
+}
+
+function splitName(fullName) {
+  const parts = String(fullName || "").trim().split(/\s+/).filter(Boolean);
+  return { first: parts[0] || "", last: parts.slice(1).join(" ") };
+}
+
+function titleCase(text) {
+  return String(text).replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+const LIKELIHOOD_LABELS = {
+  highly_likely: "Highly Likely",
+  likely: "Highly Likely",
+  might_be_considered: "Might be considered",
+  possible: "Might be considered",
+  patient_choice: "Patient Choice",
+};
+
+const TREATMENT_SECTIONS = {
+  "medical oncology": "1 - Medical Oncology",
+  "surgical oncology": "2 - Surgical Oncology",
+  "radiation oncology": "3 - Radiation Oncology",
+};
+
+const STEP_STATUS = {
+  complete: "completed",
+  completed: "completed",
+  in_progress: "in progress",
+  current: "in progress",
+  pending: "not started",
+  not_started: "not started",
+};
+
+// Progress journey stage names → testing_and_consultations.meta keys
+const PROGRESS_STEPS = [
+  { key: "diagnostic_testing", pattern: /diagnos/i },
+  { key: "staging_testing", pattern: /stag/i },
+  { key: "planning", pattern: /plan/i },
+  { key: "treatment", pattern: /treat/i },
+];
+
+const WHAT_THIS_MEANS_TITLES = {
+  goodNews: "The Good News",
+  newOptions: "New Options",
+  treatmentFocus: "Treatment Focus",
+  otherConsiderations: "Other Considerations",
+};
+
+// ============================
+// 🗺️ Migration context
+// ============================
+// Tracks which parts of the input were carried over so the rest can be reported
+class Migration {
+  constructor(source) {
+    this.source = source;
+    this.used = new Set();
+  }
+
+  /** Reads a value by JSON pointer and marks it (and everything below it) as mapped. */
+  take(pointer) {
+    const value = this.peek(pointer);
+    if (value !== undefined) this.used.add(pointer);
+    return value;
+  }
+
+  peek(pointer) {
+    let value = this.source;
+    for (const segment of pointer.split("/").slice(1)) {
+      if (value === null || typeof value !== "object") return undefined;
+      value = value[segment.replace(/~1/g, "/").replace(/~0/g, "~")];
+    }
+    return value;
+  }
+
+  /** Marks a value as intentionally not needed (ids, titles, derived values). */
+  skip(pointer) {
+    this.used.add(pointer);
+  }
+
+  #isCovered(pointer) {
+    for (let p = pointer; p; p = p.slice(0, p.lastIndexOf("/"))) {
+      if (this.used.has(p)) return true;
+    }
+    return false;
+  }
+
+  /** Every non-empty leaf of the input that was neither mapped nor skipped. */
+  unmapped() {
+    const found = [];
+    const walk = (value, pointer) => {
+      if (this.#isCovered(pointer) || isEmpty(value)) return;
+      if (isScalar(value)) {
+        found.push({ path: pointer, value });
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) walk(child, `${pointer}/${escapePointer(key)}`);
+    };
+    walk(this.source, "");
+    return found;
+  }
+}
+
+// Tumor keys shared by v1 section tumors and v2 tumors → v3 field name and explanation key
+const TUMOR_FIELDS = [
+  { from: "cancer_type", to: "cancer_type", explanation: "cancer_type_explanation" },
+  { from: "location", to: "location_of_tumor", explanation: "location_explanation" },
+  { from: "size_cm", to: "size", explanation: "size_explanation" },
+  { from: "stage", to: "stage", explanation: "stage_explanation" },
+  { from: "grade", to: "overall_grade", explanation: "grade_explanation" },
+  { from: "hormoneReceptorStatus", to: "erpr_status", explanation: "hormone_receptor_status_explanation" },
+  { from: "her2Status", to: "her2_status", explanation: "her2_status_explanation" },
+];
+
+function migrateTumor(m, pointer, provenance = {}) {
+  const tumor = m.peek(pointer) || {};
+  const fields = {};
+  for (const { from, to, explanation } of TUMOR_FIELDS) {
+    const value = tumor[from];
+    if (isEmpty(value) || !isScalar(value)) continue;
+    m.take(`${pointer}/${from}`);
+    const text = isEmpty(tumor[explanation]) ? "" : m.take(`${pointer}/${explanation}`);
+    fields[to] = toField(value, { explanation: text, ...provenance });
+  }
+  // "Tumor 2" style names only number the tumor; anything else names its type
+  if (!isEmpty(tumor.title) && /^tumou?r\s*\d+$/i.test(tumor.title)) m.skip(`${pointer}/title`);
+  if (!isEmpty(tumor.name)) {
+    if (/^tumou?r\s*\d+$/i.test(tumor.name)) m.skip(`${pointer}/name`);
+    else if (!fields.cancer_type) fields.cancer_type = toField(m.take(`${pointer}/name`), provenance);
+  }
+  return fields;
+}
+
+// Diagnosis-level facts the template reads, taken from the first tumor when nothing better exists
+function fillDiagnosisFromTumor(diagnosis, tumors) {
+  const first = tumors[0]?.fields || {};
+  for (const key of ["cancer_type", "stage", "overall_grade", "erpr_status", "her2_status"]) {
+    if (first[key]) diagnosis[key] = mergeField(diagnosis[key], first[key]);
+  }
+  if (first.location_of_tumor && !diagnosis.location_of_tumors) {
+    diagnosis.location_of_tumors = { ...first.location_of_tumor };
+  }
+}
+
+// v1 `source: { type, date, report_name, ... }` → field provenance
+function sourceOf(m, pointer) {
+  const source = m.peek(`${pointer}/source`);
+  if (!source || typeof source !== "object") return {};
+  const name = source.report_name || source.type || "";
+  if (source.report_name) m.skip(`${pointer}/source/report_name`);
+  m.skip(`${pointer}/source/type`);
+  if (!isEmpty(source.date)) m.take(`${pointer}/source/date`);
+  return { source: name, service_date: source.date || "" };
+}
+
+/**
+ * One v1 treatment → rows of a v3 treatment table. Each listed medication
+ * becomes a row; without medications the treatment itself is the only row.
+ * Columns follow current files: description, side effects, timing.
+ */
+function migrateTreatment(m, pointer, index) {
+  const treatment = m.peek(pointer) || {};
+  const specialty = String(m.take(`${pointer}/specialty`) || "").toLowerCase();
+  const likelihood = String(m.take(`${pointer}/likelihood`) || "");
+  const name = m.take(`${pointer}/name`) || "Treatment";
+  const description = isEmpty(treatment.description) ? "" : m.take(`${pointer}/description`);
+  const sub = `${pointer}/subelements`;
+
+  const sideEffects = (treatment.subelements?.side_effects || [])
+    .map((effect, i) => (isEmpty(effect?.description) ? null : m.take(`${sub}/side_effects/${i}/description`)))
+    .filter(Boolean)
+    .join(" ");
+  const duration = treatment.subelements?.treatment_time?.duration;
+  const timing = !isEmpty(duration)
+    ? m.take(`${sub}/treatment_time/duration`)
+    : isEmpty(treatment.expected_timing) ? "" : m.take(`${pointer}/expected_timing`);
+
+  const common = {
+    treatment_section: TREATMENT_SECTIONS[specialty] || titleCase(specialty || "Other"),
+    table_title: name,
+    likelihood: LIKELIHOOD_LABELS[likelihood.toLowerCase()] || (likelihood ? titleCase(likelihood) : ""),
+  };
+  const medications = treatment.subelements?.medications || [];
+  const rows = medications.length
+    ? medications.map((medication, i) => ({
+      row_type: m.take(`${sub}/medications/${i}/name`) || name,
+      column_1_value: isEmpty(medication?.description) ? "" : m.take(`${sub}/medications/${i}/description`),
+    }))
+    : [{ row_type: name, column_1_value: description }];
+
+  return rows.map((row, i) => ({
+    ...common,
+    table_description: medications.length ? description : "",
+    row_type: row.row_type,
+    row_order: (index + 1) * 10 + i,
+    column_1_value: row.column_1_value,
+    column_2_value: sideEffects,
+    column_3_value: timing,
+  }));
+}
+
+function whatThisMeansSummaries(m, pointer) {
+  const block = m.peek(pointer);
+  if (!block || typeof block !== "object") return [];
+  const items = [];
+  for (const [key, body] of Object.entries(block)) {
+    if (isEmpty(body) || !isScalar(body)) continue;
+    m.take(`${pointer}/${escapePointer(key)}`);
+    items.push({ block_id: `legacy_${key}`, match_value: "", title: WHAT_THIS_MEANS_TITLES[key] || titleCase(key), body: String(body) });
+  }
+  return items;
+}
+
+// ============================
+// 1️⃣ report.sections → current
+// ============================
+function migrateSections(m, { hybrid }) {
+  const sections = m.peek("/report/sections");
+  const sectionPointer = (id) => {
+    const index = sections.findIndex((s) => s?.id === id);
+    return index === -1 ? null : `/report/sections/${index}`;
+  };
+  sections.forEach((section, i) => {
+    m.skip(`/report/sections/${i}/id`);
+    m.skip(`/report/sections/${i}/title`);
+    m.skip(`/report/sections/${i}/description`);
+  });
+
+  const result = { general_info: {}, diagnosis: {}, tumors: [] };
+  const meta = "/report/meta";
+  if (!isEmpty(m.peek(`${meta}/patient_id`))) result.patient_id = String(m.take(`${meta}/patient_id`));
+  if (!isEmpty(m.peek(`${meta}/generated_at`))) result.generated_at = String(m.take(`${meta}/generated_at`));
+  m.skip(`${meta}/version`);
+  m.skip(`${meta}/preview`);
+  if (!isEmpty(m.peek(`${meta}/report_id`))) {
+    result.general_info.humanReadableId = toField(String(m.take(`${meta}/report_id`)), {}, { withExplanation: false });
+  }
+
+  // Note from Defiant → intro letter
+  const note = sectionPointer("note_from_defiant");
+  if (note && !isEmpty(m.peek(`${note}/fields/message`))) {
+    result.general_info.intro_letter_body = toField(m.take(`${note}/fields/message`), {}, { withExplanation: false });
+  }
+
+  // Records overview → name, records as-of date, records reviewed
+  const records = sectionPointer("records_overview");
+  const patientName = records ? m.peek(`${records}/fields/patient_name`) : null;
+  if (!isEmpty(patientName)) {
+    m.take(`${records}/fields/patient_name`);
+    const { first, last } = splitName(patientName);
+    result.general_info.fname = toField(first, {}, { withExplanation: false });
+    result.general_info.lname = toField(last, {}, { withExplanation: false });
+  }
+  if (records && !isEmpty(m.peek(`${records}/fields/date_of_review`))) {
+    result.general_info.recordsAsOfDate = toField(m.take(`${records}/fields/date_of_review`), {}, { withExplanation: false });
+  }
+  const received = records ? m.peek(`${records}/records_received`) : null;
+  if (Array.isArray(received) && received.length) {
+    result.records_reviewed = received.map((record, i) => {
+      const p = `${records}/records_received/${i}`;
+      const name = m.take(`${p}/name`) || "";
+      return {
+        document_name: name,
+        patient_facing_title: name,
+        type: name,
+        service_date: m.take(`${p}/date_received`) || "",
+      };
+    });
+  }
+
+  // Diagnosis summary → diagnosis, tumors, diagnosis summaries
+  const diagnosis = sectionPointer("diagnosis_summary");
+  if (diagnosis) {
+    const fields = `${diagnosis}/fields`;
+    if (!isEmpty(m.peek(`${fields}/primary_diagnosis`))) {
+      result.diagnosis.cancer_type = toField(m.take(`${fields}/primary_diagnosis`), {
+        explanation: isEmpty(m.peek(`${fields}/diagnosis_summary`)) ? "" : m.take(`${fields}/diagnosis_summary`),
+        service_date: isEmpty(m.peek(`${fields}/date_of_diagnosis`)) ? "" : m.take(`${fields}/date_of_diagnosis`),
+      });
+    }
+    const tumors = m.peek(`${diagnosis}/tumors`) || [];
+    result.tumors = tumors.map((tumor, i) => {
+      const p = `${diagnosis}/tumors/${i}`;
+      return { tumor_number: i + 1, fields: migrateTumor(m, p, sourceOf(m, p)) };
+    });
+    const summaries = whatThisMeansSummaries(m, `${diagnosis}/whatThisMeans`);
+    if (summaries.length) result.summaries = { diagnosis: summaries };
+  }
+
+  // Next steps → progress steps and tests
+  const next = sectionPointer("next_steps");
+  if (next) {
+    const stages = m.peek(`${next}/progressJourney/stages`) || [];
+    const progress = {};
+    stages.forEach((stage, i) => {
+      const p = `${next}/progressJourney/stages/${i}`;
+      const step = PROGRESS_STEPS.find(({ pattern }) => pattern.test(stage?.name || ""));
+      if (!step || progress[step.key]) return;
+      const status = STEP_STATUS[String(stage.status || "").toLowerCase()];
+      if (!status) return;
+      m.take(`${p}/name`);
+      m.take(`${p}/status`);
+      progress[step.key] = { label: stage.name, value: status };
+    });
+    if (Object.keys(progress).length) m.skip(`${next}/progressJourney/current_stage`);
+
+    const items = m.peek(`${next}/items`) || [];
+    const tests = items.map((item, i) => {
+      const p = `${next}/items/${i}`;
+      const status = String(m.take(`${p}/status`) || "").toLowerCase();
+      const name = m.take(`${p}/name`) || "";
+      // Referrals are told apart from tests by name in the template
+      const category = m.take(`${p}/category`);
+      const label = /referral/i.test(category || "") && !/referral|consultation/i.test(name) ? `${name} (referral)` : name;
+      const test = {
+        test_name: label,
+        patient_facing_label: name,
+        explanation: m.take(`${p}/explanation`) || "",
+        likelihood: status === "pending" ? "Highly Likely" : "",
+        status: STEP_STATUS[status] || status || "not started",
+        test_date: "",
+        referral_date: "",
+        ...sourceOf(m, p),
+      };
+      const date = m.take(`${p}/date`);
+      if (date) test[/referral/i.test(category || "") ? "referral_date" : "test_date"] = date;
+      return test;
+    });
+    if (Object.keys(progress).length || tests.length) {
+      result.testing_and_consultations = {
+        ...(Object.keys(progress).length ? { meta: progress } : {}),
+        ...(tests.length ? { tests } : {}),
+      };
+    }
+  }
+
+  // Treatment planning → treatments and a treatment summary
+  const planning = sectionPointer("treatment_planning");
+  if (planning) {
+    const treatments = m.peek(`${planning}/treatments`) || [];
+    if (treatments.length) {
+      result.treatments = treatments.flatMap((treatment, i) => migrateTreatment(m, `${planning}/treatments/${i}`, i));
+    }
+    if (!isEmpty(m.peek(`${planning}/fields/summary`))) {
+      result.summaries = {
+        ...result.summaries,
+        treatment_planning: [{ block_id: "legacy_treatment_summary", match_value: "", title: sections.find((s) => s.id === "treatment_planning").title || "Your Likely Treatments", body: m.take(`${planning}/fields/summary`) }],
+      };
+    }
+  }
+
+  // Oncologist questions → questions.items
+  const questions = sectionPointer("oncologist_questions");
+  if (questions) {
+    const items = [];
+    (m.peek(`${questions}/categories`) || []).forEach((category, i) => {
+      const p = `${questions}/categories/${i}`;
+      const topic = m.take(`${p}/name`) || "";
+      (category?.questions || []).forEach((question, j) => {
+        if (isEmpty(question?.text)) return;
+        items.push({
+          section: sections.find((s) => s.id === "oncologist_questions").title || "Questions For Your Oncologist",
+          topic,
+          subtopic: "",
+          question: m.take(`${p}/questions/${j}/text`),
+          matched_logic: "",
+        });
+      });
+    });
+    if (items.length) result.questions = { items };
+  }
+
+  if (hybrid) mergeExtractedFields(m, result);
+
+  fillDiagnosisFromTumor(result.diagnosis, result.tumors);
+  return result;
+}
+
+// Hybrid files carry extracted { raw_value, source, ... } fields beside `report`
+function mergeExtractedFields(m, result) {
+  if (!isEmpty(m.peek("/pdf_folder_id"))) result.pdf_folder_id = String(m.take("/pdf_folder_id"));
+
+  const summary = m.peek("/diagnosis_summary");
+  if (summary && typeof summary === "object") {
+    for (const [key, raw] of Object.entries(summary)) {
+      if (!raw || typeof raw !== "object") continue;
+      m.take(`/diagnosis_summary/${escapePointer(key)}`);
+      result.diagnosis[key] = mergeField(fromExtractedField(raw), result.diagnosis[key]);
+    }
+  }
+
+  const tumors = m.peek("/tumors");
+  if (Array.isArray(tumors)) {
+    tumors.forEach((tumor, i) => {
+      if (!tumor || typeof tumor !== "object") return;
+      m.take(`/tumors/${i}`);
+      const fields = {};
+      for (const [key, raw] of Object.entries(tumor)) {
+        if (raw && typeof raw === "object") fields[key] = fromExtractedField(raw);
+      }
+      // Extracted values win; explanations from the section tumor at the same position fill the gaps
+      const existing = result.tumors[i]?.fields || {};
+      for (const [key, field] of Object.entries(existing)) fields[key] = mergeField(fields[key], field);
+      result.tumors[i] = { tumor_number: i + 1, fields };
+    });
+  }
+
+  const metadata = {};
+  for (const key of ["number_of_cancerous_tumors_confirmed_by_biopsy", "number_of_cancerous_lymph_nodes_confirmed_by_biopsy"]) {
+    const value = m.peek(`/${key}`);
+    if (isEmpty(value)) continue;
+    m.take(`/${key}`);
+    const number = Number(value);
+    metadata[key] = toField(Number.isFinite(number) ? number : value);
+  }
+  if (Object.keys(metadata).length) result.tumor_metadata = metadata;
+
+  // Top-level copies of diagnosis fields (brca_*, pdl1_*) fill gaps only
+  for (const [key, raw] of Object.entries(m.source)) {
+    if (!raw || typeof raw !== "object" || !("raw_value" in raw)) continue;
+    m.take(`/${escapePointer(key)}`);
+    result.diagnosis[key] = mergeField(result.diagnosis[key], fromExtractedField(raw));
+  }
+}
+
+// ============================
+// 2️⃣ camelCase → current
+// ============================
+function migrateCamelCase(m) {
+  const info = {};
+  const simple = (key) => (isEmpty(m.peek(`/${key}`)) ? "" : m.take(`/${key}`));
+  info.fname = toField(simple("patientFirstName"), {}, { withExplanation: false });
+  info.lname = toField(simple("patientLastName"), {}, { withExplanation: false });
+  const dob = simple("patientDateOfBirth");
+  if (dob) info.dateOfBirth = toField(dob, {}, { withExplanation: false });
+  const reportDate = simple("reportDate");
+  if (reportDate) info.recordsAsOfDate = toField(reportDate, {}, { withExplanation: false });
+
+  const result = { general_info: info, diagnosis: {}, tumors: [] };
+
+  const summary = simple("diagnosisSummary");
+  if (summary) {
+    result.diagnosis.cancer_type = toField(summary, {
+      explanation: simple("diagnosisExplanation"),
+      service_date: simple("diagnosisDate"),
+    });
+  }
+
+  result.tumors = (m.peek("/tumors") || []).map((tumor, i) => ({
+    tumor_number: i + 1,
+    fields: migrateTumor(m, `/tumors/${i}`),
+  }));
+
+  const summaries = whatThisMeansSummaries(m, "/whatThisMeans");
+  if (summaries.length) result.summaries = { diagnosis: summaries };
+
+  const tests = [];
+  const addTests = (key, { status, likelihood }) => {
+    (m.peek(`/${key}`) || []).forEach((test, i) => {
+      const p = `/${key}/${i}`;
+      const name = m.take(`${p}/name`) || "";
+      tests.push({
+        test_name: name,
+        patient_facing_label: name,
+        explanation: m.take(`${p}/explanation`) || "",
+        likelihood,
+        status,
+        test_date: m.take(`${p}/date`) || "",
+        referral_date: "",
+      });
+    });
+  };
+  addTests("testsCompleted", { status: "completed", likelihood: "" });
+  addTests("testsNeeded", { status: "not started", likelihood: "Highly Likely" });
+  if (tests.length) result.testing_and_consultations = { tests };
+
+  fillDiagnosisFromTumor(result.diagnosis, result.tumors);
+  return result;
+}
+
+// ============================
+// 📚 Library API
+// ============================
+/**
+ * Converts report data of any known version to the current structure.
+ *
+ * @returns {{ data: object, fromVersion: number, label: string, unmapped: Array<{ path: string, value: any }> }}
+ * @throws {ReportDataError} for unknown layouts
+ */
+export function migrateReport(source) {
+  const { version, label, hybrid } = detectFormatVersion(source);
+  if (version === CURRENT_FORMAT_VERSION) {
+    return { data: source, fromVersion: version, label, unmapped: [] };
+  }
+
+  const m = new Migration(source);
+  const data = version === 1 ? migrateSections(m, { hybrid }) : migrateCamelCase(m);
+
+  // The schema requires these even when the old file had nothing for them
+  data.diagnosis.cancer_type ||= toField("");
+  data.diagnosis.stage ||= toField("");
+
+  return { data, fromVersion: version, label, unmapped: m.unmapped() };
+}
+
+/** Where the migrated copy of `filePath` is written: next to it, as <name>.migrated.json. */
+export function getMigratedPath(filePath) {
+  return path.join(path.dirname(filePath), `${path.basename(filePath, ".json")}${MIGRATED_SUFFIX}`);
+}
+
+/**
+ * Migrates one file and writes the result beside it.
+ * @returns {{ status: "migrated"|"current"|"exists", outputPath?: string, fromVersion: number, unmapped: object[], schemaErrors: object[] }}
+ */
+export function migrateFile(filePath, { force = false, write = true } = {}) {
+  let source;
+  try {
+    source = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new ReportDataError(`Could not read report JSON ${filePath}: ${err.message}`, { cause: err });
+  }
+
+  const { data, fromVersion, label, unmapped } = migrateReport(source);
+  if (fromVersion === CURRENT_FORMAT_VERSION) {
+    return { status: "current", fromVersion, label, unmapped, schemaErrors: [] };
+  }
+
+  const outputPath = getMigratedPath(filePath);
+  const schemaErrors = getSchemaErrors(data);
+  if (write) {
+    if (fs.existsSync(outputPath) && !force) {
+      return { status: "exists", outputPath, fromVersion, label, unmapped, schemaErrors };
+    }
+    fs.writeFileSync(outputPath, `${JSON.stringify(data, null, 2)}\n`);
+  }
+  return { status: "migrated", outputPath, fromVersion, label, unmapped, schemaErrors };
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+// node scripts/migrate-report.js <files|dirs|globs...> [--force] [--check]
+//   --force  overwrite existing *.migrated.json files
+//   --check  report formats and unmapped fields without writing anything
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      force: { type: "boolean", default: false },
+      check: { type: "boolean", default: false },
+    },
+  });
+
+  // Earlier migration output is never migrated again
+  const files = expandInputs(positionals.length ? positionals : ["data"]).filter((f) => !f.endsWith(MIGRATED_SUFFIX));
+  if (!files.length) {
+    console.error("❌ No JSON files matched.");
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const result = migrateFile(file, { force: values.force, write: !values.check });
+      if (result.status === "current") {
+        console.log(chalk.gray(`⏩ ${file}: already in the current format`));
+        continue;
+      }
+      const target = values.check ? "" : ` → ${result.outputPath}`;
+      if (result.status === "exists") {
+        console.log(chalk.yellow(`⚠️  ${file}: ${result.outputPath} already exists (use --force to overwrite)`));
+      } else {
+        console.log(chalk.green(`✅ ${file} (v${result.fromVersion}, ${result.label})${target}`));
+      }
+      if (result.unmapped.length) {
+        // Pointers only: the values are patient data
+        console.log(chalk.yellow(`   ${result.unmapped.length} value(s) could not be mapped:`));
+        for (const { path: pointer } of result.unmapped) {
+          console.log(chalk.yellow(`     ${pointer}`));
+        }
+      }
+      for (const err of result.schemaErrors) {
+        console.log(chalk.red(`   ❌ ${err.path}: ${err.message}`));
+      }
+    } catch (err) {
+      failed++;
+      console.error(chalk.red(`❌ ${file}: [${err.code || err.name}] ${err.message}`));
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
@@ -0,0 +1,133 @@
+import Handlebars from "handlebars";
+import { ReportError } from "./errors.js";
+import { translate } from "./i18n.js";
+
+// The template is designed at desktop width; paged output scales it down to fit
+export const DESIGN_WIDTH_PX = 1440;
+
+export const LAYOUTS = ["continuous", "paged"];
+
+// Sizes in CSS pixels (96 per inch)
+export const PAGE_SIZES = {
+  Letter: { width: 816, height: 1056 },
+  A4: { width: 794, height: 1123 },
+};
+
+const PAGED_MARGIN = { top: 64, bottom: 56, left: 36, right: 36 };
+
+// Keep cards, tables and question groups whole; let long sections flow across pages
+const PAGED_PRINT_CSS = `
+<style id="paged-layout">
+  @media print {
+    section.section {
+      page-break-inside: auto;
+      break-inside: auto;
+    }
+    .tumor-card,
+    .tumor-detail-row,
+    .treatment-card,
+    .treatment-row,
+    .question-group,
+    .question-topic,
+    .testing-item,
+    .likely-test-item,
+    .summary-card-no-icon {
+      page-break-inside: avoid;
+      break-inside: avoid;
+    }
+    h2, h3, h4,
+    .tumor-section-header,
+    .treatment-category-title {
+      page-break-after: avoid;
+      break-after: avoid;
+    }
+  }
+</style>`;
+
+/**
+ * Normalizes layout options. Returns { layout, pageSize } where pageSize is
+ * null for the continuous (single tall page) layout.
+ */
+export function resolveLayout({ layout = "continuous", pageSize } = {}) {
+  if (!LAYOUTS.includes(layout)) {
+    throw new ReportError(`Unknown layout "${layout}" (expected one of: ${LAYOUTS.join(", ")})`, { code: "INVALID_OPTION" });
+  }
+  if (layout === "continuous") return { layout, pageSize: null };
+
+  const size = pageSize || "Letter";
+  const match = Object.keys(PAGE_SIZES).find((name) => name.toLowerCase() === String(size).toLowerCase());
+  if (!match) {
+    throw new ReportError(`Unknown page size "${size}" (expected one of: ${Object.keys(PAGE_SIZES).join(", ")})`, { code: "INVALID_OPTION" });
+  }
+  return { layout, pageSize: match };
+}
+
+export function injectPagedStyles(html) {
+  return html.includes("</head>")
+    ? html.replace("</head>", `${PAGED_PRINT_CSS}\n</head>`)
+    : PAGED_PRINT_CSS + html;
+}
+
+// Header/footer templates render in their own context: inline styles only, no external assets
+function headerTemplate({ patientName, reportDate, locale, draft }) {
+  const title = translate(locale, "pdf.running_header", { patient: patientName });
+  const date = Handlebars.escapeExpression(reportDate);
+  const status = draft ? `<span style="color: #C81E1E; font-weight: 700;">${translate(locale, "draft.watermark")}</span>` : "";
+  return `
+    <div style="width: 100%; font-family: Helvetica, Arial, sans-serif; font-size: 8px; color: #8B8991; padding: 0 ${PAGED_MARGIN.left}px; display: flex; justify-content: space-between;">
+      <span>${title}</span>
+      ${status}
+      <span>${date}</span>
+    </div>`;
+}
+
+// Chromium fills the pageNumber/totalPages spans in at print time
+function footerTemplate({ locale }) {
+  const pageOf = translate(locale, "pdf.page_of")
+    .replace("{page}", '<span class="pageNumber"></span>')
+    .replace("{total}", '<span class="totalPages"></span>');
+  return `
+    <div style="width: 100%; font-family: Helvetica, Arial, sans-serif; font-size: 8px; color: #8B8991; padding: 0 ${PAGED_MARGIN.left}px; text-align: right;">
+      ${pageOf}
+    </div>`;
+}
+
+/**
+ * Page dimensions for a layout, used to map document offsets to PDF pages.
+ */
+export function getPageGeometry({ layout, pageSize }) {
+  if (layout !== "paged") return { layout };
+  const size = PAGE_SIZES[pageSize];
+  const printableWidth = size.width - PAGED_MARGIN.left - PAGED_MARGIN.right;
+  return {
+    layout,
+    pageHeightPx: size.height,
+    marginTopPx: PAGED_MARGIN.top,
+    marginBottomPx: PAGED_MARGIN.bottom,
+    // Render the desktop layout and shrink it onto the page rather than reflowing it
+    scale: Math.round((printableWidth / DESIGN_WIDTH_PX) * 1000) / 1000,
+  };
+}
+
+/**
+ * Builds the page.pdf() options for a paged layout. The running header and
+ * page numbers use the report's locale (default English); drafts also carry
+ * the draft label on every page.
+ */
+export function getPagedPdfOptions({ pageSize, patientName, reportDate, locale, draft = false }) {
+  const { scale } = getPageGeometry({ layout: "paged", pageSize });
+  return {
+    format: pageSize,
+    printBackground: true,
+    displayHeaderFooter: true,
+    headerTemplate: headerTemplate({ patientName, reportDate, locale, draft }),
+    footerTemplate: footerTemplate({ locale }),
+    margin: {
+      top: `${PAGED_MARGIN.top}px`,
+      bottom: `${PAGED_MARGIN.bottom}px`,
+      left: `${PAGED_MARGIN.left}px`,
+      right: `${PAGED_MARGIN.right}px`,
+    },
+    scale,
+  };
+}
@@ -0,0 +1,203 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { PDFDocument, PDFDict, PDFArray, PDFStream, PDFString, PDFHexString } from "@cantoo/pdf-lib";
+import { ReportError, ReportDataError } from "./errors.js";
+import { parseClinicalDate } from "./clinical-dates.js";
+
+// AES-256 encryption of rendered report PDFs, applied after Puppeteer (and the
+// outline/metadata steps) so nothing later has to read an encrypted file.
+// The policy is JSON (config/pdf-encryption.json unless another is given):
+//   {
+//     "required": false,
+//     "password": [{ "rule": "secret", "file": "config/pdf-secrets.json" }, { "rule": "dob", "format": "MMDDYYYY" }],
+//     "permissions": { "printing": "highResolution", "modifying": false, ... }
+//   }
+// required   auto-generate-from-drive encrypts everything it renders, and
+//            publishPdf refuses to upload a PDF that isn't encrypted
+// password   one rule or several, tried in order until one yields a password:
+//              dob     the patient's date of birth; format uses YYYY, MM and DD
+//              secret  the patient's entry (by patient_id) in a local JSON file
+//                      of { "<patient_id>": "<password>" }, kept out of git
+// The owner password (lifts the permissions) is PDF_OWNER_PASSWORD, or a random
+// one that is never stored.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_ENCRYPTION_POLICY_PATH = path.resolve(__dirname, "../config/pdf-encryption.json");
+
+export const PASSWORD_RULES = ["dob", "secret"];
+
+// Patients can read and print; everything else needs the owner password.
+// Screen readers keep access so accessible renders stay accessible.
+export const DEFAULT_PERMISSIONS = {
+  printing: "highResolution",
+  modifying: false,
+  copying: false,
+  annotating: false,
+  fillingForms: false,
+  contentAccessibility: true,
+  documentAssembly: false,
+};
+
+const PRINTING_VALUES = [true, false, "lowResolution", "highResolution"];
+
+function invalid(message) {
+  return new ReportError(`Invalid PDF encryption policy: ${message}`, { code: "INVALID_OPTION" });
+}
+
+function resolveRule(rule, baseDir) {
+  if (!rule || typeof rule !== "object" || !PASSWORD_RULES.includes(rule.rule)) {
+    throw invalid(`each password rule needs "rule": ${PASSWORD_RULES.join(" or ")}`);
+  }
+  if (rule.rule === "dob") {
+    const format = rule.format ?? "MMDDYYYY";
+    if (typeof format !== "string" || !/YYYY/.test(format) || !/MM/.test(format) || !/DD/.test(format)) {
+      throw invalid(`dob format "${format}" must contain YYYY, MM and DD`);
+    }
+    return { rule: "dob", format };
+  }
+  if (typeof rule.file !== "string" || !rule.file) throw invalid('a secret rule needs a "file"');
+  return { rule: "secret", file: path.resolve(baseDir, rule.file) };
+}
+
+/**
+ * Normalizes a policy object, rejecting unknown rules and permissions.
+ * Relative secret files resolve against baseDir (the repository root by default).
+ *
+ * @returns {{ required: boolean, password: object[], permissions: object }}
+ * @throws {ReportError} INVALID_OPTION
+ */
+export function resolveEncryptionPolicy(policy = {}, { baseDir = path.resolve(__dirname, "..") } = {}) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) throw invalid("expected an object");
+
+  const rules = policy.password ?? { rule: "dob" };
+  const password = (Array.isArray(rules) ? rules : [rules]).map((rule) => resolveRule(rule, baseDir));
+  if (!password.length) throw invalid("at least one password rule is needed");
+
+  const permissions = { ...DEFAULT_PERMISSIONS };
+  for (const [name, value] of Object.entries(policy.permissions ?? {})) {
+    if (!(name in DEFAULT_PERMISSIONS)) {
+      throw invalid(`unknown permission "${name}" (expected ${Object.keys(DEFAULT_PERMISSIONS).join(", ")})`);
+    }
+    const allowed = name === "printing" ? PRINTING_VALUES : [true, false];
+    if (!allowed.includes(value)) throw invalid(`permission "${name}" can't be ${JSON.stringify(value)}`);
+    permissions[name] = value;
+  }
+  return { required: policy.required === true, password, permissions };
+}
+
+/**
+ * Reads a policy file (default config/pdf-encryption.json, or a dob-rule
+ * policy that isn't required when that file doesn't exist).
+ *
+ * @throws {ReportError} INVALID_OPTION
+ */
+export function loadEncryptionPolicy(source) {
+  if (!source) {
+    if (!fs.existsSync(DEFAULT_ENCRYPTION_POLICY_PATH)) return resolveEncryptionPolicy();
+    source = DEFAULT_ENCRYPTION_POLICY_PATH;
+  }
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(source, "utf8"));
+  } catch (err) {
+    throw new ReportError(`Could not read PDF encryption policy ${source}: ${err.message}`, { code: "INVALID_OPTION", cause: err });
+  }
+  return resolveEncryptionPolicy(policy);
+}
+
+/** The policy for a render option: a policy object, a policy file, or true (the default file). */
+export function getEncryptionPolicy(option) {
+  return option && typeof option === "object" ? resolveEncryptionPolicy(option) : loadEncryptionPolicy(option === true ? undefined : option);
+}
+
+const fieldValue = (value) => (value && typeof value === "object" ? value.value : value);
+
+function getPatientId(data) {
+  const id = data?.patient_id ?? fieldValue(data?.general_info?.humanReadableId);
+  return id === undefined || id === null || id === "" ? null : String(id);
+}
+
+// A missing file has no entries, so the next rule applies; an unreadable one is an error
+function readSecrets(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ReportError(`Could not read PDF secrets file ${file}: ${err.message}`, { code: "INVALID_OPTION", cause: err });
+  }
+}
+
+/**
+ * The user password for a report under a policy: the first rule that yields one.
+ *
+ * @returns {{ password: string, rule: string }}
+ * @throws {ReportDataError} NO_PDF_PASSWORD when no rule applies to this patient
+ */
+export function getPdfPassword(data, policy) {
+  for (const rule of policy.password) {
+    if (rule.rule === "dob") {
+      const date = parseClinicalDate(fieldValue(data?.general_info?.dateOfBirth));
+      if (!date) continue;
+      const pad = (number) => String(number).padStart(2, "0");
+      const password = rule.format.replace("YYYY", String(date.year)).replace("MM", pad(date.month)).replace("DD", pad(date.day));
+      return { password, rule: "dob" };
+    }
+    const patientId = getPatientId(data);
+    const secret = patientId ? readSecrets(rule.file)[patientId] : undefined;
+    if (typeof secret === "string" && secret) return { password: secret, rule: "secret" };
+  }
+  throw new ReportDataError(`No PDF password for this report (tried: ${policy.password.map((rule) => rule.rule).join(", ")})`, {
+    code: "NO_PDF_PASSWORD",
+  });
+}
+
+// pdf-lib only encrypts streams, but readers decrypt every string too: left as
+// they are, the title (the patient's name in accessible renders), outline
+// titles and link targets would be readable without the password and garbled with it.
+function encryptStrings(doc) {
+  const { security, trailerInfo } = doc.context;
+  const encryptValue = (value, encryptFn) => {
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      return PDFHexString.of(Buffer.from(encryptFn(value.asBytes())).toString("hex"));
+    }
+    if (value instanceof PDFDict) {
+      for (const [key, entry] of value.entries()) value.set(key, encryptValue(entry, encryptFn));
+    } else if (value instanceof PDFArray) {
+      value.asArray().forEach((entry, index) => value.set(index, encryptValue(entry, encryptFn)));
+    }
+    return value;
+  };
+  for (const [ref, object] of doc.context.enumerateIndirectObjects()) {
+    if (ref === trailerInfo.Encrypt) continue;
+    const encryptFn = security.getEncryptFn(ref.objectNumber, ref.generationNumber);
+    encryptValue(object instanceof PDFStream ? object.dict : object, encryptFn);
+  }
+}
+
+/**
+ * Encrypts a rendered PDF with AES-256.
+ *
+ * @param {Buffer|Uint8Array} pdf
+ * @param {{ userPassword: string, ownerPassword?: string, permissions?: object }} options
+ * @returns {Promise<Buffer>}
+ */
+export async function encryptPdf(pdf, { userPassword, ownerPassword = process.env.PDF_OWNER_PASSWORD, permissions = DEFAULT_PERMISSIONS }) {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  doc.encrypt({
+    algorithm: "AES-256",
+    userPassword,
+    ownerPassword: ownerPassword || crypto.randomBytes(32).toString("hex"),
+    permissions,
+  });
+  encryptStrings(doc);
+  // Written without object streams: with them, pdf-lib numbers the xref stream over the /Info dictionary
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+/** True when the PDF has an encryption dictionary (any cipher). */
+export async function isEncryptedPdf(pdf) {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false, ignoreEncryption: true });
+  return doc.isEncrypted;
+}
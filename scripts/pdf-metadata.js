@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import { PDFDocument, PDFName, PDFString } from "@cantoo/pdf-lib";
+import { isEncryptedPdf } from "./pdf-encryption.js";
+
+// Stamps the template version and hash a report was rendered with into the
+// PDF's document info dictionary (custom TemplateVersion / TemplateHash keys,
+// mirrored in Keywords so ordinary PDF viewers show them too), whether it is a
+// reviewer draft (ReportStatus), and the title and language of accessible renders.
+//
+// Usage: node scripts/pdf-metadata.js <report.pdf>... (PDF_PASSWORD reads encrypted ones)
+
+const VERSION_KEY = PDFName.of("TemplateVersion");
+const HASH_KEY = PDFName.of("TemplateHash");
+const STATUS_KEY = PDFName.of("ReportStatus");
+
+const versionLabel = (version) => (version ? `v${version}` : "custom");
+
+/**
+ * @param {Buffer|Uint8Array} pdf
+ * @param {{ version: number|null, hash: string }} template - From resolveReportTemplate
+ * @param {{ draft?: boolean }} [options] - draft marks a reviewer draft, which must never reach a patient
+ * @returns {Promise<Buffer>}
+ */
+export async function stampTemplateInfo(pdf, { version, hash }, { draft = false } = {}) {
+  // Keep Chromium's Producer and dates; only the template keys are added
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  const info = doc.getInfoDict();
+  info.set(VERSION_KEY, PDFString.of(versionLabel(version)));
+  info.set(HASH_KEY, PDFString.of(hash));
+  if (draft) info.set(STATUS_KEY, PDFString.of("draft"));
+  doc.setKeywords([`template:${versionLabel(version)}`, `template-hash:${hash}`, ...(draft ? ["status:draft"] : [])]);
+  return Buffer.from(await doc.save());
+}
+
+/**
+ * Sets what assistive technology announces for the document: its title
+ * (shown in the viewer's title bar instead of the file name) and its
+ * natural language (the catalog's /Lang).
+ *
+ * @param {Buffer|Uint8Array} pdf
+ * @param {{ title: string, language: string }} info
+ * @returns {Promise<Buffer>}
+ */
+export async function setAccessibleDocumentInfo(pdf, { title, language }) {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  doc.setTitle(title, { showInWindowTitleBar: true });
+  doc.setLanguage(language);
+  return Buffer.from(await doc.save());
+}
+
+// Encrypted PDFs (pdf-encryption.js) need their user password to read the stamp
+const loadInfo = (pdf, password) => PDFDocument.load(pdf, { updateMetadata: false, ...(password && { password }) });
+
+/** @returns {Promise<{ version: string, hash: string } | null>} null for PDFs without a stamp */
+export async function readTemplateInfo(pdf, { password } = {}) {
+  const doc = await loadInfo(pdf, password);
+  const info = doc.getInfoDict();
+  const version = info.lookup(VERSION_KEY);
+  const hash = info.lookup(HASH_KEY);
+  if (!version || !hash) return null;
+  return { version: version.decodeText(), hash: hash.decodeText() };
+}
+
+/** True for PDFs rendered in draft mode. */
+export async function isDraftPdf(pdf, { password } = {}) {
+  const doc = await loadInfo(pdf, password);
+  return doc.getInfoDict().lookup(STATUS_KEY)?.decodeText() === "draft";
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const files = process.argv.slice(2);
+  if (!files.length) {
+    console.error("❌ Please provide one or more PDF paths.");
+    process.exit(1);
+  }
+  for (const file of files) {
+    try {
+      const pdf = fs.readFileSync(file);
+      const password = process.env.PDF_PASSWORD;
+      const encrypted = await isEncryptedPdf(pdf);
+      if (encrypted && !password) {
+        console.log(`🔒 ${file}: encrypted (set PDF_PASSWORD to read its template stamp)`);
+        continue;
+      }
+      const stamp = await readTemplateInfo(pdf, { password });
+      const draft = (await isDraftPdf(pdf, { password })) ? " [DRAFT – not for patient]" : "";
+      const lock = encrypted ? " 🔒" : "";
+      if (stamp) {
+        console.log(`🧬 ${file}: template ${stamp.version} (${stamp.hash})${draft}${lock}`);
+      } else {
+        console.log(`⚠️ ${file}: no template stamp (rendered before versioned templates)`);
+      }
+    } catch (err) {
+      console.error(`❌ Could not read ${file}: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
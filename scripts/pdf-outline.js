@@ -0,0 +1,134 @@
+import { PDFDocument, PDFName, PDFHexString, PDFArray, PDFDict, PDFNull, PDFNumber } from "@cantoo/pdf-lib";
+
+// CSS pixels are 96 per inch, PDF points 72 per inch
+const PX_TO_PT = 72 / 96;
+
+// Runs in the browser: document-relative top offset (CSS px) of each anchor that exists
+export async function measureAnchors(page, ids) {
+  return page.evaluate((anchorIds) => {
+    const positions = {};
+    for (const id of anchorIds) {
+      const el = document.getElementById(id);
+      if (el) positions[id] = el.getBoundingClientRect().top + window.scrollY;
+    }
+    return positions;
+  }, ids);
+}
+
+/**
+ * Maps a document offset to { pageIndex, topPt } for the layout that was printed.
+ * geometry is { layout: "continuous" } or
+ * { layout: "paged", pageHeightPx, marginTopPx, marginBottomPx, scale }.
+ */
+export function locateOffset(offsetPx, geometry) {
+  if (geometry.layout !== "paged") {
+    return { pageIndex: 0, topPt: offsetPx * PX_TO_PT };
+  }
+  const { pageHeightPx, marginTopPx, marginBottomPx, scale } = geometry;
+  // Document pixels that fit on one page once the content is scaled down
+  const contentHeightPx = (pageHeightPx - marginTopPx - marginBottomPx) / scale;
+  const pageIndex = Math.floor(offsetPx / contentHeightPx);
+  const withinPagePx = offsetPx - pageIndex * contentHeightPx;
+  return { pageIndex, topPt: (marginTopPx + withinPagePx * scale) * PX_TO_PT };
+}
+
+// Chromium writes a named destination for every element targeted by an
+// internal link, so TOC anchors usually resolve exactly by name.
+function readNamedDestinations(doc) {
+  const destinations = new Map();
+  const catalog = doc.catalog;
+
+  const dests = catalog.lookupMaybe(PDFName.of("Dests"), PDFDict);
+  if (dests) {
+    for (const [name, value] of dests.entries()) {
+      destinations.set(name.decodeText(), value);
+    }
+  }
+
+  function walkNameTree(node) {
+    if (!node) return;
+    const names = node.lookupMaybe(PDFName.of("Names"), PDFArray);
+    if (names) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        destinations.set(names.lookup(i).decodeText(), names.get(i + 1));
+      }
+    }
+    const kids = node.lookupMaybe(PDFName.of("Kids"), PDFArray);
+    if (kids) {
+      for (let i = 0; i < kids.size(); i++) walkNameTree(kids.lookup(i, PDFDict));
+    }
+  }
+  walkNameTree(catalog.lookupMaybe(PDFName.of("Names"), PDFDict)?.lookupMaybe(PDFName.of("Dests"), PDFDict));
+
+  return destinations;
+}
+
+function explicitDestination(doc, { pageIndex, topPt }) {
+  const pages = doc.getPages();
+  const page = pages[Math.min(Math.max(pageIndex, 0), pages.length - 1)];
+  const top = Math.max(page.getHeight() - topPt, 0);
+  return doc.context.obj([page.ref, PDFName.of("XYZ"), PDFNull, PDFNumber.of(top), PDFNull]);
+}
+
+/**
+ * Adds an outline (bookmark tree) mirroring the table of contents.
+ *
+ * @param {Buffer|Uint8Array} pdf - PDF produced by Puppeteer
+ * @param {Array<{id, title, children}>} toc - From buildTableOfContents()
+ * @param {object} options
+ * @param {Record<string, number>} options.positions - From measureAnchors()
+ * @param {object} options.geometry - See locateOffset()
+ * @returns {Promise<Buffer>}
+ */
+export async function addOutline(pdf, toc, { positions = {}, geometry = { layout: "continuous" } } = {}) {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  const context = doc.context;
+  const named = readNamedDestinations(doc);
+
+  function destinationFor(id) {
+    if (named.has(id)) return named.get(id);
+    if (positions[id] === undefined) return null;
+    return explicitDestination(doc, locateOffset(positions[id], geometry));
+  }
+
+  // Returns the number of visible descendants (for /Count)
+  function buildLevel(entries, parentRef, parentDict) {
+    const items = entries
+      .map((entry) => ({ entry, dest: destinationFor(entry.id) }))
+      .filter((item) => item.dest);
+    if (!items.length) return 0;
+
+    const refs = items.map(() => context.nextRef());
+    let count = items.length;
+
+    items.forEach(({ entry }, index) => {
+      const dict = context.obj({
+        Title: PDFHexString.fromText(entry.title),
+        Parent: parentRef,
+      });
+      dict.set(PDFName.of("Dest"), items[index].dest);
+      if (index > 0) dict.set(PDFName.of("Prev"), refs[index - 1]);
+      if (index < refs.length - 1) dict.set(PDFName.of("Next"), refs[index + 1]);
+
+      const childCount = buildLevel(entry.children || [], refs[index], dict);
+      count += childCount;
+      context.assign(refs[index], dict);
+    });
+
+    parentDict.set(PDFName.of("First"), refs[0]);
+    parentDict.set(PDFName.of("Last"), refs[refs.length - 1]);
+    parentDict.set(PDFName.of("Count"), PDFNumber.of(count));
+    return count;
+  }
+
+  const outlinesRef = context.nextRef();
+  const outlines = context.obj({ Type: "Outlines" });
+  const total = buildLevel(toc, outlinesRef, outlines);
+  if (total === 0) return Buffer.from(pdf);
+
+  context.assign(outlinesRef, outlines);
+  doc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+  doc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+
+  return Buffer.from(await doc.save());
+}
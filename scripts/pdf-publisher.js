@@ -0,0 +1,230 @@
+import fs from "fs-extra";
+import path from "path";
+import { listAllFiles, FOLDER_MIME_TYPE } from "./drive-listing.js";
+import { ReportError } from "./errors.js";
+import { isDraftPdf } from "./pdf-metadata.js";
+import { isEncryptedPdf } from "./pdf-encryption.js";
+
+// Publishes rendered PDFs to Drive. A patient's report keeps one Drive file:
+// regenerations upload a new revision of it (files.update with media) so links
+// already shared with the patient keep working. Superseded versions are either
+// kept as revisions or copied into an archive/ subfolder, pruned to a limit.
+// Draft renders (generate-report --draft) are refused: they are for reviewers only.
+// So are unencrypted PDFs when the PDF encryption policy requires encryption.
+
+export const RETENTION_MODES = ["revisions", "archive"];
+export const ARCHIVE_FOLDER_NAME = "archive";
+
+/**
+ * Reads the retention policy from the environment:
+ *   PDF_RETENTION_MODE  "revisions" (default) or "archive"
+ *   PDF_KEEP_VERSIONS   how many versions to keep, including the current one (default 5)
+ */
+export function getRetentionPolicy(env = process.env) {
+  const mode = env.PDF_RETENTION_MODE || "revisions";
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`Invalid PDF_RETENTION_MODE "${mode}" (expected one of: ${RETENTION_MODES.join(", ")})`);
+  }
+  const keep = parseInt(env.PDF_KEEP_VERSIONS ?? "5", 10);
+  if (!Number.isInteger(keep) || keep < 1) {
+    throw new Error(`Invalid PDF_KEEP_VERSIONS "${env.PDF_KEEP_VERSIONS}" (expected an integer of at least 1)`);
+  }
+  return { mode, keep };
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+async function listAll(drive, params) {
+  return (await listAllFiles(drive, params)).files;
+}
+
+/**
+ * Finds the Drive PDF a regeneration should replace: the newest PDF in the
+ * output folder tagged with the patient id, else the file the sync ledger last
+ * uploaded for this input (covers PDFs uploaded before tagging existed).
+ */
+export async function findPriorPdf(drive, { outputFolderId, patientId, knownFileId }) {
+  if (patientId) {
+    const [newest] = await listAll(drive, {
+      q: `${quote(outputFolderId)} in parents and mimeType='application/pdf' and trashed = false and appProperties has { key='patient_id' and value=${quote(patientId)} }`,
+      fields: "nextPageToken, files(id, name, modifiedTime, webViewLink)",
+      orderBy: "modifiedTime desc",
+    });
+    if (newest) return newest;
+  }
+
+  if (knownFileId) {
+    try {
+      const res = await drive.files.get({
+        fileId: knownFileId,
+        fields: "id, name, trashed, parents, webViewLink",
+        supportsAllDrives: true,
+      });
+      if (!res.data.trashed && (res.data.parents || []).includes(outputFolderId)) return res.data;
+    } catch (err) {
+      if (err.code !== 404) throw err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Uploads a file (PDF) to Google Drive, preserving binary integrity.
+ * Ensures Drive recognizes the file as a real PDF, not a text stream.
+ */
+export async function uploadFileToDrive(drive, filePath, outputFolderId, appProperties) {
+  try {
+    const fileMetadata = {
+      name: path.basename(filePath),
+      parents: [outputFolderId],
+      ...(appProperties ? { appProperties } : {}),
+    };
+
+    const media = {
+      mimeType: 'application/pdf',
+      body: fs.createReadStream(filePath),
+    };
+
+    const uploadedFile = await drive.files.create({
+      resource: fileMetadata,
+      media,
+      fields: 'id, webViewLink',
+      supportsAllDrives: true, // ✅ this is key for Shared Drives
+    });
+
+    const cleanName = path.basename(filePath).replace(/^Diagnostic-Report-/, '');
+    console.log(`⬆️  Uploaded ${cleanName} to Drive: ${uploadedFile.data.webViewLink}`);
+    return uploadedFile.data;
+  } catch (error) {
+    console.error(`❌ Error uploading ${filePath}:`, error.message);
+    throw error;
+  }
+}
+
+async function getArchiveFolderId(drive, outputFolderId) {
+  const [folder] = await listAll(drive, {
+    q: `${quote(outputFolderId)} in parents and mimeType='${FOLDER_MIME_TYPE}' and name='${ARCHIVE_FOLDER_NAME}' and trashed = false`,
+    fields: "nextPageToken, files(id)",
+  });
+  if (folder) return folder.id;
+
+  const res = await drive.files.create({
+    resource: { name: ARCHIVE_FOLDER_NAME, mimeType: FOLDER_MIME_TYPE, parents: [outputFolderId] },
+    fields: "id",
+    supportsAllDrives: true,
+  });
+  console.log(`📁 Created ${ARCHIVE_FOLDER_NAME}/ folder in ${outputFolderId}`);
+  return res.data.id;
+}
+
+// Copies the current version into archive/, then trashes archived copies beyond the limit
+async function archiveVersion(drive, prior, { outputFolderId, appProperties, keep }) {
+  const archiveId = await getArchiveFolderId(drive, outputFolderId);
+  const archivedFrom = { ...appProperties, archived_from: prior.id };
+  await drive.files.copy({
+    fileId: prior.id,
+    requestBody: { name: prior.name, parents: [archiveId], appProperties: archivedFrom },
+    fields: "id",
+    supportsAllDrives: true,
+  });
+  console.log(`🗄️  Archived ${prior.name}`);
+
+  // The live file counts as one of the kept versions
+  const archived = await listAll(drive, {
+    q: `${quote(archiveId)} in parents and trashed = false and appProperties has { key='archived_from' and value=${quote(prior.id)} }`,
+    fields: "nextPageToken, files(id, name, createdTime)",
+    orderBy: "createdTime desc",
+  });
+  for (const old of archived.slice(Math.max(keep - 1, 0))) {
+    await drive.files.update({ fileId: old.id, requestBody: { trashed: true }, supportsAllDrives: true });
+    console.log(`🗑️ Trashed archived ${old.name}`);
+  }
+}
+
+// Deletes the oldest revisions so at most `keep` remain (the head revision always stays)
+async function pruneRevisions(drive, fileId, keep) {
+  const revisions = [];
+  let pageToken;
+  do {
+    const res = await drive.revisions.list({ fileId, pageToken, fields: "nextPageToken, revisions(id, modifiedTime)" });
+    revisions.push(...(res.data.revisions || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+
+  const excess = revisions.slice(0, Math.max(revisions.length - keep, 0));
+  for (const revision of excess) {
+    await drive.revisions.delete({ fileId, revisionId: revision.id });
+  }
+  if (excess.length) console.log(`🧹 Removed ${excess.length} old revision(s) of ${fileId}`);
+}
+
+/**
+ * Refuses PDFs stamped as reviewer drafts, whatever produced them, and
+ * unencrypted PDFs when the encryption policy requires encryption.
+ *
+ * @param {string} pdfPath
+ * @param {{ requireEncryption?: boolean }} [options]
+ * @throws {ReportError} DRAFT_NOT_PUBLISHABLE, UNENCRYPTED_PDF
+ */
+export async function assertPublishable(pdfPath, { requireEncryption = false } = {}) {
+  const pdf = await fs.readFile(pdfPath);
+  // Drafts are never encrypted, and an encrypted file's status needs its password
+  if (await isEncryptedPdf(pdf)) return;
+  if (await isDraftPdf(pdf)) {
+    throw new ReportError(`${path.basename(pdfPath)} is a draft render (not for patients) and cannot be uploaded`, {
+      code: "DRAFT_NOT_PUBLISHABLE",
+    });
+  }
+  if (requireEncryption) {
+    throw new ReportError(`${path.basename(pdfPath)} is not encrypted, and the PDF encryption policy requires it`, {
+      code: "UNENCRYPTED_PDF",
+    });
+  }
+}
+
+/**
+ * Uploads a rendered PDF, replacing the patient's previous PDF in place when one exists.
+ *
+ * @param {object} drive - Drive v3 client
+ * @param {string} pdfPath - Local PDF to upload
+ * @param {object} options
+ * @param {string} options.outputFolderId - Folder holding the patient PDFs
+ * @param {string} [options.patientId] - patient_id from the report JSON; tags the Drive file
+ * @param {string} [options.knownFileId] - PDF id the sync ledger recorded for this input
+ * @param {{ mode: "revisions"|"archive", keep: number }} [options.retention]
+ * @param {boolean} [options.requireEncryption] - Refuse PDFs that aren't encrypted (see pdf-encryption.js)
+ * @returns {Promise<{ id: string, webViewLink: string, action: "created"|"updated" }>}
+ * @throws {ReportError} DRAFT_NOT_PUBLISHABLE for draft renders, UNENCRYPTED_PDF for unencrypted ones when required
+ */
+export async function publishPdf(drive, pdfPath, { outputFolderId, patientId, knownFileId, retention = getRetentionPolicy(), requireEncryption = false }) {
+  await assertPublishable(pdfPath, { requireEncryption });
+  const appProperties = patientId ? { patient_id: String(patientId) } : undefined;
+  const prior = await findPriorPdf(drive, { outputFolderId, patientId, knownFileId });
+
+  if (!prior) {
+    const created = await uploadFileToDrive(drive, pdfPath, outputFolderId, appProperties);
+    return { ...created, action: "created" };
+  }
+
+  if (retention.mode === "archive") {
+    await archiveVersion(drive, prior, { outputFolderId, appProperties, keep: retention.keep });
+  }
+
+  const res = await drive.files.update({
+    fileId: prior.id,
+    requestBody: { name: path.basename(pdfPath), ...(appProperties ? { appProperties } : {}) },
+    media: { mimeType: "application/pdf", body: fs.createReadStream(pdfPath) },
+    // Revisions are the version history in this mode, so stop Drive from expiring them
+    keepRevisionForever: retention.mode === "revisions",
+    fields: "id, webViewLink",
+    supportsAllDrives: true,
+  });
+  console.log(`♻️  Updated ${prior.name} in place → ${path.basename(pdfPath)}: ${res.data.webViewLink}`);
+
+  if (retention.mode === "revisions") {
+    await pruneRevisions(drive, prior.id, retention.keep);
+  }
+  return { ...res.data, action: "updated" };
+}
@@ -1,35 +1,41 @@
 import fs from "fs-extra";
 import path from "path";
 import { fileURLToPath } from "url";
-import Handlebars from "handlebars";
 import open from "open";
-import { registerHelpers } from "./handlebars-helpers.js";
+import { assertHelpersRegistered } from "./handlebars-helpers.js";
+import { resolveReportTemplate, getTemplateHandlebars } from "./generate-report.js";
+import { resolveLocale } from "./i18n.js";
+import { resolveTimezone } from "./clinical-dates.js";
+import { loadCompletenessPolicy } from "./completeness.js";
 
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Point output to /templates instead of /output
 const dataPath = path.join(__dirname, "../data", "2025.11.06-rpt-a.json");
-const templatePath = path.join(__dirname, "../templates", "report.hbs");
-const outputFile = path.join(__dirname, "../templates", "preview.html");
-
-// Register Handlebars helpers
-registerHelpers(Handlebars);
 
 async function generatePreview() {
   try {
     const data = JSON.parse(await fs.readFile(dataPath, "utf8"));
+    // Output goes next to the selected template (templates/v<N>/) instead of /output,
+    // so its relative icon and font paths resolve
+    const { version, templatePath } = resolveReportTemplate(data);
+    const outputFile = path.join(path.dirname(templatePath), "preview.html");
     const templateSrc = await fs.readFile(templatePath, "utf8");
-    const template = Handlebars.compile(templateSrc);
+    const handlebars = getTemplateHandlebars(version);
+    assertHelpersRegistered(handlebars, templateSrc, path.basename(templatePath));
+    const template = handlebars.compile(templateSrc);
 
-    const html = template(data);
+    const { locale } = resolveLocale(data);
+    const { timezone } = resolveTimezone(data);
+    const html = template(data, { data: { locale, timezone, completeness: loadCompletenessPolicy() } });
     await fs.writeFile(outputFile, html, "utf8");
 
     console.log(`✅ Preview file generated: ${outputFile}`);
     await open(outputFile);
   } catch (err) {
     console.error("❌ Error generating preview:", err.message);
+    process.exitCode = 1;
   }
 }
 
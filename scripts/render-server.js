@@ -0,0 +1,408 @@
+import fs from "fs";
+import path from "path";
+import { createServer } from "http";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import {
+  renderReport,
+  renderReportHtml,
+  rewriteAssetPaths,
+  resolveTemplatePaths,
+  resolveReportTemplate,
+  getTemplateHash,
+  getTemplateHashes,
+} from "./generate-report.js";
+import { listTemplateVersions, getTemplateDir } from "./template-registry.js";
+import { BrowserPool } from "./browser-pool.js";
+import { resolveLayout } from "./page-layout.js";
+import { resolveLocale } from "./i18n.js";
+import { resolveTimezone } from "./clinical-dates.js";
+import { loadCompletenessPolicy, resolveCompletenessPolicy, getCompletenessPolicy, applyCompletenessPolicy } from "./completeness.js";
+import { getEncryptionPolicy, getPdfPassword, loadEncryptionPolicy } from "./pdf-encryption.js";
+import { getSchemaErrors, getSchemaWarnings } from "./validate-json.js";
+import { ReportError, ReportDataError, TemplateError, RenderError } from "./errors.js";
+
+// On-demand rendering for other internal tools:
+//   POST /render               report JSON in, application/pdf out
+//   POST /render?format=html   report JSON in, HTML preview out (assets served from /assets/v<N>/)
+//   POST /validate             report JSON in, { valid, errors, warnings } out
+//   GET  /health               pool and queue status
+// /render also accepts ?layout=paged&pageSize=A4&templateVersion=3&locale=es&timezone=America/New_York&accessible&completeness=block&draft,
+// like the CLI's --layout/--page-size/--template-version/--locale/--timezone/--accessible/--completeness/--draft
+// (completeness takes an action only; the server's own --completeness may name a policy file).
+// ?encrypt encrypts the PDF under the server's encryption policy (--encryption-policy, default
+// config/pdf-encryption.json) and marks it X-Encrypted: AES-256.
+// Accessible PDFs report their audit's violation count in X-Accessibility-Violations, and every
+// render its number of missing fields in X-Completeness-Gaps. Drafts are marked X-Report-Status: draft.
+// Renders share one warm BrowserPool; when every page is busy, requests wait in
+// its FIFO queue, and are turned away with 503 once the queue is full.
+
+export const DEFAULT_PORT = 3100;
+export const DEFAULT_MAX_BODY_BYTES = 5 * 1024 * 1024;
+export const DEFAULT_RENDER_TIMEOUT_MS = 60_000;
+export const DEFAULT_MAX_QUEUE = 20;
+
+const ASSET_TYPES = {
+  ".css": "text/css",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+};
+
+// Errors with an HTTP status attached; anything else becomes a 500
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(payload) });
+  res.end(payload);
+}
+
+function statusFor(err) {
+  if (err instanceof HttpError) return err.status;
+  if (err instanceof ReportDataError) return 422;
+  if (err instanceof TemplateError || err instanceof RenderError) return 500;
+  if (err instanceof ReportError && err.code === "INVALID_OPTION") return 400;
+  return 500;
+}
+
+// Reads and parses a JSON body, stopping as soon as it grows past the limit
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers["content-length"], 10);
+    if (declared > maxBytes) {
+      reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`, "BODY_TOO_LARGE"));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on("data", (chunk) => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        failed = true;
+        reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`, "BODY_TOO_LARGE"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      if (failed) return;
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (!text.trim()) return reject(new HttpError(400, "Request body is empty; expected report JSON", "EMPTY_BODY"));
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        reject(new HttpError(400, `Request body is not valid JSON: ${err.message}`, "INVALID_JSON"));
+      }
+    });
+  });
+}
+
+/**
+ * Creates the render service. Call listen() to start it and close() to stop
+ * it together with its browser.
+ *
+ * @param {object} [options]
+ * @param {number} [options.slots] - Concurrent renders (warm pages in the pool)
+ * @param {number} [options.maxBodyBytes] - Largest accepted request body
+ * @param {number} [options.renderTimeoutMs] - Per-render limit, not counting time spent queued
+ * @param {number} [options.maxQueue] - Requests allowed to wait for a free slot before 503s
+ * @param {object} [options.renderOptions] - Defaults passed to renderReport (templateDir, strictHtml, ...)
+ * @param {BrowserPool} [options.pool] - Use an existing pool instead of creating one
+ * @param {true|string|object} [options.encryptionPolicy] - Policy for ?encrypt renders (default config/pdf-encryption.json)
+ */
+export function createRenderServer({
+  slots = 2,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  renderTimeoutMs = DEFAULT_RENDER_TIMEOUT_MS,
+  maxQueue = DEFAULT_MAX_QUEUE,
+  renderOptions = {},
+  pool = new BrowserPool({ size: slots }),
+  encryptionPolicy = true,
+} = {}) {
+  const startedAt = Date.now();
+  const stats = { rendered: 0, failed: 0, timedOut: 0, rejected: 0 };
+  const customTemplate = Boolean(renderOptions.templateDir || renderOptions.templatePath);
+  const templateHashes = customTemplate ? { custom: getTemplateHash(renderOptions) } : getTemplateHashes();
+
+  function getRenderOptions(url) {
+    const options = { ...renderOptions };
+    if (url.searchParams.has("layout")) options.layout = url.searchParams.get("layout");
+    if (url.searchParams.has("pageSize")) options.pageSize = url.searchParams.get("pageSize");
+    if (url.searchParams.has("templateVersion")) options.templateVersion = url.searchParams.get("templateVersion");
+    if (url.searchParams.has("locale")) options.locale = url.searchParams.get("locale");
+    if (url.searchParams.has("timezone")) options.timezone = url.searchParams.get("timezone");
+    if (url.searchParams.has("accessible")) options.accessible = ["", "1", "true"].includes(url.searchParams.get("accessible"));
+    if (url.searchParams.has("draft")) options.draft = ["", "1", "true"].includes(url.searchParams.get("draft"));
+    // Like completeness, the query turns encryption on but never picks the policy
+    if (["", "1", "true"].includes(url.searchParams.get("encrypt"))) options.encryption = encryptionPolicy;
+    // An action name only: a query string never picks a file to read
+    if (url.searchParams.has("completeness")) options.completenessPolicy = resolveCompletenessPolicy(url.searchParams.get("completeness"));
+    return options;
+  }
+
+  // Closing the page makes the in-flight Puppeteer call reject; the pool replaces it
+  function renderWithTimeout(data, options) {
+    return pool.run(async (page) => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        page.close().catch(() => {});
+      }, renderTimeoutMs);
+      try {
+        return await renderReport(data, { ...options, page });
+      } catch (err) {
+        if (timedOut) throw new HttpError(504, `Render timed out after ${renderTimeoutMs} ms`, "RENDER_TIMEOUT");
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+  }
+
+  async function handleRender(req, res, url) {
+    const data = await readJsonBody(req, maxBodyBytes);
+    const options = getRenderOptions(url);
+    // Reject bad layout options, unknown template versions, locales, timezones, blocked gaps and
+    // patients without a PDF password before taking a render slot
+    resolveLayout(options);
+    resolveReportTemplate(data, options);
+    resolveLocale(data, { override: options.locale });
+    resolveTimezone(data, { override: options.timezone });
+    applyCompletenessPolicy(data, getCompletenessPolicy(options.completenessPolicy), { enforce: !options.draft });
+    if (options.encryption) getPdfPassword(data, getEncryptionPolicy(options.encryption));
+    const format = url.searchParams.get("format") || "pdf";
+
+    if (format === "html") {
+      const { html, template, locale, completeness } = renderReportHtml(data, options);
+      const base = template.version ? `/assets/v${template.version}` : "/assets";
+      const body = rewriteAssetPaths(html, { css: `${base}/styles.css`, icons: `${base}/icons`, fonts: `${base}/fonts` });
+      res.writeHead(200, {
+        "Content-Type": "text/html; charset=utf-8",
+        "Content-Length": Buffer.byteLength(body),
+        "Content-Language": locale,
+        "X-Completeness-Gaps": String(completeness.gaps.length),
+        ...(options.draft && { "X-Report-Status": "draft" }),
+      });
+      res.end(body);
+      return;
+    }
+    if (format !== "pdf") {
+      throw new HttpError(400, `Unknown format "${format}" (expected pdf or html)`, "INVALID_OPTION");
+    }
+
+    if (pool.busy >= pool.size && pool.queued >= maxQueue) {
+      stats.rejected++;
+      throw new HttpError(503, `All ${pool.size} render slot(s) are busy and ${pool.queued} request(s) are queued; try again later`, "QUEUE_FULL");
+    }
+
+    const { pdf, fileName, sanitized, completeness, template, locale, accessibility, encryption } = await renderWithTimeout(data, options);
+    stats.rendered++;
+    res.writeHead(200, {
+      "Content-Type": "application/pdf",
+      "Content-Length": pdf.length,
+      "Content-Disposition": `inline; filename="${fileName}"`,
+      "Content-Language": locale,
+      "X-Template-Version": template.version ? `v${template.version}` : "custom",
+      "X-Template-Hash": template.hash,
+      "X-Sanitized-Fields": String(sanitized.length),
+      "X-Completeness-Gaps": String(completeness.gaps.length),
+      ...(accessibility && { "X-Accessibility-Violations": String(accessibility.violations.length) }),
+      ...(options.draft && { "X-Report-Status": "draft" }),
+      ...(encryption && { "X-Encrypted": "AES-256" }),
+    });
+    res.end(pdf);
+  }
+
+  async function handleValidate(req, res) {
+    const data = await readJsonBody(req, maxBodyBytes);
+    const errors = getSchemaErrors(data);
+    sendJson(res, 200, { valid: errors.length === 0, errors, warnings: getSchemaWarnings(data) });
+  }
+
+  function handleHealth(res) {
+    sendJson(res, 200, {
+      status: "ok",
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      templates: templateHashes,
+      browser: pool.browser ? "running" : "not started",
+      slots: pool.size,
+      busy: pool.browser ? pool.busy : 0,
+      queued: pool.queued,
+      maxQueue,
+      ...stats,
+    });
+  }
+
+  // Stylesheet, icons and fonts for the HTML preview: /assets/v<N>/... per template
+  // version, or /assets/... for the default (or custom) template
+  function handleAsset(res, urlPath) {
+    let relative;
+    try {
+      relative = decodeURIComponent(urlPath.slice("/assets/".length));
+    } catch {
+      throw new HttpError(400, `Malformed asset path ${urlPath}`, "BAD_REQUEST");
+    }
+    let assetOptions = renderOptions;
+    const versioned = !customTemplate && relative.match(/^v(\d+)\/(.*)$/);
+    if (versioned && listTemplateVersions().includes(Number(versioned[1]))) {
+      assetOptions = { ...renderOptions, templateDir: getTemplateDir(Number(versioned[1])) };
+      relative = versioned[2];
+    }
+    const { cssPath, iconsDir, fontsDir } = resolveTemplatePaths(assetOptions);
+    let filePath;
+    if (relative === "styles.css") filePath = cssPath;
+    else if (relative.startsWith("icons/")) filePath = path.join(iconsDir, relative.slice("icons/".length));
+    else if (relative.startsWith("fonts/")) filePath = path.join(fontsDir, relative.slice("fonts/".length));
+
+    // Security: ensure the file is within the asset directories
+    const allowed = filePath && (filePath === cssPath || [iconsDir, fontsDir].some((dir) => filePath.startsWith(dir + path.sep)));
+    if (!allowed || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new HttpError(404, `No asset at ${urlPath}`, "NOT_FOUND");
+    }
+    const content = fs.readFileSync(filePath);
+    res.writeHead(200, { "Content-Type": ASSET_TYPES[path.extname(filePath)] || "application/octet-stream", "Content-Length": content.length });
+    res.end(content);
+  }
+
+  const routes = {
+    "POST /render": handleRender,
+    "POST /validate": handleValidate,
+    "GET /health": (req, res) => handleHealth(res),
+  };
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const started = Date.now();
+    try {
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (route) {
+        await route(req, res, url);
+      } else if (req.method === "GET" && url.pathname.startsWith("/assets/")) {
+        handleAsset(res, url.pathname);
+      } else if (Object.keys(routes).some((key) => key.endsWith(` ${url.pathname}`))) {
+        throw new HttpError(405, `${req.method} is not supported on ${url.pathname}`, "METHOD_NOT_ALLOWED");
+      } else {
+        throw new HttpError(404, `No route for ${req.method} ${url.pathname}`, "NOT_FOUND");
+      }
+    } catch (err) {
+      const status = statusFor(err);
+      if (url.pathname === "/render") stats.failed++;
+      if (err.code === "RENDER_TIMEOUT") stats.timedOut++;
+      if (status >= 500) console.error(chalk.red(`❌ ${req.method} ${url.pathname}: [${err.code || err.name}] ${err.message}`));
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        // An oversized body is left unread, so the connection can't be reused
+        if (status === 413) res.setHeader("Connection", "close");
+        sendJson(res, status, { error: { code: err.code || "INTERNAL_ERROR", message: err.message, ...(err.details ? { details: err.details } : {}) } });
+      }
+    } finally {
+      if (url.pathname !== "/health") {
+        console.log(chalk.gray(`${req.method} ${url.pathname}${url.search} → ${res.statusCode} (${Date.now() - started} ms)`));
+      }
+    }
+  });
+  server.requestTimeout = 0; // renders enforce their own limit; queued requests may wait longer
+
+  return {
+    server,
+    pool,
+    stats,
+    async listen(port = DEFAULT_PORT, host = "127.0.0.1") {
+      await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, resolve);
+      });
+      // Warm the browser up front so the first request doesn't pay for the launch
+      pool.start().catch((err) => console.warn(chalk.yellow(`⚠️ Browser not started yet: ${err.message}`)));
+      return server.address();
+    },
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await pool.close();
+    },
+  };
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+// --port <n>          listen port (default RENDER_PORT or 3100)
+// --host <addr>       bind address (default 127.0.0.1: local tools only)
+// --slots <n>         concurrent renders (default 2)
+// --timeout <sec>     per-render timeout (default 60)
+// --max-body <bytes>  request size limit (default 5 MB)
+// --max-queue <n>     requests allowed to wait for a slot (default 20)
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: process.env.RENDER_PORT || String(DEFAULT_PORT) },
+      host: { type: "string", default: "127.0.0.1" },
+      slots: { type: "string", default: "2" },
+      timeout: { type: "string", default: String(DEFAULT_RENDER_TIMEOUT_MS / 1000) },
+      "max-body": { type: "string", default: String(DEFAULT_MAX_BODY_BYTES) },
+      "max-queue": { type: "string", default: String(DEFAULT_MAX_QUEUE) },
+      "strict-html": { type: "boolean", default: false },
+      completeness: { type: "string" },
+      "encryption-policy": { type: "string" },
+    },
+  });
+
+  const number = (name, value, { min = 0, exclusive = true } = {}) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || (exclusive ? parsed <= min : parsed < min)) {
+      console.error(`❌ --${name} must be a number ${exclusive ? "above" : "of at least"} ${min} (got "${value}")`);
+      process.exit(1);
+    }
+    return parsed;
+  };
+
+  const loadPolicyOrExit = (source, load = loadCompletenessPolicy) => {
+    try {
+      return load(source);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  };
+
+  const service = createRenderServer({
+    slots: Math.floor(number("slots", values.slots, { min: 1, exclusive: false })),
+    renderTimeoutMs: number("timeout", values.timeout) * 1000,
+    maxBodyBytes: number("max-body", values["max-body"]),
+    maxQueue: Math.floor(number("max-queue", values["max-queue"], { exclusive: false })),
+    renderOptions: { strictHtml: values["strict-html"], completenessPolicy: loadPolicyOrExit(values.completeness) },
+    encryptionPolicy: loadPolicyOrExit(values["encryption-policy"], loadEncryptionPolicy),
+  });
+
+  service.listen(Number(values.port), values.host).then(({ address, port }) => {
+    console.log(`🖨️  Render service listening on http://${address}:${port}`);
+  }).catch((err) => {
+    console.error(`❌ Could not start render service: ${err.message}`);
+    process.exit(1);
+  });
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      console.log(`\n🛑 ${signal} received — shutting down`);
+      service.close().then(() => process.exit(0));
+    });
+  }
+}
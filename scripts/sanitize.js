@@ -0,0 +1,114 @@
+import sanitizeHtml from "sanitize-html";
+import chalk from "chalk";
+import { ReportDataError } from "./errors.js";
+
+// Narrative text comes from an upstream LLM and is rendered as HTML in a page
+// Puppeteer opens with file access, so only simple formatting survives.
+
+// JSON keys whose strings are rendered as rich text by the {{richText}} helper
+export const NARRATIVE_KEYS = ["explanation", "intro_letter_body", "body", "description", "table_description", "notes"];
+
+const ALLOWED_TAGS = ["b", "strong", "i", "em", "u", "ul", "ol", "li", "a", "br", "p"];
+const ALLOWED_SCHEMES = ["http", "https", "mailto"];
+
+// Returns { html, removed } where removed lists what the allowlist dropped
+export function sanitizeRichText(input) {
+  if (input === null || input === undefined) return { html: "", removed: [] };
+  const text = String(input);
+  const removed = [];
+
+  const html = sanitizeHtml(text, {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: { a: ["href"] },
+    allowedSchemes: ALLOWED_SCHEMES,
+    allowProtocolRelative: false,
+    disallowedTagsMode: "discard",
+    transformTags: {
+      "*": (tagName, attribs) => {
+        if (!ALLOWED_TAGS.includes(tagName)) {
+          removed.push(`<${tagName}>`);
+          return { tagName, attribs };
+        }
+        for (const [name, value] of Object.entries(attribs)) {
+          if (tagName === "a" && name === "href") {
+            const scheme = /^\s*([a-z][a-z0-9+.-]*):/i.exec(value)?.[1]?.toLowerCase();
+            if ((scheme && !ALLOWED_SCHEMES.includes(scheme)) || /^\s*\/\//.test(value)) {
+              removed.push(`<a href="${value}">`);
+            }
+          } else {
+            removed.push(`${name} attribute on <${tagName}>`);
+          }
+        }
+        return { tagName, attribs };
+      },
+    },
+  });
+
+  return { html, removed: [...new Set(removed)] };
+}
+
+// Markup for the {{richText}} helper; newlines in plain-text narratives become line breaks
+export function renderRichText(input) {
+  return sanitizeRichText(input).html.replace(/\r?\n/g, "<br>");
+}
+
+function walk(value, path, visit) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => walk(item, `${path}[${i}]`, visit));
+  }
+  if (value && typeof value === "object") {
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      copy[key] = walk(child, childPath, visit);
+    }
+    return copy;
+  }
+  return visit(value, path);
+}
+
+// "tumors[0].fields.stage.explanation" -> "explanation"; "general_info.intro_letter_body.value" -> "intro_letter_body"
+function narrativeKey(path) {
+  const parts = path.replace(/\[\d+\]/g, "").split(".");
+  const last = parts[parts.length - 1];
+  return last === "value" ? parts[parts.length - 2] : last;
+}
+
+/**
+ * Sanitizes every narrative string in the report data.
+ * Returns { data, findings } where data is a sanitized copy (the input is not
+ * modified) and findings is [{ path, removed: [...] }] for each field changed.
+ */
+export function sanitizeReportData(data) {
+  const findings = [];
+  const sanitized = walk(data, "", (value, path) => {
+    if (typeof value !== "string" || !NARRATIVE_KEYS.includes(narrativeKey(path))) return value;
+    const { html, removed } = sanitizeRichText(value);
+    if (removed.length) findings.push({ path, removed });
+    return html;
+  });
+  return { data: sanitized, findings };
+}
+
+/**
+ * Applies the sanitization policy before rendering.
+ * In strict mode any stripped content fails the render with a ReportDataError
+ * (code UNSAFE_HTML); otherwise each field path is logged and rendering continues.
+ */
+export function applySanitizationPolicy(data, { strict = false, logger = console } = {}) {
+  const result = sanitizeReportData(data);
+  if (!result.findings.length) return result;
+
+  if (strict) {
+    const summary = result.findings.map((f) => `${f.path} (${f.removed.join(", ")})`).join("; ");
+    throw new ReportDataError(`Disallowed HTML in report data: ${summary}`, {
+      code: "UNSAFE_HTML",
+      details: result.findings,
+    });
+  }
+
+  for (const { path, removed } of result.findings) {
+    logger.warn(chalk.yellow(`🧹 Stripped from ${path}: ${removed.join(", ")}`));
+  }
+  return result;
+}
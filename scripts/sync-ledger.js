@@ -0,0 +1,79 @@
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+
+// Persistent record of what the Drive sync has already rendered and uploaded.
+// One entry per Drive JSON file (keyed by Drive file id; local-only files use
+// "local:<name>"), so a report is only regenerated when its input or the
+// template version changes.
+//
+// Entry shape:
+// {
+//   name, driveFileId, remoteChecksum, remoteModifiedTime,
+//   localHash, templateVersion, templateHash, pdfFileId, pdfName, syncedAt
+// }
+
+export const DEFAULT_LEDGER_PATH = path.resolve("state", "sync-ledger.json");
+
+const LEDGER_VERSION = 1;
+
+// md5, like Drive's md5Checksum, so local and remote hashes can be compared directly
+export function hashFile(filePath) {
+  try {
+    return crypto.createHash("md5").update(fs.readFileSync(filePath)).digest("hex");
+  } catch {
+    return null;
+  }
+}
+
+export class SyncLedger {
+  constructor(filePath = DEFAULT_LEDGER_PATH, entries = {}) {
+    this.filePath = filePath;
+    this.entries = entries;
+  }
+
+  static load(filePath = DEFAULT_LEDGER_PATH) {
+    if (!fs.existsSync(filePath)) return new SyncLedger(filePath);
+    const raw = fs.readJsonSync(filePath);
+    if (raw.version !== LEDGER_VERSION) {
+      console.warn(`⚠️ Ignoring sync ledger ${filePath} with unknown version ${raw.version}`);
+      return new SyncLedger(filePath);
+    }
+    return new SyncLedger(filePath, raw.entries || {});
+  }
+
+  get(key) {
+    return this.entries[key] || null;
+  }
+
+  record(key, entry) {
+    this.entries[key] = { ...this.entries[key], ...entry, syncedAt: new Date().toISOString() };
+    return this.entries[key];
+  }
+
+  /**
+   * Why a file needs (re)rendering, or null when the ledger shows it is current.
+   * @param {string} key
+   * @param {{ remoteChecksum?: string, remoteModifiedTime?: string, localHash?: string, templateHash: string }} current
+   */
+  changeReason(key, { remoteChecksum, remoteModifiedTime, localHash, templateHash }) {
+    const entry = this.get(key);
+    if (!entry) return "new";
+    if (!entry.pdfFileId) return "not uploaded";
+    if (entry.templateHash !== templateHash) return "template changed";
+    // Drive has no checksum for some files; fall back to the modified time
+    if (remoteChecksum ? entry.remoteChecksum !== remoteChecksum : remoteModifiedTime && entry.remoteModifiedTime !== remoteModifiedTime) {
+      return "input changed on Drive";
+    }
+    if (localHash && entry.localHash !== localHash) return "local input changed";
+    return null;
+  }
+
+  save() {
+    fs.ensureDirSync(path.dirname(this.filePath));
+    // Write then rename so an interrupted run never leaves a truncated ledger
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeJsonSync(tmp, { version: LEDGER_VERSION, entries: this.entries }, { spaces: 2 });
+    fs.renameSync(tmp, this.filePath);
+  }
+}
@@ -0,0 +1,53 @@
+import { getCitationIndex } from "./citations.js";
+import { translateText } from "./i18n.js";
+
+// Report navigation: drives both the "Document Contents" block in report.hbs
+// and the PDF outline (bookmarks) added after Puppeteer renders.
+
+// Section ids match the <section id="..."> elements in report.hbs; titles are
+// the "contents.<id>" messages in the locale catalogs
+export const REPORT_SECTIONS = [
+  { id: "note_from_defiant", icon: "heart-icon.png" },
+  { id: "diagnosis_summary", icon: "diagnosis-icon.png" },
+  { id: "next_steps", icon: "document-icon.png" },
+  { id: "treatment_planning", icon: "link-icon.png" },
+  { id: "care_team", icon: "book-icon.png" },
+  { id: "your_records", icon: null },
+  // Only rendered when at least one field cites a source document
+  { id: "sources", icon: null, when: (data) => getCitationIndex(data).groups.length > 0 },
+];
+
+export function getTumorAnchorId(index) {
+  return `tumor_${index + 1}`;
+}
+
+/**
+ * Builds the navigation tree for a report, titled in the given locale:
+ * [{ id, title, icon, children: [{ id, title }] }]
+ */
+export function buildTableOfContents(data, { locale } = {}) {
+  const tumors = Array.isArray(data?.tumors) ? data.tumors : [];
+
+  return REPORT_SECTIONS.filter((section) => !section.when || section.when(data)).map(({ when, ...section }) => {
+    const children = section.id === "diagnosis_summary"
+      ? tumors.map((tumor, index) => {
+          const cancerType = String(tumor?.fields?.cancer_type?.value || "").trim();
+          const number = index + 1;
+          return {
+            id: getTumorAnchorId(index),
+            title: cancerType
+              ? translateText(locale, "contents.tumor_with_type", { number, cancer_type: cancerType })
+              : translateText(locale, "contents.tumor", { number }),
+          };
+        })
+      : [];
+    return { ...section, title: translateText(locale, `contents.${section.id}`), children };
+  });
+}
+
+/**
+ * Flattens the tree to every anchor id, parents before children.
+ */
+export function getAnchorIds(toc) {
+  return toc.flatMap((entry) => [entry.id, ...entry.children.map((child) => child.id)]);
+}
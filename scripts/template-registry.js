@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { ReportError, ReportDataError, TemplateError } from "./errors.js";
+
+// Templates are kept per report schema version: templates/v<N>/ holds the
+// report.hbs, stylesheet, icons/ and fonts/ that version renders with. A
+// report picks its template with a top-level `schema_version` (or a CLI
+// override); reports without one get the newest template. Old templates stay
+// in place so past reports can be reproduced exactly.
+//
+// Every version but the newest is frozen: template changes go into a new
+// v<N+1>. When a shared helper has to change in a way that would alter a
+// frozen version's output, the old helper moves into that version's
+// helpers.js, which is registered over the shared helpers for its renders.
+// A version's template.json narrows what it supports: the "locales" it has
+// copy for, and "draft": false when it has no draft watermark.
+// test/template-pins holds hashes of each frozen version's renders, so drift
+// fails the tests.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const TEMPLATES_ROOT = path.resolve(__dirname, "..", "templates");
+
+const VERSION_DIR = /^v(\d+)$/;
+
+/** Versions with a report.hbs under root, oldest first. */
+export function listTemplateVersions(root = TEMPLATES_ROOT) {
+  if (!fs.existsSync(root)) return [];
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && VERSION_DIR.test(entry.name))
+    .filter((entry) => fs.existsSync(path.join(root, entry.name, "report.hbs")))
+    .map((entry) => Number(entry.name.match(VERSION_DIR)[1]))
+    .sort((a, b) => a - b);
+}
+
+export function getLatestTemplateVersion(root = TEMPLATES_ROOT) {
+  const versions = listTemplateVersions(root);
+  if (!versions.length) {
+    throw new ReportError(`No templates found under ${root} (expected v<N>/report.hbs)`, { code: "NO_TEMPLATES" });
+  }
+  return versions[versions.length - 1];
+}
+
+// Accepts 3, "3" or "v3", like schema_version in schemas/report-schema.json; null for anything else
+export function parseTemplateVersion(value) {
+  const match = String(value ?? "").trim().match(/^v?(\d+)$/i);
+  const version = match ? Number(match[1]) : NaN;
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+export function getTemplateDir(version, root = TEMPLATES_ROOT) {
+  return path.join(root, `v${version}`);
+}
+
+/**
+ * What a template supports, from its template.json: `locales` (null for any
+ * catalog locale) and `draft`. Templates without one support everything.
+ *
+ * @throws {TemplateError} for an unreadable template.json
+ */
+export function getTemplateFeatures(templateDir) {
+  const file = path.join(templateDir, "template.json");
+  let manifest = {};
+  if (fs.existsSync(file)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new TemplateError(`Could not read ${file}: ${err.message}`, { cause: err });
+    }
+  }
+  return { locales: Array.isArray(manifest.locales) ? manifest.locales : null, draft: manifest.draft !== false };
+}
+
+/**
+ * Loads the pinned helpers of every version that has a helpers.js.
+ * @returns {Promise<Map<number, (Handlebars: object) => void>>} registerHelpers by version
+ */
+export async function loadTemplateHelpers(root = TEMPLATES_ROOT) {
+  const helpers = new Map();
+  for (const version of listTemplateVersions(root)) {
+    const file = path.join(getTemplateDir(version, root), "helpers.js");
+    if (fs.existsSync(file)) helpers.set(version, (await import(pathToFileURL(file).href)).registerHelpers);
+  }
+  return helpers;
+}
+
+/**
+ * Picks the template version for a report: the override if given, else the
+ * report's schema_version, else the newest template.
+ *
+ * @param {object} data - Report JSON
+ * @param {object} [options]
+ * @param {string|number} [options.override] - e.g. from --template-version
+ * @param {string} [options.root] - Templates directory (default templates/)
+ * @returns {{ version: number, source: "override"|"schema_version"|"latest", templateDir: string }}
+ * @throws {ReportError} INVALID_OPTION for a bad override
+ * @throws {ReportDataError} UNKNOWN_SCHEMA_VERSION for a schema_version with no template
+ */
+export function resolveTemplateVersion(data, { override, root = TEMPLATES_ROOT } = {}) {
+  const available = listTemplateVersions(root);
+  const expected = `available: ${available.map((v) => `v${v}`).join(", ") || "none"}`;
+
+  if (override !== undefined && override !== null && override !== "") {
+    const version = parseTemplateVersion(override);
+    if (!version || !available.includes(version)) {
+      throw new ReportError(`Unknown template version "${override}" (${expected})`, { code: "INVALID_OPTION" });
+    }
+    return { version, source: "override", templateDir: getTemplateDir(version, root) };
+  }
+
+  if (data?.schema_version !== undefined) {
+    const version = parseTemplateVersion(data.schema_version);
+    if (!version || !available.includes(version)) {
+      throw new ReportDataError(`schema_version ${JSON.stringify(data.schema_version)} has no template (${expected})`, {
+        code: "UNKNOWN_SCHEMA_VERSION",
+      });
+    }
+    return { version, source: "schema_version", templateDir: getTemplateDir(version, root) };
+  }
+
+  const version = getLatestTemplateVersion(root);
+  return { version, source: "latest", templateDir: getTemplateDir(version, root) };
+}
@@ -46,6 +46,8 @@ async function main() {
   console.log(
     `${chalk.green(`✅ ${validCount} valid`)} | ${chalk.red(`❌ ${invalidCount} invalid`)} | ${chalk.cyan(`${total} total`)}`
   );
+
+  if (invalidCount > 0) process.exitCode = 1;
 }
 
 main().catch(err => {
@@ -1,136 +1,106 @@
 import fs from "fs";
 import path from "path";
 import chalk from "chalk";
+import Ajv from "ajv";
+import { fileURLToPath } from "url";
 
-function getNested(obj, path) {
-  if (!obj || !path) return undefined;
-  const parts = path.split(".");
-  let current = obj;
-  for (const part of parts) {
-    if (part.endsWith("[]")) {
-      const arrayKey = part.slice(0, -2);
-      current = current[arrayKey];
-      if (!Array.isArray(current)) {
-        return undefined;
-      }
-    } else if (Array.isArray(current)) {
-      const index = parseInt(part, 10);
-      if (isNaN(index) || index < 0 || index >= current.length) {
-        return undefined;
-      }
-      current = current[index];
-    } else if (current && typeof current === "object") {
-      current = current[part];
-    } else {
-      return undefined;
-    }
-  }
-  return current;
-}
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SCHEMA_PATH = path.resolve(__dirname, "..", "schemas", "report-schema.json");
 
-export function validateJsonSchema(jsonData, filename = "unknown.json") {
-  const tier1Required = [
-    "patientFirstName",
-    "patientLastName",
-    "patientDateOfBirth",
-    "patientEmail",
-    "reportDate",
-    "diagnosisSummary",
-    "tumors",
-    "whatThisMeans",
-    "testsCompleted",
-    "testsNeeded",
-    "treatmentTeam"
-  ];
+// Sections the template renders when present; missing ones produce warnings, not errors
+const RECOMMENDED_SECTIONS = [
+  "patient_id",
+  "testing_and_consultations",
+  "records_reviewed",
+  "treatments",
+  "summaries",
+  "questions"
+];
 
-  const tier2Recommended = [
-    "diagnosisDate",
-    "resources",
-    "contactInfo",
-    "contactInfo.phone",
-    "contactInfo.email"
-  ];
+let compiledValidator = null;
 
-  const tier3StructuralRequired = [
-    "tumors[].name",
-    "tumors[].location",
-    "tumors[].stage",
-    "tumors[].grade",
-    "tumors[].hormoneReceptorStatus",
-    "tumors[].her2Status",
-    "whatThisMeans.goodNews",
-    "whatThisMeans.newOptions",
-    "whatThisMeans.treatmentFocus",
-    "testsCompleted[].name",
-    "testsCompleted[].date",
-    "testsCompleted[].explanation",
-    "testsNeeded[].name",
-    "testsNeeded[].date",
-    "testsNeeded[].explanation",
-    "treatmentTeam.oncologist",
-    "treatmentTeam.surgeon",
-    "treatmentTeam.radiologist"
-  ];
+function getValidator() {
+  if (!compiledValidator) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    compiledValidator = ajv.compile(schema);
+  }
+  return compiledValidator;
+}
 
-  let hasErrors = false;
+// Point at the offending property itself rather than its parent object
+function toPointer(error) {
+  const escape = (key) => String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+  if (error.keyword === "required") {
+    return `${error.instancePath}/${escape(error.params.missingProperty)}`;
+  }
+  if (error.keyword === "additionalProperties") {
+    return `${error.instancePath}/${escape(error.params.additionalProperty)}`;
+  }
+  return error.instancePath || "/";
+}
 
-  // Tier 1: Required fields
-  for (const field of tier1Required) {
-    const value = getNested(jsonData, field);
-    if (value === undefined || value === null || value === "") {
-      console.error(chalk.red(`❌ Missing required field: ${field}`));
-      hasErrors = true;
-    }
+function describe(error) {
+  switch (error.keyword) {
+    case "required":
+      return "is required";
+    case "additionalProperties":
+      return "is not allowed here";
+    case "enum":
+      return `${error.message}: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(", ")}`;
+    default:
+      return error.message;
   }
+}
+
+/**
+ * Validates report data against schemas/report-schema.json.
+ * Returns a list of { path, message } where path is a JSON pointer (RFC 6901).
+ */
+export function getSchemaErrors(jsonData) {
+  const validate = getValidator();
+  if (validate(jsonData)) return [];
 
-  // Tier 3: Structural required fields (should exist and have correct types)
-  for (const field of tier3StructuralRequired) {
-    if (field.includes("[]")) {
-      const [arrayKey, subPath] = field.split("[].");
-      const array = getNested(jsonData, arrayKey);
-      if (!Array.isArray(array) || array.length === 0) {
-        console.error(chalk.red(`❌ Missing or empty array for structural required field: ${arrayKey}`));
-        hasErrors = true;
-        continue;
-      }
-      for (let i = 0; i < array.length; i++) {
-        const value = getNested(array[i], subPath);
-        if (value === undefined || value === null || value === "") {
-          console.error(chalk.red(`❌ Missing structural required field: ${arrayKey}[${i}].${subPath}`));
-          hasErrors = true;
-        }
-      }
-    } else {
-      const value = getNested(jsonData, field);
-      if (value === undefined || value === null) {
-        console.error(chalk.red(`❌ Missing structural required field: ${field}`));
-        hasErrors = true;
-      }
-    }
+  const seen = new Set();
+  const errors = [];
+  for (const error of validate.errors) {
+    const pointer = toPointer(error);
+    const message = describe(error);
+    const key = `${pointer} ${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    errors.push({ path: pointer, message });
   }
+  return errors;
+}
+
+/**
+ * Returns JSON pointers for recommended top-level sections that are absent.
+ */
+export function getSchemaWarnings(jsonData) {
+  if (!jsonData || typeof jsonData !== "object") return [];
+  return RECOMMENDED_SECTIONS
+    .filter(key => jsonData[key] === undefined || jsonData[key] === null || jsonData[key] === "")
+    .map(key => ({ path: `/${key}`, message: "recommended section is missing" }));
+}
+
+export function validateJsonSchema(jsonData, filename = "unknown.json") {
+  const errors = getSchemaErrors(jsonData);
 
-  // Tier 2: Recommended fields
-  for (const field of tier2Recommended) {
-    const value = getNested(jsonData, field);
-    if (value === undefined || value === null || value === "") {
-      console.warn(chalk.yellow(`⚠️ Recommended field missing or empty: ${field}`));
-    }
+  for (const err of errors) {
+    console.error(chalk.red(`❌ ${err.path}: ${err.message}`));
   }
 
-  // Example format check: patientDateOfBirth YYYY-MM-DD
-  const dob = getNested(jsonData, "patientDateOfBirth");
-  if (dob !== undefined && dob !== null && dob !== "") {
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(dob)) {
-      console.error(chalk.red(`❌ patientDateOfBirth must be in YYYY-MM-DD format`));
-      hasErrors = true;
-    }
+  for (const warning of getSchemaWarnings(jsonData)) {
+    console.warn(chalk.yellow(`⚠️ ${warning.path}: ${warning.message}`));
   }
 
-  if (hasErrors) {
-    console.error(chalk.red(`❌ Validation failed for ${filename}`));
+  if (errors.length > 0) {
+    console.error(chalk.red(`❌ Validation failed for ${filename} (${errors.length} error(s))`));
     return false;
   }
 
   console.log(chalk.green(`✅ JSON validated successfully: ${filename}`));
   return true;
-}
\ No newline at end of file
+}
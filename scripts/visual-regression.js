@@ -0,0 +1,323 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import Handlebars from "handlebars";
+import pixelmatch from "pixelmatch";
+import { PNG } from "pngjs";
+import { renderReportHtml, rewriteAssetPaths } from "./generate-report.js";
+import { launchBrowser } from "./browser-pool.js";
+import { DESIGN_WIDTH_PX, PAGE_SIZES } from "./page-layout.js";
+import { expandInputs } from "./generate-batch.js";
+import { ReportError, RenderError } from "./errors.js";
+
+// Visual regression for the report template: renders each fixture in data/ at
+// desktop width, cuts the page into Letter-proportioned screenshots and diffs
+// them against the PNGs in visual-baselines/<fixture>/. Everything runs on the
+// local Chromium that Puppeteer installed and local template assets, so no
+// network is needed.
+//
+// Usage:
+//   node scripts/visual-regression.js [files/dirs/globs...]      compare (default data/)
+//   node scripts/visual-regression.js --update-baselines         accept the current rendering
+// Options: --threshold <0-1> per-pixel color sensitivity (default 0.1),
+//          --tolerance <0-1> share of pixels allowed to differ per page (default 0.001),
+//          --out <dir> where actual/diff images and index.html go (default output/visual-regression)
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, "..");
+export const BASELINES_DIR = path.join(ROOT_DIR, "visual-baselines");
+export const DEFAULT_OUT_DIR = path.join(ROOT_DIR, "output", "visual-regression");
+export const DEFAULT_THRESHOLD = 0.1;
+export const DEFAULT_TOLERANCE = 0.001;
+
+// Same proportions as a Letter page, at the width the template is designed for
+export const SCREENSHOT_HEIGHT_PX = Math.round((DESIGN_WIDTH_PX * PAGE_SIZES.Letter.height) / PAGE_SIZES.Letter.width);
+
+// Pinned so "today" in the header and records overview doesn't change the pixels;
+// noon UTC is the same calendar day in every US timezone
+export const FIXED_NOW = new Date("2025-01-15T12:00:00Z");
+
+const FREEZE_CSS = `
+  *, *::before, *::after {
+    animation: none !important;
+    transition: none !important;
+    caret-color: transparent !important;
+  }`;
+
+const pageFile = (index) => `page-${String(index + 1).padStart(3, "0")}.png`;
+
+// ============================
+// 📸 Capture
+// ============================
+/**
+ * Renders one fixture and returns its page screenshots as PNG buffers.
+ * @returns {Promise<Buffer[]>}
+ */
+export async function captureFixturePages(data, { page, now = FIXED_NOW } = {}) {
+  const { html, template } = renderReportHtml(data, { now });
+  const body = rewriteAssetPaths(html, {
+    css: pathToFileURL(template.cssPath).href,
+    icons: pathToFileURL(template.iconsDir).href,
+    fonts: pathToFileURL(template.fontsDir).href,
+  });
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "dh-visual-"));
+  const htmlPath = path.join(tempDir, "report.html");
+  fs.writeFileSync(htmlPath, body);
+  try {
+    await page.setViewport({ width: DESIGN_WIDTH_PX, height: SCREENSHOT_HEIGHT_PX });
+    // Print styles are what the PDF uses
+    await page.emulateMediaType("print");
+    await page.goto(pathToFileURL(htmlPath).href, { waitUntil: "networkidle0" });
+    await page.addStyleTag({ content: FREEZE_CSS });
+    await page.evaluate(() => document.fonts.ready);
+
+    const height = await page.evaluate(() => document.documentElement.scrollHeight);
+    const pages = [];
+    for (let y = 0; y < height; y += SCREENSHOT_HEIGHT_PX) {
+      const clip = { x: 0, y, width: DESIGN_WIDTH_PX, height: Math.min(SCREENSHOT_HEIGHT_PX, height - y) };
+      pages.push(Buffer.from(await page.screenshot({ clip, captureBeyondViewport: true })));
+    }
+    return pages;
+  } catch (err) {
+    throw new RenderError(`Failed to capture screenshots: ${err.message}`, { cause: err });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// ============================
+// 🔍 Compare
+// ============================
+/**
+ * Diffs one screenshot against its baseline.
+ * @returns {{ status: "pass"|"fail"|"new"|"size", diffPixels: number, ratio: number, diff: Buffer|null }}
+ */
+export function comparePage(baselinePath, actual, { threshold = DEFAULT_THRESHOLD, tolerance = DEFAULT_TOLERANCE } = {}) {
+  if (!fs.existsSync(baselinePath)) return { status: "new", diffPixels: 0, ratio: 0, diff: null };
+
+  const expected = PNG.sync.read(fs.readFileSync(baselinePath));
+  const current = PNG.sync.read(actual);
+  if (expected.width !== current.width || expected.height !== current.height) {
+    return { status: "size", diffPixels: current.width * current.height, ratio: 1, diff: null };
+  }
+
+  const { width, height } = current;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(expected.data, current.data, diff.data, width, height, { threshold });
+  const ratio = diffPixels / (width * height);
+  return { status: ratio <= tolerance ? "pass" : "fail", diffPixels, ratio, diff: PNG.sync.write(diff) };
+}
+
+/**
+ * Captures every fixture and compares (or, with updateBaselines, replaces)
+ * its baselines. Actual and diff images are written under outDir.
+ *
+ * @returns {Promise<{ fixtures: Array<{ name: string, file: string, error?: string, pages: object[] }>, failed: number }>}
+ */
+export async function runVisualRegression(files, {
+  baselinesDir = BASELINES_DIR,
+  outDir = DEFAULT_OUT_DIR,
+  threshold = DEFAULT_THRESHOLD,
+  tolerance = DEFAULT_TOLERANCE,
+  updateBaselines = false,
+} = {}) {
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const fixtures = [];
+  let browser;
+  try {
+    browser = await launchBrowser();
+    const page = await browser.newPage();
+
+    for (const file of files) {
+      const name = path.basename(file, ".json");
+      const fixture = { name, file, pages: [] };
+      fixtures.push(fixture);
+      const baselineDir = path.join(baselinesDir, name);
+      const actualDir = path.join(outDir, name);
+
+      let shots;
+      try {
+        shots = await captureFixturePages(JSON.parse(fs.readFileSync(file, "utf8")), { page });
+      } catch (err) {
+        fixture.error = `[${err.code || err.name}] ${err.message}`;
+        console.error(chalk.red(`❌ ${name}: ${fixture.error}`));
+        continue;
+      }
+
+      fs.mkdirSync(actualDir, { recursive: true });
+      if (updateBaselines) {
+        fs.rmSync(baselineDir, { recursive: true, force: true });
+        fs.mkdirSync(baselineDir, { recursive: true });
+      }
+
+      shots.forEach((shot, index) => {
+        const fileName = pageFile(index);
+        const baseline = path.join(baselineDir, fileName);
+        const actual = path.join(actualDir, fileName.replace(".png", ".actual.png"));
+        fs.writeFileSync(actual, shot);
+
+        if (updateBaselines) {
+          fs.writeFileSync(baseline, shot);
+          fixture.pages.push({ file: fileName, status: "updated", ratio: 0, baseline, actual });
+          return;
+        }
+        const result = comparePage(baseline, shot, { threshold, tolerance });
+        let diff = null;
+        if (result.status === "fail") {
+          diff = path.join(actualDir, fileName.replace(".png", ".diff.png"));
+          fs.writeFileSync(diff, result.diff);
+        }
+        fixture.pages.push({ file: fileName, status: result.status, ratio: result.ratio, diffPixels: result.diffPixels, baseline, actual, diff });
+      });
+
+      // Baseline pages past the end mean the report got shorter
+      if (!updateBaselines && fs.existsSync(baselineDir)) {
+        const extra = fs.readdirSync(baselineDir).filter((file) => /^page-\d+\.png$/.test(file)).sort().slice(shots.length);
+        for (const file of extra) {
+          fixture.pages.push({ file, status: "missing", ratio: 1, baseline: path.join(baselineDir, file) });
+        }
+      }
+
+      const failedPages = fixture.pages.filter((p) => !["pass", "updated"].includes(p.status));
+      if (updateBaselines) {
+        console.log(chalk.green(`📸 ${name}: ${shots.length} baseline page(s) written`));
+      } else if (failedPages.length) {
+        console.log(chalk.red(`❌ ${name}: ${failedPages.length} of ${fixture.pages.length} page(s) differ`));
+      } else {
+        console.log(chalk.green(`✅ ${name}: ${shots.length} page(s) match`));
+      }
+    }
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  const failed = fixtures.filter((f) => f.error || f.pages.some((p) => !["pass", "updated"].includes(p.status))).length;
+  return { fixtures, failed };
+}
+
+// ============================
+// 🧾 HTML diff report
+// ============================
+const STATUS_LABELS = {
+  pass: "Match",
+  fail: "Changed",
+  size: "Size changed",
+  new: "No baseline",
+  missing: "Page missing",
+  updated: "Baseline updated",
+};
+
+export function writeDiffReport({ fixtures, failed }, { outDir = DEFAULT_OUT_DIR, threshold, tolerance } = {}) {
+  const esc = Handlebars.escapeExpression;
+  const link = (file) => (file ? esc(path.relative(outDir, file).split(path.sep).join("/")) : "");
+  const image = (file, label) => (file && fs.existsSync(file)
+    ? `<figure><figcaption>${label}</figcaption><a href="${link(file)}"><img src="${link(file)}" alt="${label}" loading="lazy" /></a></figure>`
+    : `<figure><figcaption>${label}</figcaption><p class="none">none</p></figure>`);
+
+  const sections = fixtures.map((fixture) => {
+    if (fixture.error) {
+      return `<section class="error"><h2>${esc(fixture.name)}</h2><p>${esc(fixture.error)}</p></section>`;
+    }
+    // Matching pages are listed but not shown, to keep the report light
+    const rows = fixture.pages.map((p) => {
+      const ok = p.status === "pass" || p.status === "updated";
+      const detail = `${STATUS_LABELS[p.status]}${p.status === "fail" || p.status === "pass" ? ` · ${(p.ratio * 100).toFixed(3)}% of pixels` : ""}`;
+      return ok
+        ? `<li class="ok">${esc(p.file)} — ${detail}</li>`
+        : `<li class="bad"><h3>${esc(p.file)} — ${detail}</h3><div class="images">${image(p.baseline, "Baseline")}${image(p.actual, "Actual")}${image(p.diff, "Diff")}</div></li>`;
+    });
+    return `<section><h2>${esc(fixture.name)}</h2><ul>${rows.join("")}</ul></section>`;
+  });
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Visual regression report</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; margin: 2rem; color: #1F1D2C; }
+  h1 { margin-bottom: 0.25rem; }
+  .summary { color: #8B8991; margin-bottom: 2rem; }
+  section { border-top: 1px solid #E5E1DE; padding: 1rem 0; }
+  section.error p, li.bad h3 { color: #C0392B; }
+  ul { list-style: none; padding: 0; }
+  li.ok { color: #2E7D32; font-size: 14px; }
+  li.bad h3 { font-size: 16px; }
+  .images { display: flex; gap: 1rem; }
+  figure { margin: 0; flex: 1; }
+  figcaption { font-size: 12px; color: #8B8991; margin-bottom: 0.25rem; }
+  img { width: 100%; border: 1px solid #E5E1DE; }
+  .none { color: #8B8991; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>Visual regression report</h1>
+<p class="summary">${fixtures.length} fixture(s), ${failed} with differences · threshold ${threshold}, tolerance ${(tolerance * 100).toFixed(3)}% · ${esc(new Date().toISOString())}</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+  const reportPath = path.join(outDir, "index.html");
+  fs.writeFileSync(reportPath, html);
+  return reportPath;
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "update-baselines": { type: "boolean", default: false },
+      threshold: { type: "string", default: String(DEFAULT_THRESHOLD) },
+      tolerance: { type: "string", default: String(DEFAULT_TOLERANCE) },
+      out: { type: "string", default: DEFAULT_OUT_DIR },
+    },
+  });
+
+  const fraction = (name) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      console.error(`❌ --${name} must be a number between 0 and 1 (got "${values[name]}")`);
+      process.exit(1);
+    }
+    return value;
+  };
+  const threshold = fraction("threshold");
+  const tolerance = fraction("tolerance");
+  const outDir = path.resolve(values.out);
+
+  const files = expandInputs(positionals.length ? positionals : [path.join(ROOT_DIR, "data")]);
+  if (!files.length) {
+    console.error("❌ No JSON fixtures matched the given inputs.");
+    process.exit(1);
+  }
+
+  const mode = values["update-baselines"] ? "Updating baselines for" : "Comparing";
+  console.log(chalk.cyan(`🖼️  ${mode} ${files.length} fixture(s)...`));
+
+  runVisualRegression(files, { outDir, threshold, tolerance, updateBaselines: values["update-baselines"] })
+    .then((summary) => {
+      const reportPath = writeDiffReport(summary, { outDir, threshold, tolerance });
+      console.log(chalk.gray(`🧾 Report: ${reportPath}`));
+      if (summary.failed) {
+        console.error(chalk.red(`❌ ${summary.failed} fixture(s) differ from their baselines (rerun with --update-baselines to accept)`));
+        process.exitCode = 1;
+      } else {
+        console.log(chalk.green("✅ All fixtures match their baselines"));
+      }
+    })
+    .catch((err) => {
+      const error = err instanceof ReportError ? err : new RenderError(err.message, { cause: err });
+      console.error(chalk.red(`❌ Visual regression failed: [${error.code}] ${error.message}`));
+      process.exit(1);
+    });
+}
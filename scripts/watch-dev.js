@@ -4,25 +4,38 @@ import { fileURLToPath } from "url";
 import { createServer } from "http";
 import { statSync } from "fs";
 import chokidar from "chokidar";
-import Handlebars from "handlebars";
-import puppeteer from "puppeteer";
 import open from "open";
 import chalk from "chalk";
-import { registerHelpers } from "./handlebars-helpers.js";
+import { parseArgs } from "util";
+import { assertHelpersRegistered } from "./handlebars-helpers.js";
+import { renderReport, resolveReportTemplate, getTemplateHandlebars } from "./generate-report.js";
+import { TEMPLATES_ROOT } from "./template-registry.js";
+import { LOCALES_DIR, resolveLocale, clearCatalogCache } from "./i18n.js";
+import { resolveTimezone } from "./clinical-dates.js";
+import { logAccessibilityReport } from "./accessibility.js";
+import { loadCompletenessPolicy } from "./completeness.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
-const DATA_FILE = process.argv[2] || path.join(__dirname, "../data/2025.11.06-rpt-a.json");
-const TEMPLATE_DIR = path.join(__dirname, "../templates");
-const TEMPLATE_FILE = path.join(TEMPLATE_DIR, "report.hbs");
+const { values: cliOptions, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    layout: { type: "string", default: "continuous" },
+    "page-size": { type: "string" },
+    "template-version": { type: "string" },
+    locale: { type: "string" },
+    timezone: { type: "string" },
+    accessible: { type: "boolean", default: false },
+    completeness: { type: "string" },
+    draft: { type: "boolean", default: false },
+  },
+});
+const DATA_FILE = positionals[0] || path.join(__dirname, "../data/2025.11.06-rpt-a.json");
 const OUTPUT_DIR = path.join(__dirname, "../output");
 const PREVIEW_DIR = path.join(__dirname, "../previews");
 
-// Register Handlebars helpers
-registerHelpers(Handlebars);
-
 let isGenerating = false;
 let previewUrl = null;
 let httpServer = null;
@@ -116,12 +129,19 @@ async function generatePreview() {
     const rawData = await fs.readFile(DATA_FILE, "utf8");
     const data = JSON.parse(rawData);
     
-    // Load and compile template
-    const templateSrc = await fs.readFile(TEMPLATE_FILE, "utf8");
-    const template = Handlebars.compile(templateSrc);
+    // Load and compile the template version this report selects, with that version's helpers
+    const { version, templatePath } = resolveReportTemplate(data, { templateVersion: cliOptions["template-version"] });
+    const templateSrc = await fs.readFile(templatePath, "utf8");
+    const handlebars = getTemplateHandlebars(version);
+    assertHelpersRegistered(handlebars, templateSrc, path.basename(templatePath));
+    const template = handlebars.compile(templateSrc);
     
-    // Generate HTML
-    let html = template(data);
+    // Generate HTML (re-reading catalogs in case a locale file changed)
+    clearCatalogCache();
+    const { locale } = resolveLocale(data, { override: cliOptions.locale });
+    const { timezone } = resolveTimezone(data, { override: cliOptions.timezone });
+    const completeness = loadCompletenessPolicy(cliOptions.completeness);
+    let html = template(data, { data: { locale, timezone, completeness, draft: cliOptions.draft } });
     
     // Inject auto-refresh script for live reload
     const fileTimestamp = Date.now();
@@ -190,39 +210,21 @@ async function generatePreview() {
     const previewPath = path.join(PREVIEW_DIR, "dev-preview.html");
     await fs.writeFile(previewPath, html, "utf8");
     
-    // Generate PDF
+    // Generate PDF through the same renderer as production so layouts match
     await fs.ensureDir(OUTPUT_DIR);
-    const patientName =
-      data?.report?.sections?.find((s) => s.id === "records_overview")?.fields
-        ?.patient_name || "Unknown Patient";
-    const [firstName, lastName] = patientName.trim().split(" ");
-    
-    const now = new Date();
-    const formatted = now
-      .toLocaleString("en-US", {
-        month: "short",
-        day: "numeric",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-      })
-      .replace(/,|:/g, "")
-      .replace(/\s+/g, "-");
-    
-    const pdfFileName = `${firstName || "Patient"}-${lastName || "Unknown"}-${formatted}.pdf`;
-    const pdfPath = path.join(OUTPUT_DIR, pdfFileName);
-    
-    // Generate PDF with Puppeteer
-    const browser = await puppeteer.launch({ headless: true });
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "networkidle0" });
-    await page.pdf({
-      path: pdfPath,
-      format: "A4",
-      printBackground: true,
-      margin: { top: "30px", bottom: "30px" },
+    const { pdf, fileName: pdfFileName, accessibility } = await renderReport(data, {
+      layout: cliOptions.layout,
+      pageSize: cliOptions["page-size"],
+      templateVersion: cliOptions["template-version"],
+      locale: cliOptions.locale,
+      timezone: cliOptions.timezone,
+      accessible: cliOptions.accessible,
+      completenessPolicy: cliOptions.completeness,
+      draft: cliOptions.draft,
     });
-    await browser.close();
+    const pdfPath = path.join(OUTPUT_DIR, pdfFileName);
+    await fs.writeFile(pdfPath, pdf);
+    if (accessibility) logAccessibilityReport(accessibility);
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(chalk.green(`✅ Preview regenerated in ${duration}s`));
@@ -255,8 +257,9 @@ console.log("");
 
 // Watch template files
 const watcher = chokidar.watch([
-  path.join(TEMPLATE_DIR, "**/*.hbs"),
-  path.join(TEMPLATE_DIR, "**/*.css"),
+  path.join(TEMPLATES_ROOT, "**/*.hbs"),
+  path.join(TEMPLATES_ROOT, "**/*.css"),
+  path.join(LOCALES_DIR, "*.json"),
 ], {
   ignored: /(^|[\/\\])\../, // ignore dotfiles
   persistent: true,
@@ -280,6 +283,10 @@ watcher
 // Start server and then generate preview
 async function init() {
   try {
+    // Fail fast if report.hbs calls a helper its version's registry doesn't provide
+    const data = JSON.parse(await fs.readFile(DATA_FILE, "utf8"));
+    const { version, templatePath } = resolveReportTemplate(data, { templateVersion: cliOptions["template-version"] });
+    assertHelpersRegistered(getTemplateHandlebars(version), await fs.readFile(templatePath, "utf8"), path.basename(templatePath));
     await startServer();
     // Wait a bit for server to be ready
     await new Promise(resolve => setTimeout(resolve, 1000));
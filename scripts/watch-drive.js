@@ -0,0 +1,418 @@
+import fs from "fs-extra";
+import path from "path";
+import { parseArgs } from "util";
+import { setTimeout as sleep } from "timers/promises";
+import { generatePDF } from "./generate-report.js";
+import { BrowserPool } from "./browser-pool.js";
+import { createGoogleDriveClient, createFakeDriveClient, createDryRunDrive } from "./drive-client.js";
+import { processFiles, getDataFolderId, isJsonFile } from "./auto-generate-from-drive.js";
+import { SyncLedger, DEFAULT_LEDGER_PATH } from "./sync-ledger.js";
+import { FOLDER_MIME_TYPE, SHORTCUT_MIME_TYPE } from "./drive-listing.js";
+import { getConfig } from "../config/config.js";
+
+// Long-running alternative to auto-generate-from-drive.js: instead of listing
+// the whole data folder on every run, it follows the Drive Changes API from a
+// persisted cursor and only renders and uploads the JSONs that were added or
+// modified under data/. A status file records the last successful cycle so a
+// supervisor or health check can tell a stuck daemon from an idle one.
+
+export const DEFAULT_CURSOR_PATH = path.resolve("state", "drive-watch.json");
+export const DEFAULT_STATUS_PATH = path.resolve("state", "drive-watch-status.json");
+export const DEFAULT_INTERVAL_SECONDS = 30;
+
+const FILE_FIELDS = "id, name, mimeType, modifiedTime, md5Checksum, parents, trashed, shortcutDetails(targetId, targetMimeType)";
+const CHANGE_FIELDS = `nextPageToken, newStartPageToken, changes(fileId, removed, time, file(${FILE_FIELDS}))`;
+// Guards against parent cycles and absurdly deep trees when resolving paths
+const MAX_FOLDER_DEPTH = 50;
+
+function writeJsonAtomic(filePath, data) {
+  fs.ensureDirSync(path.dirname(filePath));
+  const tmp = `${filePath}.tmp`;
+  fs.writeJsonSync(tmp, data, { spaces: 2 });
+  fs.renameSync(tmp, filePath);
+}
+
+export class DriveWatcher {
+  /**
+   * @param {object} drive - Drive v3 client (googleapis, FakeDrive or dry-run wrapper)
+   * @param {object} options
+   * @param {string} options.folderId - Report folder containing data/
+   * @param {string} [options.outputFolderId] - Fallback PDF folder (default: folderId)
+   * @param {string} [options.jsonOutputFolderId] - Passed through to processFiles for the initial sync
+   * @param {number} [options.intervalSeconds] - Pause between polls
+   * @param {string} [options.cursorPath] - Where the Changes API page token is kept
+   * @param {string} [options.statusPath] - Health/status file, rewritten on every state change
+   * @param {(jsonPath: string, renderOptions: object) => Promise<string>} [options.generate] - Renderer (default: a warm BrowserPool);
+   *   see processFiles for the renderOptions it must apply
+   * @param {object} [options.processOptions] - Extra options for processFiles (localDir, ledger, retention, ...)
+   */
+  constructor(drive, {
+    folderId,
+    outputFolderId = folderId,
+    jsonOutputFolderId = folderId,
+    intervalSeconds = DEFAULT_INTERVAL_SECONDS,
+    cursorPath = DEFAULT_CURSOR_PATH,
+    statusPath = DEFAULT_STATUS_PATH,
+    generate,
+    processOptions = {},
+  }) {
+    this.drive = drive;
+    this.folderId = folderId;
+    this.outputFolderId = outputFolderId;
+    this.jsonOutputFolderId = jsonOutputFolderId;
+    this.intervalMs = intervalSeconds * 1000;
+    this.cursorPath = cursorPath;
+    this.statusPath = statusPath;
+    this.processOptions = { ledger: SyncLedger.load(DEFAULT_LEDGER_PATH), ...processOptions };
+
+    // Kept open between cycles so each change doesn't pay for a Chromium launch
+    this.pool = generate ? null : new BrowserPool({ size: 1 });
+    this.generate = generate || ((jsonPath, renderOptions) => this.pool.run((page) => generatePDF(jsonPath, { ...renderOptions, page })));
+
+    this.dataFolderId = null;
+    this.cursor = null;
+    this.stopping = false;
+    this.sleeper = null;
+    this.status = {
+      state: "starting",
+      pid: process.pid,
+      folderId,
+      startedAt: new Date().toISOString(),
+      intervalSeconds,
+      cycles: 0,
+      lastCycleAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastCycle: null,
+      totals: { changes: 0, processed: 0, uploaded: 0, errors: 0 },
+    };
+  }
+
+  #writeStatus(update = {}) {
+    Object.assign(this.status, update, { updatedAt: new Date().toISOString(), cursor: this.cursor?.pageToken || null });
+    writeJsonAtomic(this.statusPath, this.status);
+  }
+
+  // The cursor only applies to the folder it was taken for
+  #loadCursor() {
+    if (!fs.existsSync(this.cursorPath)) return null;
+    const saved = fs.readJsonSync(this.cursorPath);
+    if (saved.folderId !== this.folderId || !saved.pageToken) {
+      console.warn(`⚠️ Ignoring watch cursor for a different folder (${saved.folderId})`);
+      return null;
+    }
+    return { pageToken: saved.pageToken, retry: saved.retry || [] };
+  }
+
+  // Dry runs write nothing to Drive, so they must not move the cursor on disk either
+  #saveCursor() {
+    if (this.drive.dryRun) return;
+    writeJsonAtomic(this.cursorPath, {
+      folderId: this.folderId,
+      pageToken: this.cursor.pageToken,
+      retry: this.cursor.retry,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Path of a file relative to data/ (e.g. "clinic-a/report.json"), or null
+   * when none of its ancestors is the data folder.
+   */
+  async #pathUnderData(file, folders) {
+    const segments = [file.name];
+    let parentId = file.parents?.[0];
+    for (let depth = 0; parentId && depth < MAX_FOLDER_DEPTH; depth++) {
+      if (parentId === this.dataFolderId) return segments.join("/");
+      if (!folders.has(parentId)) {
+        folders.set(parentId, this.drive.files
+          .get({ fileId: parentId, fields: "id, name, parents", supportsAllDrives: true })
+          .then((res) => res.data)
+          .catch((err) => {
+            if (err.code === 404 || err.code === 403) return null;
+            throw err;
+          }));
+      }
+      const folder = await folders.get(parentId);
+      if (!folder) return null;
+      segments.unshift(folder.name);
+      parentId = folder.parents?.[0];
+    }
+    return null;
+  }
+
+  /**
+   * Turns changed Drive items into the files processFiles expects: live JSONs
+   * under data/ with a relativePath. Shortcuts in data/ are resolved to their
+   * target, keeping the shortcut's name as walkFolder does.
+   * (Edits to a shortcut's target outside data/ are only picked up by a full sync.)
+   */
+  async #relevantFiles(items) {
+    const folders = new Map();
+    const files = new Map();
+    for (const item of items) {
+      if (!item || item.trashed || item.mimeType === FOLDER_MIME_TYPE) continue;
+
+      let file = item;
+      if (item.mimeType === SHORTCUT_MIME_TYPE) {
+        const targetId = item.shortcutDetails?.targetId;
+        if (!targetId || item.shortcutDetails.targetMimeType === FOLDER_MIME_TYPE) continue;
+        try {
+          const res = await this.drive.files.get({ fileId: targetId, fields: FILE_FIELDS, supportsAllDrives: true });
+          if (res.data.trashed) continue;
+          file = { ...res.data, name: item.name, shortcutId: item.id };
+        } catch (err) {
+          if (err.code === 404 || err.code === 403) {
+            console.warn(`⚠️ Broken shortcut ${item.name} → ${targetId}`);
+            continue;
+          }
+          throw err;
+        }
+      }
+      if (!isJsonFile(file)) continue;
+
+      const relativePath = await this.#pathUnderData(item, folders);
+      if (relativePath) files.set(file.id, { ...file, relativePath });
+    }
+    return [...files.values()];
+  }
+
+  async #fetchRetries(ids) {
+    const items = [];
+    for (const fileId of ids) {
+      try {
+        const res = await this.drive.files.get({ fileId, fields: FILE_FIELDS, supportsAllDrives: true });
+        items.push(res.data);
+      } catch (err) {
+        if (err.code !== 404) throw err;
+      }
+    }
+    return items;
+  }
+
+  async #listChanges(pageToken) {
+    const items = [];
+    let changes = 0;
+    let token = pageToken;
+    for (;;) {
+      const res = await this.drive.changes.list({
+        pageToken: token,
+        fields: CHANGE_FIELDS,
+        pageSize: 1000,
+        includeRemoved: false,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      });
+      for (const change of res.data.changes || []) {
+        changes++;
+        if (!change.removed) items.push(change.file);
+      }
+      if (res.data.newStartPageToken) return { items, changes, newStartPageToken: res.data.newStartPageToken };
+      token = res.data.nextPageToken;
+    }
+  }
+
+  #recordCycle(cycle) {
+    const totals = this.status.totals;
+    totals.changes += cycle.changes;
+    totals.processed += cycle.processed;
+    totals.uploaded += cycle.uploaded;
+    totals.errors += cycle.errors;
+  }
+
+  // processFiles reports per-file problems; a failure of the whole run fails the cycle
+  async #process(options) {
+    const summary = await processFiles({
+      drive: this.drive,
+      folderId: this.folderId,
+      outputFolderId: this.outputFolderId,
+      jsonOutputFolderId: this.jsonOutputFolderId,
+      generate: this.generate,
+      ...this.processOptions,
+      ...options,
+    });
+    const runError = summary.errors.find((e) => e.file === "(run)");
+    if (runError) throw new Error(runError.error);
+    return summary;
+  }
+
+  // Failed files are retried next cycle; the ledger keeps the rest from being redone
+  #failedIds(summary) {
+    return [...new Set(summary.errors.map((e) => e.fileId).filter(Boolean))];
+  }
+
+  /**
+   * First run: take a start token *before* the full sync so nothing edited
+   * during it is missed, then process everything under data/.
+   */
+  async #initialSync() {
+    const res = await this.drive.changes.getStartPageToken({ supportsAllDrives: true });
+    console.log("🆕 No watch cursor yet — running a full sync first");
+    const summary = await this.#process({});
+    const retry = this.#failedIds(summary);
+    this.cursor = { pageToken: res.data.startPageToken, retry };
+    return {
+      changes: 0,
+      processed: summary.total,
+      uploaded: summary.uploaded.length,
+      errors: summary.errors.length,
+      retrying: retry.length,
+    };
+  }
+
+  /**
+   * One poll: read changes since the cursor, process the relevant JSONs and
+   * advance the cursor. A failed cycle leaves the cursor where it was.
+   */
+  async runCycle() {
+    const startedAt = new Date().toISOString();
+    this.#writeStatus({ state: "processing" });
+    try {
+      this.dataFolderId ||= await getDataFolderId(this.drive, this.folderId);
+      let cycle;
+      if (!this.cursor) {
+        cycle = await this.#initialSync();
+      } else {
+        const { items, changes, newStartPageToken } = await this.#listChanges(this.cursor.pageToken);
+        const retries = await this.#fetchRetries(this.cursor.retry);
+        const files = await this.#relevantFiles([...items, ...retries]);
+        let summary = null;
+        if (files.length) {
+          console.log(`🔔 ${files.length} changed JSON file(s) under data/:`);
+          files.forEach((f) => console.log(`   • ${f.relativePath}`));
+          summary = await this.#process({ files });
+        }
+        const retry = summary ? this.#failedIds(summary) : [];
+        this.cursor = { pageToken: newStartPageToken, retry };
+        cycle = {
+          changes,
+          processed: files.length,
+          uploaded: summary ? summary.uploaded.length : 0,
+          errors: summary ? summary.errors.length : 0,
+          retrying: retry.length,
+        };
+      }
+      this.#saveCursor();
+      this.#recordCycle(cycle);
+      this.#writeStatus({
+        state: "idle",
+        cycles: this.status.cycles + 1,
+        lastCycleAt: startedAt,
+        lastSuccessAt: new Date().toISOString(),
+        lastError: null,
+        lastCycle: cycle,
+      });
+      return cycle;
+    } catch (err) {
+      console.error(`❌ Watch cycle failed: ${err.message}`);
+      this.#writeStatus({
+        state: "error",
+        cycles: this.status.cycles + 1,
+        lastCycleAt: startedAt,
+        lastError: { message: err.message, at: new Date().toISOString() },
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Polls until stop() is called. With { once: true } runs a single cycle.
+   */
+  async run({ once = false } = {}) {
+    this.cursor = this.#loadCursor();
+    if (this.cursor) console.log(`📍 Resuming from saved cursor ${this.cursor.pageToken}`);
+    console.log(`👀 Watching Drive folder ${this.folderId} every ${this.intervalMs / 1000}s`);
+
+    try {
+      while (!this.stopping) {
+        await this.runCycle();
+        if (once || this.stopping) break;
+        this.sleeper = new AbortController();
+        try {
+          await sleep(this.intervalMs, undefined, { signal: this.sleeper.signal });
+        } catch (err) {
+          if (err.name !== "AbortError") throw err;
+        }
+      }
+    } finally {
+      if (this.pool) await this.pool.close();
+      this.#writeStatus({ state: "stopped", stoppedAt: new Date().toISOString() });
+      console.log("👋 Drive watcher stopped");
+    }
+  }
+
+  /** Asks the loop to finish: a running cycle completes, a pending sleep ends now. */
+  stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    this.#writeStatus({ state: "stopping" });
+    this.sleeper?.abort();
+  }
+}
+
+// ============================
+// 🧩 CLI Execution Guard
+// ============================
+// --fake-drive <dir>  watch a local Drive created with scripts/fake-drive.js
+// --dry-run           read changes and render locally, never write to Drive (cursor is not saved)
+// --once              run a single cycle and exit (e.g. from cron)
+// --interval <sec>    poll interval (default: WATCH_INTERVAL_SECONDS or 30)
+const isMainModule = process.argv[1] && import.meta.url.endsWith(path.basename(process.argv[1]));
+if (isMainModule) {
+  const { values } = parseArgs({
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      "fake-drive": { type: "string" },
+      once: { type: "boolean", default: false },
+      interval: { type: "string" },
+    },
+  });
+
+  (async () => {
+    const intervalSeconds = Number(values.interval ?? process.env.WATCH_INTERVAL_SECONDS ?? DEFAULT_INTERVAL_SECONDS);
+    if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+      throw new Error(`Invalid interval "${values.interval ?? process.env.WATCH_INTERVAL_SECONDS}" (expected a positive number of seconds)`);
+    }
+
+    let drive;
+    let folderId;
+    const fake = Boolean(values["fake-drive"]);
+    if (fake) {
+      drive = createFakeDriveClient(values["fake-drive"]);
+      folderId = drive.rootFolderId;
+      if (!folderId) throw new Error(`Fake Drive at ${values["fake-drive"]} has no folders; run scripts/fake-drive.js first.`);
+    } else {
+      const config = getConfig();
+      drive = await createGoogleDriveClient({ keyFile: config.keyFile, scopes: config.scopes });
+      folderId = config.driveFolderId;
+    }
+    if (values["dry-run"]) {
+      console.log("🧪 Dry run — nothing will be written to Drive.");
+      drive = createDryRunDrive(drive);
+    }
+
+    const watcher = new DriveWatcher(drive, {
+      folderId,
+      outputFolderId: (!fake && process.env.PDF_OUTPUT_FOLDER_ID) || folderId,
+      jsonOutputFolderId: (!fake && process.env.JSON_OUTPUT_FOLDER_ID) || folderId,
+      intervalSeconds,
+    });
+
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.on(signal, () => {
+        if (watcher.stopping) {
+          console.warn("⚠️ Forced exit");
+          process.exit(1);
+        }
+        console.log(`\n🛑 ${signal} received — finishing the current cycle...`);
+        watcher.stop();
+      });
+    }
+
+    await watcher.run({ once: values.once });
+    if (values.once && watcher.status.lastError) process.exitCode = 1;
+  })().catch((err) => {
+    console.error("❌ Drive watcher failed:", err.message);
+    process.exit(1);
+  });
+}
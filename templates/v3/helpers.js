@@ -0,0 +1,167 @@
+// Helpers as template v3 shipped with them. The shared helpers have since
+// moved on (calendar-day dates with a report timezone, localized dates, the
+// gauge level table); v3 renders keep these, registered over the shared ones.
+// Dates are formatted in the renderer's local time zone, as they were then.
+// Frozen: don't edit, add the change to the newest template instead.
+
+export function registerHelpers(Handlebars) {
+  // formatDate helper to format ISO dates
+  Handlebars.registerHelper("formatDate", function(dateString) {
+    if (!dateString) return "";
+    try {
+      const date = new Date(dateString);
+      if (isNaN(date.getTime())) return dateString;
+      return date.toISOString().split('T')[0]; // Returns YYYY-MM-DD
+    } catch (e) {
+      return dateString;
+    }
+  });
+
+  // Format date nicely (e.g., "2025-10-14T00:00:00.000Z" -> "October 14, 2025")
+  Handlebars.registerHelper("formatDateNice", function(dateString) {
+    if (!dateString) return "";
+    try {
+      const date = new Date(dateString);
+      if (isNaN(date.getTime())) return dateString;
+      return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    } catch (e) {
+      return dateString;
+    }
+  });
+
+  // Get current date formatted (@now, when a render pins it, stands in for the clock)
+  Handlebars.registerHelper("currentDate", function(options) {
+    const now = options.data?.now || new Date();
+    return now.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+  });
+
+  // Parse flexible date formats (handles both ISO and JS Date.toString() formats)
+  Handlebars.registerHelper("parseDate", function(dateString) {
+    if (!dateString) return "";
+    try {
+      const date = new Date(dateString);
+      if (isNaN(date.getTime())) return dateString;
+      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    } catch (e) {
+      return dateString;
+    }
+  });
+
+  // Filter tests by status and category (tests vs referrals), sorted by date (oldest first)
+  Handlebars.registerHelper("filterTestsByTypeAndStatus", function(tests, isReferral, status, options) {
+    if (!tests || !Array.isArray(tests)) return options.inverse(this);
+
+    const referralKeywords = ['referral', 'consultation'];
+
+    const filtered = tests.filter(t => {
+      // Check status match
+      if (!t.status || t.status.toLowerCase() !== status.toLowerCase()) return false;
+
+      // Check if it's a referral or test
+      const testName = (t.test_name || '').toLowerCase();
+      const isTestReferral = referralKeywords.some(keyword => testName.includes(keyword));
+
+      return isReferral ? isTestReferral : !isTestReferral;
+    });
+
+    if (filtered.length === 0) return options.inverse(this);
+
+    // Sort by date (oldest first)
+    filtered.sort((a, b) => {
+      const dateA = new Date(a.test_date || a.service_date || a.referral_date || 0);
+      const dateB = new Date(b.test_date || b.service_date || b.referral_date || 0);
+      return dateA - dateB;
+    });
+
+    return filtered.map(t => options.fn(t)).join('');
+  });
+
+  // Sort array by date field (oldest first)
+  Handlebars.registerHelper("sortByDate", function(array, dateField, options) {
+    if (!array || !Array.isArray(array)) return options.inverse(this);
+
+    const sorted = [...array].sort((a, b) => {
+      const dateA = new Date(a[dateField] || 0);
+      const dateB = new Date(b[dateField] || 0);
+      return dateA - dateB;
+    });
+
+    return sorted.map(item => options.fn(item)).join('');
+  });
+
+  // Calculate percentage for stage circle based on stage value
+  Handlebars.registerHelper("getStagePercent", function(stageValue) {
+    if (!stageValue) return 15;
+    const stage = stageValue.toLowerCase();
+
+    // Stage 0, I, IA, IB = Early = 15%
+    if (stage.includes('stage 0') || stage === 'stage i' || stage.includes('stage ia') || stage.includes('stage ib')) {
+      return 15;
+    }
+    // Stage II, IIA, IIB = Intermediate = 30%
+    if (stage.includes('stage ii')) {
+      return 30;
+    }
+    // Stage III, IIIA, IIIB, IIIC = Advanced = 45%
+    if (stage.includes('stage iii')) {
+      return 45;
+    }
+    // Stage IV = Metastatic = 60%
+    if (stage.includes('stage iv')) {
+      return 60;
+    }
+    return 15; // Default
+  });
+
+  // Calculate percentage for grade circle based on grade value
+  Handlebars.registerHelper("getGradePercent", function(gradeValue) {
+    if (!gradeValue) return 15;
+    const grade = gradeValue.toLowerCase();
+
+    // Grade 1 = Low = 15%
+    if (grade.includes('grade 1')) {
+      return 15;
+    }
+    // Grade 2 = Intermediate = 30%
+    if (grade.includes('grade 2')) {
+      return 30;
+    }
+    // Grade 3 = High = 45%
+    if (grade.includes('grade 3')) {
+      return 45;
+    }
+    // Grade X = Unknown = 15%
+    if (grade.includes('grade x')) {
+      return 15;
+    }
+    return 15; // Default
+  });
+
+  // Calculate percentage for HER2 circle based on HER2 status
+  Handlebars.registerHelper("getHER2Percent", function(her2Value) {
+    if (!her2Value) return 15;
+    const her2 = her2Value.toLowerCase();
+
+    // HER2 negative = Baseline = 15%
+    if (her2.includes('negative')) {
+      return 15;
+    }
+    // HER2 ultralow = Slight expression = 25%
+    if (her2.includes('ultralow')) {
+      return 25;
+    }
+    // HER2 low = Low expression = 35%
+    if (her2.includes('low') && !her2.includes('ultralow')) {
+      return 35;
+    }
+    // HER2 positive = High expression = 45%
+    if (her2.includes('positive')) {
+      return 45;
+    }
+    // Unknown = Not available = 15%
+    if (her2.includes('unknown')) {
+      return 15;
+    }
+    return 15; // Default
+  });
+}
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { BrowserPool } from "../scripts/browser-pool.js";
+import { RenderError } from "../scripts/errors.js";
+import { quiet } from "./helpers.js";
+
+// Just enough of puppeteer's Browser and Page for the pool
+class FakeBrowser extends EventEmitter {
+  constructor({ failNewPage = false } = {}) {
+    super();
+    this.failNewPage = failNewPage;
+    this.closed = false;
+  }
+
+  async newPage() {
+    if (this.failNewPage) throw new Error("Target closed");
+    let closed = false;
+    return { browser: () => this, isClosed: () => closed, crash: () => (closed = true) };
+  }
+
+  // Chromium dying: puppeteer emits "disconnected"
+  crash() {
+    this.emit("disconnected");
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit("disconnected");
+  }
+}
+
+describe("BrowserPool", () => {
+  let browsers;
+  let launch;
+
+  beforeEach(() => {
+    quiet();
+    browsers = [];
+    launch = async () => {
+      const browser = new FakeBrowser();
+      browsers.push(browser);
+      return browser;
+    };
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("queues callers in FIFO order when every page is busy", async () => {
+    const pool = new BrowserPool({ size: 1, launch });
+    const order = [];
+    let releaseFirst;
+    const first = pool.run(() => new Promise((resolve) => (releaseFirst = resolve)));
+    await new Promise(setImmediate);
+    const second = pool.run(async () => order.push("second"));
+    const third = pool.run(async () => order.push("third"));
+    await new Promise(setImmediate);
+    assert.equal(pool.busy, 1);
+    assert.equal(pool.queued, 2);
+
+    releaseFirst();
+    await Promise.all([first, second, third]);
+    assert.deepEqual(order, ["second", "third"]);
+    assert.equal(pool.busy, 0);
+    assert.equal(browsers.length, 1);
+    await pool.close();
+  });
+
+  it("replaces a crashed page so the pool keeps its size", async () => {
+    const pool = new BrowserPool({ size: 1, launch });
+    let crashed;
+    await pool.run(async (page) => {
+      crashed = page;
+      page.crash();
+    });
+    await pool.run(async (page) => assert.notEqual(page, crashed));
+    assert.equal(pool.idle.length, 1);
+    await pool.close();
+  });
+
+  it("rejects waiting callers when Chromium disconnects, then relaunches for the next render", async () => {
+    const pool = new BrowserPool({ size: 1, launch });
+    let crashRender;
+    const inFlight = pool.run(() => new Promise((resolve, reject) => (crashRender = reject)));
+    await new Promise(setImmediate);
+    const waiting = pool.run(async () => "never");
+    await new Promise(setImmediate);
+
+    browsers[0].crash();
+    await assert.rejects(waiting, (err) => err instanceof RenderError && /disconnected/.test(err.message));
+    crashRender(new Error("Target closed"));
+    await assert.rejects(inFlight, /Target closed/);
+    assert.equal(pool.browser, null);
+    assert.equal(pool.busy, 0);
+
+    assert.equal(await pool.run(async (page) => page.browser() === browsers[1]), true);
+    assert.equal(browsers.length, 2);
+    await pool.close();
+  });
+
+  it("closes the browser and lets the next call retry when opening pages fails", async () => {
+    let attempts = 0;
+    const flaky = async () => {
+      const browser = new FakeBrowser({ failNewPage: ++attempts === 1 });
+      browsers.push(browser);
+      return browser;
+    };
+    const pool = new BrowserPool({ size: 2, launch: flaky });
+
+    await assert.rejects(pool.start(), (err) => err instanceof RenderError && /Target closed/.test(err.message));
+    assert.equal(browsers[0].closed, true, "the half-started browser is not leaked");
+    assert.equal(pool.starting, null);
+
+    await pool.start();
+    assert.equal(pool.browser, browsers[1]);
+    await pool.close();
+  });
+
+  it("rejects waiting callers on close", async () => {
+    const pool = new BrowserPool({ size: 1, launch });
+    let finish;
+    const inFlight = pool.run(() => new Promise((resolve) => (finish = resolve)));
+    await new Promise(setImmediate);
+    const waiting = pool.run(async () => "never");
+    await new Promise(setImmediate);
+
+    await pool.close();
+    await assert.rejects(waiting, /Browser pool closed/);
+    finish();
+    await inFlight;
+    assert.equal(pool.busy, 0);
+    assert.equal(browsers[0].closed, true);
+  });
+
+  it("doesn't keep a browser that finished launching after close()", async () => {
+    let finishLaunch;
+    const slow = () => new Promise((resolve) => (finishLaunch = () => resolve(new FakeBrowser())));
+    const pool = new BrowserPool({ size: 1, launch: slow });
+    const starting = pool.start();
+    await pool.close();
+    finishLaunch();
+
+    await assert.rejects(starting, /closed while starting/);
+    assert.equal(pool.browser, null);
+  });
+});
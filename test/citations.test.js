@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { buildCitationIndex } from "../scripts/citations.js";
+import { hasMessage } from "../scripts/i18n.js";
+
+const DATA_DIR = path.resolve(import.meta.dirname, "../data");
+const readReport = (file) => JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), "utf8"));
+const labelsOf = (index) => index.groups.flatMap((group) => group.citations.flatMap((citation) => citation.items.map((item) => item.label)));
+
+describe("citation labels", () => {
+  it("names cited facts in the report's locale", () => {
+    const report = readReport("jennifer-rodriguez-complete.json");
+    const english = labelsOf(buildCitationIndex(report, { locale: "en" }));
+    const spanish = labelsOf(buildCitationIndex(report, { locale: "es" }));
+
+    assert.ok(english.includes("Tumor 1: Overall grade"));
+    assert.ok(spanish.includes("Tumor 1: Grado general"));
+    for (const label of ["Overall grade", "Stage type", "Cancer type", "Test"]) {
+      assert.ok(!spanish.some((text) => text === label || text.endsWith(`: ${label}`)), `"${label}" in a Spanish render`);
+    }
+  });
+
+  // So a field the fixtures start citing can't fall back to its English JSON key
+  it("has a catalog message for every field the fixtures cite", () => {
+    for (const file of fs.readdirSync(DATA_DIR).filter((name) => name.endsWith(".json"))) {
+      for (const group of buildCitationIndex(readReport(file)).groups) {
+        for (const { items } of group.citations) {
+          for (const { path: fieldPath } of items) {
+            const key = fieldPath.match(/\.(\w+)$/)?.[1];
+            if (key) assert.ok(hasMessage(`sources.fields.${key}`), `${file}: ${fieldPath} has no sources.fields.${key} message`);
+          }
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { parseClinicalDate, formatClinicalDate, compareClinicalDates, today, toISODate } from "../scripts/clinical-dates.js";
+
+// Clinical dates are calendar days: each case must read the same whatever the
+// renderer's TZ, so the whole suite runs once per host time zone
+const HOST_TIMEZONES = ["UTC", "America/Los_Angeles", "Asia/Tokyo"];
+
+const parsed = (value, options) => {
+  const date = parseClinicalDate(value, options);
+  return date && toISODate(date);
+};
+
+for (const hostTimezone of HOST_TIMEZONES) {
+  describe(`clinical dates with TZ=${hostTimezone}`, () => {
+    let previousTimezone;
+
+    before(() => {
+      previousTimezone = process.env.TZ;
+      process.env.TZ = hostTimezone;
+    });
+    after(() => {
+      if (previousTimezone === undefined) delete process.env.TZ;
+      else process.env.TZ = previousTimezone;
+    });
+
+    it("keeps the day of ISO dates, including ones serialized at UTC midnight", () => {
+      assert.equal(parsed("2025-08-06"), "2025-08-06");
+      assert.equal(parsed("2025-10-14T00:00:00.000Z"), "2025-10-14");
+      assert.equal(parsed("2025-10-14T00:00:00.000Z", { timezone: "Pacific/Honolulu" }), "2025-10-14");
+      assert.equal(parsed("2025-10-14T09:30:00"), "2025-10-14", "no offset: a local date and time");
+    });
+
+    it("keeps the day a Date.toString() date of birth names, whatever zone wrote it", () => {
+      assert.equal(parsed("Thu Aug 28 1975 17:00:00 GMT-0700 (Pacific Daylight Time)"), "1975-08-28");
+      assert.equal(parsed("Thu Aug 28 1975 00:00:00 GMT+0900 (Japan Standard Time)"), "1975-08-28");
+      assert.equal(formatClinicalDate("Thu Aug 28 1975 17:00:00 GMT-0700 (Pacific Daylight Time)", { locale: "en" }), "August 28, 1975");
+    });
+
+    it("places non-midnight instants on the report's calendar", () => {
+      assert.equal(parsed("2025-12-05T03:43:12.103Z"), "2025-12-04", "Pacific time by default");
+      assert.equal(parsed("2025-12-05T03:43:12.103Z", { timezone: "Asia/Tokyo" }), "2025-12-05");
+      assert.equal(parsed("2025-12-05T03:43:12+09:00", { timezone: "UTC" }), "2025-12-04");
+      assert.equal(parsed(new Date("2025-12-05T03:43:12.103Z"), { timezone: "UTC" }), "2025-12-05");
+      assert.equal(toISODate(today("America/Los_Angeles", new Date("2026-03-15T05:00:00Z"))), "2026-03-14");
+    });
+
+    it("reads written-out and numeric dates", () => {
+      assert.equal(parsed("October 12, 2025"), "2025-10-12");
+      assert.equal(parsed("Nov. 5 2025"), "2025-11-05");
+      assert.equal(parsed("12 October 2025"), "2025-10-12");
+      assert.equal(parsed("10/12/2025"), "2025-10-12");
+      assert.equal(formatClinicalDate("2025-10-14", { locale: "es", format: "long" }), "14 de octubre de 2025");
+      assert.equal(formatClinicalDate("10/12/2025", { format: "short" }), "Oct 12, 2025");
+    });
+
+    it("rejects impossible days and passes unrecognized text through", () => {
+      for (const value of ["2025-02-30", "2025-02-30T00:00:00.000Z", "2/30/2025", "February 30, 2025", "2024-13-01"]) {
+        assert.equal(parseClinicalDate(value), null, value);
+        assert.equal(formatClinicalDate(value), value, value);
+      }
+      assert.equal(parsed("2024-02-29"), "2024-02-29", "leap day");
+      for (const value of ["Week of Nov 10", "pending", "Smarch 3, 2025", ""]) {
+        assert.equal(parseClinicalDate(value), null, value);
+        assert.equal(formatClinicalDate(value), value, value);
+      }
+    });
+
+    it("sorts by calendar day, with missing and unrecognized dates first", () => {
+      const dates = ["2025-10-14T00:00:00.000Z", "pending", "Oct 13, 2025", "10/15/2025", "", "2025-10-14"];
+      assert.deepEqual([...dates].sort(compareClinicalDates), ["pending", "", "Oct 13, 2025", "2025-10-14T00:00:00.000Z", "2025-10-14", "10/15/2025"]);
+    });
+  });
+}
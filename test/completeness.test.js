@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { COMPLETENESS_RULES, findCompletenessGaps, applyCompletenessPolicy, resolveCompletenessPolicy } from "../scripts/completeness.js";
+import { renderReportHtml } from "../scripts/generate-report.js";
+import { listTemplateVersions, getTemplateDir } from "../scripts/template-registry.js";
+import { ReportDataError } from "../scripts/errors.js";
+
+const FIXTURE = path.resolve(import.meta.dirname, "../data/jennifer-rodriguez-complete.json");
+const FALLBACK = "Not yet available. Your care team will go over this with you.";
+
+// The fixture with the explanation of "Breast MRI" (to consider) and of "OncotypeDX" (completed) removed
+function reportMissingTestExplanations() {
+  const data = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  const tests = data.testing_and_consultations.tests;
+  const mri = tests.findIndex((test) => test.test_name === "Breast MRI");
+  const oncotype = tests.findIndex((test) => test.test_name === "OncotypeDX");
+  tests[mri].explanation = "";
+  delete tests[oncotype].explanation;
+  return { data, mri };
+}
+
+// The description paragraph printed under a "to consider" test
+function descriptionOf(html, testName) {
+  const item = html.split('<div class="likely-test-item">').find((chunk) => chunk.includes(`<h4 class="likely-test-name">${testName}`));
+  return item?.match(/<p class="likely-test-description">([\s\S]*?)<\/p>/)?.[1] ?? null;
+}
+
+describe("completeness preflight", () => {
+  it("reports a missing explanation on a test to consider, but not on a completed one", () => {
+    const { data, mri } = reportMissingTestExplanations();
+    const gaps = findCompletenessGaps(data).filter((gap) => gap.rule === "test.explanation");
+    assert.deepEqual(gaps, [
+      { rule: "test.explanation", section: "next_steps", path: `testing_and_consultations.tests[${mri}].explanation` },
+    ]);
+  });
+
+  it("applies the policy to test explanations: block fails, fallback prints neutral copy, hide drops the description", () => {
+    const { data } = reportMissingTestExplanations();
+    assert.throws(
+      () => applyCompletenessPolicy(data, resolveCompletenessPolicy({ default: "fallback", rules: { "test.explanation": "block" } })),
+      (err) => err instanceof ReportDataError && err.code === "INCOMPLETE_REPORT" && /tests\[\d+\]\.explanation \(next_steps\)/.test(err.message),
+    );
+
+    const fallback = renderReportHtml(data, { completenessPolicy: "fallback" }).html;
+    assert.equal(descriptionOf(fallback, "Breast MRI").trim(), FALLBACK);
+
+    const hidden = renderReportHtml(data, { completenessPolicy: { default: "fallback", rules: { "test.explanation": "hide" } } }).html;
+    assert.equal(descriptionOf(hidden, "Breast MRI"), null);
+    assert.match(hidden, /<h4 class="likely-test-name">Breast MRI/, "the test itself is still listed");
+  });
+
+  // Derived from the templates, so a new explanation block can't ship without a rule
+  it("puts every explanation the templates print inside a completenessBlock for a known rule", () => {
+    const ruleIds = new Set(COMPLETENESS_RULES.map((rule) => rule.id));
+    for (const version of listTemplateVersions()) {
+      const source = fs.readFileSync(path.join(getTemplateDir(version), "report.hbs"), "utf8");
+      // v3 predates the completeness policy and is frozen
+      if (!source.includes("{{#completenessBlock")) continue;
+      const open = [];
+      for (const [mustache] of source.matchAll(/\{\{[\s\S]*?\}\}/g)) {
+        const block = mustache.match(/^\{\{#completenessBlock "([^"]+)"(.*)\}\}$/s);
+        if (block) {
+          assert.ok(ruleIds.has(block[1]), `v${version}: unknown completeness rule "${block[1]}"`);
+          open.push(block[2]);
+          continue;
+        }
+        if (mustache.startsWith("{{/completenessBlock")) {
+          open.pop();
+          continue;
+        }
+        // Quoted strings are message keys ({{t "tumor.explanation"}}), not data
+        for (const [reference] of mustache.replace(/"[^"]*"/g, "").matchAll(/[\w@.]+\.explanation\b/g)) {
+          assert.ok(
+            open.some((args) => args.split(/\s+/).includes(reference)),
+            `v${version}: ${reference} is printed outside a completenessBlock that checks it`,
+          );
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { deidentifyReport } from "../scripts/deidentify.js";
+
+const FIXTURE = path.resolve(import.meta.dirname, "../data/jennifer-rodriguez-complete.json");
+const SEED = "test-seed";
+const ID_KEYS = new Set(["patient_id", "humanReadableId", "patientId"]);
+const DAY = 24 * 60 * 60 * 1000;
+
+// The date shapes in the fixtures: 2025-10-14(T...), Aug 28 1975, October 14, 2025, 10/14/2025, 14 October 2025
+const DATE = /\d{4}-\d{2}-\d{2}|\b[A-Z][a-z]{2,8}\.? \d{1,2},? \d{4}\b|\b\d{1,2}\/\d{1,2}\/\d{4}\b|\b\d{1,2} [A-Z][a-z]{2,8}\.?,? \d{4}\b/g;
+
+const readReport = () => JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+const dayOf = (date) => (/^\d{4}-/.test(date) ? Date.parse(date) : Date.parse(`${date} UTC`)) / DAY;
+
+// Every string and number in the de-identified copy next to the original it came from
+function* pairs(original, copy, key) {
+  if (ID_KEYS.has(key)) return;
+  if (copy && typeof copy === "object") {
+    for (const childKey of Object.keys(copy)) {
+      yield* pairs(original[childKey], copy[childKey], childKey === "value" ? key : childKey);
+    }
+    return;
+  }
+  yield [original, copy];
+}
+
+describe("deidentifyReport", () => {
+  it("keeps clinical numbers and moves every date by the same offset, even for a short patient id", () => {
+    const report = readReport();
+    report.patient_id = "42";
+    report.general_info.humanReadableId.value = "7";
+    report.general_info.feelingNow.value = "Ki-67 42%, tumor 42 mm, 7 of 12 nodes";
+
+    const { data } = deidentifyReport(report, { seed: SEED });
+    assert.notEqual(data.patient_id, "42");
+    assert.notEqual(data.general_info.humanReadableId.value, "7");
+    assert.equal(data.general_info.feelingNow.value, "Ki-67 42%, tumor 42 mm, 7 of 12 nodes");
+
+    const shifts = new Set();
+    for (const [original, copy] of pairs(report, data)) {
+      if (typeof original !== "string") {
+        assert.equal(copy, original);
+        continue;
+      }
+      assert.deepEqual(copy.replace(DATE, "").match(/\d+/g), original.replace(DATE, "").match(/\d+/g), original);
+      const dates = [original.match(DATE) ?? [], copy.match(DATE) ?? []];
+      assert.equal(dates[1].length, dates[0].length, original);
+      dates[0].forEach((date, index) => shifts.add(dayOf(date) - dayOf(dates[1][index])));
+    }
+    assert.equal(shifts.size, 1, `one offset for every date, got ${[...shifts]}`);
+    const [shift] = shifts;
+    assert.ok(shift >= 30 && shift <= 365, `shifted back ${shift} days`);
+  });
+
+  it("replaces distinctive ids in narrative text too", () => {
+    const report = readReport();
+    report.patient_id = "PT-54321";
+    report.general_info.feelingNow.value = "Chart PT-54321: Ki-67 42%";
+
+    const { data } = deidentifyReport(report, { seed: SEED });
+    assert.equal(data.general_info.feelingNow.value, `Chart ${data.patient_id}: Ki-67 42%`);
+    assert.notEqual(data.patient_id, "PT-54321");
+  });
+});
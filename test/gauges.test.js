@@ -0,0 +1,47 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { renderReportHtml } from "../scripts/generate-report.js";
+import { listTemplateVersions } from "../scripts/template-registry.js";
+
+// What the stage gauge draws is clinical output: test/gauge-baselines/v<N>.json
+// holds the ring (--progress) and text alternative the latest template renders
+// for each stage. Changing them is a reviewed change; record a new baseline
+// with UPDATE_GAUGE_BASELINES=1 npm test after deleting the old one.
+
+const FIXTURE = path.resolve(import.meta.dirname, "../data/jennifer-rodriguez-complete.json");
+const BASELINES_DIR = path.resolve(import.meta.dirname, "gauge-baselines");
+const STAGES = ["Stage 0", "Stage I", "Stage IA", "Stage IIA", "Stage IIB", "Stage IIIA", "Stage IIIC", "Stage IV", "Unknown", ""];
+
+// The first ring in the report is the stage gauge of the diagnosis overview
+function stageGauge(version, stage) {
+  const data = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  data.diagnosis.stage.value = stage;
+  const { html } = renderReportHtml(data, { templateVersion: version });
+  const tag = html.match(/<div class="circular-progress"[^>]*>/)[0];
+  return {
+    progress: Number(tag.match(/--progress: (\d+)/)[1]),
+    ...(tag.includes("aria-label=") && { label: tag.match(/aria-label="([^"]*)"/)[1] }),
+  };
+}
+
+describe("stage gauge", () => {
+  const latest = listTemplateVersions().at(-1);
+
+  it(`draws and labels every stage in v${latest} as in its baseline`, () => {
+    const gauges = Object.fromEntries(STAGES.map((stage) => [stage, stageGauge(latest, stage)]));
+    const baselinePath = path.join(BASELINES_DIR, `v${latest}.json`);
+    if (!fs.existsSync(baselinePath) && process.env.UPDATE_GAUGE_BASELINES) {
+      fs.mkdirSync(BASELINES_DIR, { recursive: true });
+      fs.writeFileSync(baselinePath, `${JSON.stringify(gauges, null, 2)}\n`);
+    }
+    assert.ok(fs.existsSync(baselinePath), `v${latest} has no ${path.relative(process.cwd(), baselinePath)}`);
+    assert.deepEqual(gauges, JSON.parse(fs.readFileSync(baselinePath, "utf8")));
+  });
+
+  it("keeps the 30% Stage III ring in v3 PDFs", () => {
+    assert.deepEqual(stageGauge(3, "Stage IIIA"), { progress: 30 });
+    assert.deepEqual(stageGauge(3, "Stage IIA"), { progress: 30 });
+  });
+});
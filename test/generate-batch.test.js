@@ -0,0 +1,28 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { expandInputs } from "../scripts/generate-batch.js";
+
+describe("expandInputs", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "dh-inputs-test-"));
+    for (const name of ["a.json", "a.migrated.json", "b.json", "notes.txt"]) fs.writeFileSync(path.join(dir, name), "{}");
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("skips migrated copies when listing directories and globs", () => {
+    const expected = [path.join(dir, "a.json"), path.join(dir, "b.json")];
+    assert.deepEqual(expandInputs([dir]), expected);
+    assert.deepEqual(expandInputs([path.join(dir, "*.json")]), expected);
+  });
+
+  it("keeps migrated copies named outright or asked for", () => {
+    const migrated = path.join(dir, "a.migrated.json");
+    assert.deepEqual(expandInputs([migrated]), [migrated]);
+    assert.ok(expandInputs([dir], { includeMigrated: true }).includes(migrated));
+  });
+});
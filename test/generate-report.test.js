@@ -0,0 +1,47 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { generatePDF } from "../scripts/generate-report.js";
+import { getBlankPdf, quiet } from "./helpers.js";
+
+const FIXTURE = path.resolve(import.meta.dirname, "../data/jennifer-rodriguez-complete.json");
+const ENCRYPTION = { password: { rule: "dob", format: "MMDDYYYY" } };
+
+// Just enough of a puppeteer Page for a continuous render: no anchors, a one-page PDF
+const page = {
+  goto: async () => {},
+  setViewport: async () => {},
+  evaluate: async (fn, arg) => (arg === undefined ? 1000 : {}),
+  pdf: () => getBlankPdf(),
+};
+
+describe("generatePDF", () => {
+  let outputRoot;
+
+  beforeEach(() => {
+    quiet();
+    outputRoot = fs.mkdtempSync(path.join(os.tmpdir(), "dh-generate-test-"));
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(outputRoot, { recursive: true, force: true });
+  });
+
+  it("writes the preview, data and completeness copies next to a plain render", async () => {
+    await generatePDF(FIXTURE, { page, outputRoot });
+    const [patientDir] = fs.readdirSync(path.join(outputRoot, "previews"));
+    const copies = fs.readdirSync(path.join(outputRoot, "previews", patientDir)).map((file) => file.replace(patientDir, ""));
+    assert.deepEqual(copies.sort(), ["-completeness.json", "-data.json", "-preview.html"]);
+  });
+
+  it("writes no plaintext copies of an encrypted render unless asked to", async () => {
+    const outputPath = await generatePDF(FIXTURE, { page, outputRoot, encryption: ENCRYPTION });
+    assert.ok(fs.existsSync(outputPath));
+    assert.equal(fs.existsSync(path.join(outputRoot, "previews")), false);
+
+    await generatePDF(FIXTURE, { page, outputRoot, encryption: ENCRYPTION, plaintextPreviews: true });
+    assert.equal(fs.readdirSync(path.join(outputRoot, "previews")).length, 1);
+  });
+});
@@ -0,0 +1,82 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { mock } from "node:test";
+import { PDFDocument } from "@cantoo/pdf-lib";
+import { FakeDrive } from "../scripts/fake-drive.js";
+import { SyncLedger } from "../scripts/sync-ledger.js";
+import { encryptPdf } from "../scripts/pdf-encryption.js";
+
+// Shared fixtures for the Drive pipeline specs: a FakeDrive laid out like the
+// real report folder (Reports/ with data/ and output/), a fresh ledger and a
+// stub renderer, all under one temporary directory.
+
+let blankPdf;
+
+/** A one-page PDF, enough for publishPdf's draft and encryption checks. */
+export async function getBlankPdf() {
+  if (!blankPdf) {
+    const doc = await PDFDocument.create();
+    doc.addPage();
+    blankPdf = Buffer.from(await doc.save());
+  }
+  return blankPdf;
+}
+
+/** A report JSON with only what the sync reads (patient_id, pdf_folder_id). */
+export function makeReport(patientId, extra = {}) {
+  return { patient_id: patientId, general_info: { fname: { value: "Test" }, lname: { value: patientId } }, ...extra };
+}
+
+/** Silences the pipeline's progress logging for the rest of the test. */
+export function quiet() {
+  for (const method of ["log", "warn", "error"]) mock.method(console, method, () => {});
+}
+
+/**
+ * @param {Record<string, object>} reports - data/ contents by file name
+ * @returns {Promise<object>} drive, folder ids, localDir, ledger, stub generate and the list of rendered JSON paths
+ */
+export async function createSandbox(reports = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dh-sync-test-"));
+  const drive = new FakeDrive(path.join(dir, "drive"));
+  const folderId = drive.addFolder("Reports");
+  const dataFolderId = drive.addFolder("data", folderId);
+  drive.addFolder("output", folderId);
+  const fileIds = {};
+  for (const [name, report] of Object.entries(reports)) fileIds[name] = drive.addFile(name, dataFolderId, report);
+
+  const outputDir = path.join(dir, "output");
+  const rendered = [];
+  const sandbox = {
+    dir,
+    drive,
+    folderId,
+    dataFolderId,
+    fileIds,
+    localDir: path.join(dir, "data"),
+    ledger: new SyncLedger(path.join(dir, "state", "sync-ledger.json")),
+    rendered,
+    // Names (without .json) whose render throws
+    failing: new Set(),
+    // Stands in for generatePDF: one PDF per JSON, named after it, encrypted when the options ask for it
+    async generate(jsonPath, options = {}) {
+      const name = path.basename(jsonPath, ".json");
+      if (sandbox.failing.has(name)) throw new Error(`render failed for ${name}`);
+      rendered.push(name);
+      fs.ensureDirSync(outputDir);
+      const pdfPath = path.join(outputDir, `${name}.pdf`);
+      const pdf = await getBlankPdf();
+      fs.writeFileSync(pdfPath, options.encryption ? await encryptPdf(pdf, { userPassword: "test" }) : pdf);
+      return pdfPath;
+    },
+    /** Non-trashed PDFs in a folder. */
+    pdfsIn(parentId) {
+      return drive.allFiles().filter((f) => f.mimeType === "application/pdf" && f.parents.includes(parentId));
+    },
+    cleanup() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+  return sandbox;
+}
@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { processFiles } from "../scripts/auto-generate-from-drive.js";
+import { ARCHIVE_FOLDER_NAME } from "../scripts/pdf-publisher.js";
+import { resolveEncryptionPolicy, isEncryptedPdf } from "../scripts/pdf-encryption.js";
+import { createSandbox, makeReport, quiet } from "./helpers.js";
+
+describe("processFiles against a FakeDrive", () => {
+  let sandbox;
+  const run = (options = {}) =>
+    processFiles({
+      drive: sandbox.drive,
+      folderId: sandbox.folderId,
+      localDir: sandbox.localDir,
+      forceUpload: false,
+      generate: sandbox.generate,
+      ledger: sandbox.ledger,
+      retention: { mode: "revisions", keep: 5 },
+      ...options,
+    });
+
+  beforeEach(async () => {
+    quiet();
+    sandbox = await createSandbox({ "a.json": makeReport("A"), "b.json": makeReport("B") });
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    sandbox.cleanup();
+  });
+
+  it("renders and uploads every JSON under data/, then skips them while nothing changes", async () => {
+    const first = await run();
+    assert.deepEqual(first.errors, []);
+    assert.equal(first.uploaded.length, 2);
+    assert.deepEqual(sandbox.rendered.sort(), ["a", "b"]);
+
+    const pdfs = sandbox.pdfsIn(sandbox.folderId);
+    assert.deepEqual(pdfs.map((f) => f.appProperties.patient_id).sort(), ["A", "B"]);
+    const entry = sandbox.ledger.get(sandbox.fileIds["a.json"]);
+    assert.equal(entry.pdfFileId, pdfs.find((f) => f.name === "a.pdf").id);
+    assert.ok(entry.templateHash);
+    assert.ok(fs.existsSync(sandbox.ledger.filePath), "the ledger is saved after each upload");
+
+    const second = await run();
+    assert.deepEqual(second.skipped.sort(), ["a.json", "b.json"]);
+    assert.equal(second.uploaded.length, 0);
+    assert.equal(sandbox.rendered.length, 2);
+  });
+
+  it("regenerates only the report whose JSON changed on Drive, replacing its PDF in place", async () => {
+    await run();
+    const before = sandbox.pdfsIn(sandbox.folderId).find((f) => f.name === "a.pdf");
+    await sandbox.drive.files.update({
+      fileId: sandbox.fileIds["a.json"],
+      media: { mimeType: "application/json", body: JSON.stringify(makeReport("A", { note: "edited" })) },
+    });
+
+    const summary = await run();
+    assert.deepEqual(sandbox.rendered.slice(2), ["a"]);
+    assert.deepEqual(summary.skipped, ["b.json"]);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(sandbox.localDir, "a.json"), "utf8")).note, "edited");
+
+    const after = sandbox.pdfsIn(sandbox.folderId).filter((f) => f.name === "a.pdf");
+    assert.equal(after.length, 1);
+    assert.equal(after[0].id, before.id, "the Drive file (and its shared link) is kept");
+    const { data } = await sandbox.drive.revisions.list({ fileId: before.id });
+    assert.equal(data.revisions.length, 2);
+  });
+
+  it("regenerates reports rendered with a different template", async () => {
+    await run();
+    sandbox.ledger.record(sandbox.fileIds["b.json"], { templateHash: "0000000000000000" });
+
+    await run();
+    assert.deepEqual(sandbox.rendered.slice(2), ["b"]);
+  });
+
+  it("keeps at most PDF_KEEP_VERSIONS revisions in revisions mode", async () => {
+    for (let i = 0; i < 4; i++) await run({ forceUpload: true, retention: { mode: "revisions", keep: 2 } });
+
+    const [pdf] = sandbox.pdfsIn(sandbox.folderId).filter((f) => f.name === "a.pdf");
+    const { data } = await sandbox.drive.revisions.list({ fileId: pdf.id });
+    assert.equal(data.revisions.length, 2);
+  });
+
+  it("copies superseded PDFs into archive/ in archive mode, pruned to the limit", async () => {
+    for (let i = 0; i < 4; i++) await run({ forceUpload: true, retention: { mode: "archive", keep: 2 } });
+
+    const archive = sandbox.drive.allFiles().find((f) => f.name === ARCHIVE_FOLDER_NAME);
+    assert.ok(archive, "archive/ is created in the output folder");
+    assert.deepEqual(archive.parents, [sandbox.folderId]);
+    // The live PDF counts as one of the kept versions
+    const archived = sandbox.pdfsIn(archive.id).filter((f) => f.appProperties.patient_id === "A");
+    assert.equal(archived.length, 1);
+    assert.equal(sandbox.pdfsIn(sandbox.folderId).filter((f) => f.name === "a.pdf").length, 1);
+  });
+
+  it("routes PDFs to each report's pdf_folder_id and falls back when the folder can't be used", async () => {
+    const patientFolder = sandbox.drive.addFolder("Patient C", sandbox.folderId);
+    const viewerFolder = sandbox.drive.addFolder("Patient D", sandbox.folderId, { readOnly: true });
+    sandbox.drive.addFile("c.json", sandbox.dataFolderId, makeReport("C", { pdf_folder_id: patientFolder }));
+    sandbox.drive.addFile("d.json", sandbox.dataFolderId, makeReport("D", { pdf_folder_id: viewerFolder }));
+    sandbox.drive.addFile("e.json", sandbox.dataFolderId, makeReport("E", { pdf_folder_id: "no-such-folder" }));
+
+    const summary = await run();
+    assert.deepEqual(summary.errors, []);
+    assert.deepEqual(sandbox.pdfsIn(patientFolder).map((f) => f.name), ["c.pdf"]);
+    assert.deepEqual(sandbox.pdfsIn(sandbox.folderId).map((f) => f.name).sort(), ["a.pdf", "b.pdf", "d.pdf", "e.pdf"]);
+    assert.deepEqual(
+      summary.routing.fallbacks.map((f) => [f.file, f.reason]).sort(),
+      [
+        ["d.json", "no write access"],
+        ["e.json", "folder not found or not shared with the service account"],
+      ],
+    );
+  });
+
+  it("uploads local-only JSONs with their PDF and skips them once recorded", async () => {
+    fs.ensureDirSync(sandbox.localDir);
+    fs.writeJsonSync(path.join(sandbox.localDir, "local.json"), makeReport("L"));
+
+    await run();
+    const uploadedJson = sandbox.drive.allFiles().find((f) => f.name === "local.json");
+    assert.deepEqual(uploadedJson.parents, [sandbox.folderId]);
+    assert.ok(sandbox.ledger.get("local:local.json").pdfFileId);
+
+    // Now on Drive under the root folder, not data/, so the next listing still treats it as local-only
+    const summary = await run();
+    assert.ok(summary.skipped.includes("local.json"));
+    assert.equal(sandbox.rendered.filter((name) => name === "local").length, 1);
+  });
+
+  it("records failed renders with their Drive id and retries them on the next run", async () => {
+    sandbox.failing.add("a");
+    const first = await run();
+    assert.deepEqual(first.errors.map((e) => e.fileId), [sandbox.fileIds["a.json"]]);
+    assert.equal(sandbox.ledger.get(sandbox.fileIds["a.json"]), null);
+
+    sandbox.failing.clear();
+    const second = await run();
+    assert.deepEqual(second.errors, []);
+    assert.deepEqual(sandbox.rendered, ["b", "a"]);
+  });
+
+  it("processes only the given files when the watcher passes them", async () => {
+    const [file] = (await sandbox.drive.files.list({ q: `'${sandbox.dataFolderId}' in parents and name='b.json'` })).data.files;
+    const details = (await sandbox.drive.files.get({ fileId: file.id, fields: "id, name, modifiedTime, md5Checksum" })).data;
+
+    const summary = await run({ files: [{ ...details, relativePath: "b.json" }] });
+    assert.equal(summary.total, 1);
+    assert.deepEqual(sandbox.rendered, ["b"]);
+  });
+
+  it("renders encrypted PDFs when the policy requires encryption, and refuses to upload unencrypted ones", async () => {
+    const encryption = resolveEncryptionPolicy({ required: true });
+    // Plus a report that is only on disk, which takes the local-only path
+    fs.outputJsonSync(path.join(sandbox.localDir, "c.json"), makeReport("C"));
+    const summary = await run({ encryption });
+    assert.deepEqual(summary.errors, []);
+    assert.deepEqual(summary.uploaded.map((u) => u.file).sort(), ["a.pdf", "b.pdf", "c.pdf"]);
+    for (const pdf of sandbox.pdfsIn(sandbox.folderId)) assert.ok(await isEncryptedPdf(sandbox.drive.readContent(pdf.id)));
+
+    // A renderer that ignores the options it is given never gets a PDF onto Drive
+    const ignoring = (jsonPath) => sandbox.generate(jsonPath);
+    const refused = await run({ encryption, generate: ignoring, forceUpload: true });
+    assert.deepEqual(refused.errors.map((e) => e.error.includes("not encrypted")), [true, true, true]);
+    assert.deepEqual(refused.uploaded, []);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { request } from "http";
+import fs from "fs";
+import path from "path";
+import { createRenderServer } from "../scripts/render-server.js";
+import { BrowserPool } from "../scripts/browser-pool.js";
+import { quiet } from "./helpers.js";
+
+const FIXTURE = fs.readFileSync(path.resolve(import.meta.dirname, "../data/jennifer-rodriguez-complete.json"), "utf8");
+
+// A stand-in browser whose pages never finish loading until they are closed,
+// which is what a hung render looks like to the server
+class StallingBrowser extends EventEmitter {
+  async newPage() {
+    let closed = false;
+    let abort;
+    return {
+      browser: () => this,
+      isClosed: () => closed,
+      goto: () => new Promise((resolve, reject) => (abort = reject)),
+      close: async () => {
+        closed = true;
+        abort?.(new Error("Target closed"));
+      },
+    };
+  }
+
+  async close() {}
+}
+
+async function startServer(options = {}) {
+  const service = createRenderServer({ pool: new BrowserPool({ size: 1, launch: async () => new StallingBrowser() }), ...options });
+  const { port } = await service.listen(0);
+  return { service, baseUrl: `http://127.0.0.1:${port}` };
+}
+
+const post = (url, body) => fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+// A body sent chunked, so the server only learns its size while reading it
+function postChunked(url, body) {
+  return new Promise((resolve, reject) => {
+    const req = request(url, { method: "POST", headers: { "Transfer-Encoding": "chunked" } }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on("error", reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+describe("render server", () => {
+  let service;
+  let baseUrl;
+
+  before(async () => {
+    quiet();
+    ({ service, baseUrl } = await startServer());
+  });
+  after(async () => {
+    await service.close();
+    mock.restoreAll();
+  });
+
+  it("answers malformed asset paths with 400 instead of 500", async () => {
+    const res = await fetch(`${baseUrl}/assets/%E0`);
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, "BAD_REQUEST");
+  });
+
+  it("answers unknown and out-of-tree asset paths with 404", async () => {
+    for (const asset of ["icons/no-such-icon.svg", "icons/..%2F..%2Freport.hbs"]) {
+      const res = await fetch(`${baseUrl}/assets/${asset}`);
+      assert.equal(res.status, 404, asset);
+    }
+  });
+
+  it("validates report JSON against the schema", async () => {
+    const valid = await post(`${baseUrl}/validate`, FIXTURE);
+    assert.equal(valid.status, 200);
+    assert.deepEqual((await valid.json()).errors, []);
+
+    const invalid = await post(`${baseUrl}/validate`, JSON.stringify({ ...JSON.parse(FIXTURE), schema_version: "version3" }));
+    assert.equal(invalid.status, 200);
+    const body = await invalid.json();
+    assert.equal(body.valid, false);
+    assert.ok(body.errors.some((error) => error.path === "/schema_version"));
+  });
+
+  it("answers empty and malformed bodies with 400", async () => {
+    for (const [body, code] of [["", "EMPTY_BODY"], ["{ not json", "INVALID_JSON"]]) {
+      const res = await post(`${baseUrl}/validate`, body);
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, code);
+    }
+  });
+
+  it("renders HTML previews without a browser, with assets served from the template's version", async () => {
+    const res = await post(`${baseUrl}/render?format=html&locale=es&draft`, FIXTURE);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/html/);
+    assert.equal(res.headers.get("content-language"), "es");
+    assert.equal(res.headers.get("x-report-status"), "draft");
+    assert.match(res.headers.get("x-completeness-gaps"), /^\d+$/);
+    assert.match(await res.text(), /src="\/assets\/v\d+\/icons\//);
+  });
+
+  it("answers bad render options with 400 before taking a render slot", async () => {
+    for (const query of ["format=xml", "layout=sideways", "locale=xx", "timezone=Mars/Olympus"]) {
+      const res = await post(`${baseUrl}/render?${query}`, FIXTURE);
+      assert.equal(res.status, 400, query);
+      assert.equal((await res.json()).error.code, "INVALID_OPTION", query);
+    }
+  });
+
+  it("answers bodies over the limit with 413, whether declared or streamed", async () => {
+    const small = await startServer({ maxBodyBytes: 1024 });
+    try {
+      const declared = await post(`${small.baseUrl}/validate`, FIXTURE);
+      assert.equal(declared.status, 413);
+      assert.equal(declared.headers.get("connection"), "close");
+      assert.equal((await declared.json()).error.code, "BODY_TOO_LARGE");
+
+      const streamed = await postChunked(`${small.baseUrl}/validate`, FIXTURE);
+      assert.equal(streamed.status, 413);
+      assert.equal(streamed.body.error.code, "BODY_TOO_LARGE");
+    } finally {
+      await small.service.close();
+    }
+  });
+
+  it("answers with 503 when every slot is busy and the queue is full", async () => {
+    const full = await startServer({ maxQueue: 0 });
+    let finish;
+    const busy = full.service.pool.run(() => new Promise((resolve) => (finish = resolve)));
+    try {
+      await new Promise(setImmediate);
+      const res = await post(`${full.baseUrl}/render`, FIXTURE);
+      assert.equal(res.status, 503);
+      assert.equal((await res.json()).error.code, "QUEUE_FULL");
+      assert.equal(full.service.stats.rejected, 1);
+    } finally {
+      finish();
+      await busy;
+      await full.service.close();
+    }
+  });
+
+  it("answers with 504 when a render outlives its timeout, and replaces the page", async () => {
+    const slow = await startServer({ renderTimeoutMs: 50 });
+    try {
+      const res = await post(`${slow.baseUrl}/render`, FIXTURE);
+      assert.equal(res.status, 504);
+      assert.equal((await res.json()).error.code, "RENDER_TIMEOUT");
+      assert.equal(slow.service.stats.timedOut, 1);
+      assert.equal(slow.service.pool.busy, 0);
+      assert.equal(slow.service.pool.idle[0].isClosed(), false);
+    } finally {
+      await slow.service.close();
+    }
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { renderReportHtml } from "../scripts/generate-report.js";
+import { getPagedPdfOptions } from "../scripts/page-layout.js";
+import { listTemplateVersions, parseTemplateVersion } from "../scripts/template-registry.js";
+import { getSchemaErrors } from "../scripts/validate-json.js";
+import { ReportError, ReportDataError } from "../scripts/errors.js";
+
+// Frozen templates (every version but the newest) must keep rendering the way
+// they shipped. test/template-pins/v<N>.json holds hashes of their renders:
+// every report in data/ at a fixed time in Los Angeles (v3's dates follow the
+// renderer's time zone), plus the paged header and footer. To freeze a new
+// version, record its pins with UPDATE_TEMPLATE_PINS=1 npm test.
+
+const DATA_DIR = path.resolve(import.meta.dirname, "../data");
+const PINS_DIR = path.resolve(import.meta.dirname, "template-pins");
+const NOW = new Date("2026-03-15T18:00:00Z");
+const TIMEZONE = "America/Los_Angeles";
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const readReport = (file) => JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), "utf8"));
+
+function renderPins(version) {
+  const reports = {};
+  for (const file of fs.readdirSync(DATA_DIR).filter((name) => name.endsWith(".json")).sort()) {
+    reports[file] = sha256(renderReportHtml(readReport(file), { templateVersion: version, now: NOW }).html);
+  }
+  // Whitespace collapsed, as Chromium lays the header and footer out
+  const { headerTemplate, footerTemplate } = getPagedPdfOptions({
+    pageSize: "Letter",
+    patientName: "Jane <Doe>",
+    reportDate: "March 15, 2026",
+    locale: "en",
+  });
+  const pagedHeaderFooter = sha256(JSON.stringify([headerTemplate, footerTemplate].map((html) => html.replace(/\s+/g, " ").trim())));
+  return { reports, pagedHeaderFooter };
+}
+
+describe("template versions", () => {
+  const frozen = listTemplateVersions().slice(0, -1);
+  let previousTimezone;
+
+  before(() => {
+    previousTimezone = process.env.TZ;
+    process.env.TZ = TIMEZONE;
+  });
+  after(() => {
+    if (previousTimezone === undefined) delete process.env.TZ;
+    else process.env.TZ = previousTimezone;
+  });
+
+  for (const version of frozen) {
+    it(`renders v${version} exactly as it shipped`, () => {
+      const pinsPath = path.join(PINS_DIR, `v${version}.json`);
+      if (!fs.existsSync(pinsPath) && process.env.UPDATE_TEMPLATE_PINS) {
+        fs.writeFileSync(pinsPath, `${JSON.stringify(renderPins(version), null, 2)}\n`);
+      }
+      assert.ok(fs.existsSync(pinsPath), `v${version} is frozen but has no ${path.relative(process.cwd(), pinsPath)}`);
+      assert.deepEqual(renderPins(version), JSON.parse(fs.readFileSync(pinsPath, "utf8")));
+    });
+  }
+
+  it("refuses locales and drafts a template predates", () => {
+    const report = { ...readReport("jennifer-rodriguez-complete.json"), schema_version: 3 };
+    assert.throws(() => renderReportHtml(report, { locale: "es" }), (err) => err instanceof ReportError && err.code === "INVALID_OPTION");
+    assert.throws(
+      () => renderReportHtml({ ...report, locale: "es" }),
+      (err) => err instanceof ReportDataError && err.code === "UNKNOWN_LOCALE" && /v3 has no "es" copy/.test(err.message),
+    );
+    assert.throws(() => renderReportHtml(report, { draft: true }), /no draft watermark/);
+
+    const latest = listTemplateVersions().at(-1);
+    assert.doesNotThrow(() => renderReportHtml(report, { templateVersion: latest, locale: "es", draft: true }));
+  });
+
+  it("accepts the same schema_version values in the JSON schema as in the template registry", () => {
+    const report = readReport("jennifer-rodriguez-complete.json");
+    for (const value of [3, "3", "v3", "V3", " v3 ", 12, 0, -3, "v0", "3.1", "version3", "", null, true]) {
+      const validInSchema = !getSchemaErrors({ ...report, schema_version: value }).some((error) => error.path.startsWith("/schema_version"));
+      assert.equal(validInSchema, parseTemplateVersion(value) !== null, `schema_version ${JSON.stringify(value)}`);
+    }
+  });
+});
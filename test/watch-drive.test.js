@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { DriveWatcher } from "../scripts/watch-drive.js";
+import { resolveEncryptionPolicy, isEncryptedPdf } from "../scripts/pdf-encryption.js";
+import { createSandbox, makeReport, quiet } from "./helpers.js";
+
+describe("DriveWatcher against a FakeDrive", () => {
+  let sandbox;
+  let cursorPath;
+  let statusPath;
+  // A fresh watcher per run, like a daemon restart; state carries over through the cursor file and ledger
+  const createWatcher = (processOptions = {}) =>
+    new DriveWatcher(sandbox.drive, {
+      folderId: sandbox.folderId,
+      cursorPath,
+      statusPath,
+      generate: sandbox.generate,
+      processOptions: {
+        localDir: sandbox.localDir,
+        ledger: sandbox.ledger,
+        retention: { mode: "revisions", keep: 5 },
+        forceUpload: false,
+        ...processOptions,
+      },
+    });
+  const runOnce = async (processOptions) => {
+    const watcher = createWatcher(processOptions);
+    await watcher.run({ once: true });
+    return watcher;
+  };
+  const readCursor = () => fs.readJsonSync(cursorPath);
+
+  beforeEach(async () => {
+    quiet();
+    sandbox = await createSandbox({ "a.json": makeReport("A"), "b.json": makeReport("B") });
+    cursorPath = path.join(sandbox.dir, "state", "drive-watch.json");
+    statusPath = path.join(sandbox.dir, "state", "drive-watch-status.json");
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    sandbox.cleanup();
+  });
+
+  it("runs a full sync first and saves a start token taken before it", async () => {
+    const { data } = await sandbox.drive.changes.getStartPageToken({});
+    const watcher = await runOnce();
+
+    assert.deepEqual(sandbox.rendered.sort(), ["a", "b"]);
+    // The uploads made during the sync come after it, so the next cycle sees them (and skips them via the ledger)
+    const { folderId, pageToken, retry } = readCursor();
+    assert.deepEqual({ folderId, pageToken, retry }, { folderId: sandbox.folderId, pageToken: data.startPageToken, retry: [] });
+    assert.equal(watcher.status.lastCycle.processed, 2);
+    const status = fs.readJsonSync(statusPath);
+    assert.equal(status.state, "stopped");
+    assert.equal(status.lastError, null);
+    assert.ok(status.lastSuccessAt);
+  });
+
+  it("processes only JSONs added or changed under data/ since the cursor", async () => {
+    await runOnce();
+    const nested = sandbox.drive.addFolder("clinic-a", sandbox.dataFolderId);
+    sandbox.drive.addFile("c.json", nested, makeReport("C"));
+    sandbox.drive.addFile("elsewhere.json", sandbox.folderId, makeReport("X"));
+    sandbox.drive.addFile("notes.txt", sandbox.dataFolderId, "not a report");
+    await sandbox.drive.files.update({
+      fileId: sandbox.fileIds["b.json"],
+      media: { mimeType: "application/json", body: JSON.stringify(makeReport("B", { note: "edited" })) },
+    });
+
+    const watcher = await runOnce();
+    assert.deepEqual(sandbox.rendered.slice(2).sort(), ["b", "c"]);
+    assert.ok(fs.existsSync(path.join(sandbox.localDir, "clinic-a", "c.json")), "nested folders are mirrored locally");
+    assert.equal(watcher.status.lastCycle.processed, 2);
+
+    // Nothing new: the cursor has moved past those changes
+    const idle = await runOnce();
+    assert.equal(idle.status.lastCycle.processed, 0);
+    assert.equal(sandbox.rendered.length, 4);
+  });
+
+  it("follows JSON shortcuts in data/ under the shortcut's name", async () => {
+    await runOnce();
+    const shared = sandbox.drive.addFolder("Shared");
+    const target = sandbox.drive.addFile("original.json", shared, makeReport("S"));
+    sandbox.drive.addShortcut("linked.json", sandbox.dataFolderId, target);
+
+    await runOnce();
+    assert.deepEqual(sandbox.rendered.slice(2), ["linked"]);
+  });
+
+  it("retries failed files on the next cycle until they succeed", async () => {
+    await runOnce();
+    sandbox.failing.add("c");
+    const fileId = sandbox.drive.addFile("c.json", sandbox.dataFolderId, makeReport("C"));
+
+    const failed = await runOnce();
+    assert.equal(failed.status.lastCycle.errors, 1);
+    assert.deepEqual(readCursor().retry, [fileId]);
+
+    // No new changes, but the failed file is tried again
+    sandbox.failing.clear();
+    const retried = await runOnce();
+    assert.deepEqual(sandbox.rendered.slice(2), ["c"]);
+    assert.equal(retried.status.lastCycle.retrying, 0);
+    assert.deepEqual(readCursor().retry, []);
+  });
+
+  it("leaves the cursor where it was when a cycle fails", async () => {
+    await runOnce();
+    const saved = readCursor();
+    sandbox.drive.addFile("c.json", sandbox.dataFolderId, makeReport("C"));
+    mock.method(sandbox.drive.changes, "list", async () => {
+      throw new Error("Drive is unavailable");
+    });
+
+    const watcher = await runOnce();
+    assert.equal(watcher.status.lastError.message, "Drive is unavailable");
+    assert.equal(readCursor().pageToken, saved.pageToken);
+
+    // Once Drive is back, the changes made meanwhile are picked up
+    mock.restoreAll();
+    quiet();
+    await runOnce();
+    assert.deepEqual(sandbox.rendered.slice(2), ["c"]);
+  });
+
+  it("ignores a cursor saved for another folder and starts over with a full sync", async () => {
+    fs.outputJsonSync(cursorPath, { folderId: "some-other-folder", pageToken: "1", retry: [] });
+
+    await runOnce();
+    assert.deepEqual(sandbox.rendered.sort(), ["a", "b"]);
+    assert.equal(readCursor().folderId, sandbox.folderId);
+  });
+
+  it("encrypts watched reports when the encryption policy requires it", async () => {
+    const encryption = resolveEncryptionPolicy({ required: true });
+    await runOnce({ encryption });
+    sandbox.drive.addFile("c.json", sandbox.dataFolderId, makeReport("C"));
+
+    const watcher = await runOnce({ encryption });
+    assert.equal(watcher.status.lastCycle.errors, 0);
+    assert.deepEqual(readCursor().retry, []);
+    const pdfs = sandbox.pdfsIn(sandbox.folderId);
+    assert.deepEqual(pdfs.map((f) => f.name).sort(), ["a.pdf", "b.pdf", "c.pdf"]);
+    for (const pdf of pdfs) assert.ok(await isEncryptedPdf(sandbox.drive.readContent(pdf.id)));
+  });
+});